@@ -0,0 +1,13 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "price" DECIMAL(10,2) NOT NULL DEFAULT 0.99,
+ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'GBP';
+
+
+ALTER TABLE "public"."tracks" ADD COLUMN     "price" DECIMAL(10,2) NOT NULL DEFAULT 0.99,
+ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'GBP';
+
+
+ALTER TABLE "public"."purchases" ADD COLUMN     "price" DECIMAL(10,2) NOT NULL DEFAULT 0.99,
+ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'GBP';
+
+
+ALTER TABLE "public"."purchases" ALTER COLUMN "price" DROP DEFAULT;
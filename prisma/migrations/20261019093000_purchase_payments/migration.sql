@@ -0,0 +1,11 @@
+ALTER TABLE "public"."purchases" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'completed',
+ADD COLUMN     "paymentProvider" TEXT,
+ADD COLUMN     "paymentIntentId" TEXT,
+ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "completedAt" TIMESTAMP(3);
+
+
+UPDATE "public"."purchases" SET "completedAt" = "purchasedAt" WHERE "status" = 'completed';
+
+
+CREATE UNIQUE INDEX "purchases_paymentIntentId_key" ON "public"."purchases"("paymentIntentId");
@@ -0,0 +1,43 @@
+ALTER TABLE "public"."purchases" ADD COLUMN     "orderId" TEXT;
+
+
+CREATE TABLE "public"."cart_items" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "songType" TEXT NOT NULL DEFAULT 'user',
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cart_items_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."orders" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "total" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "paymentProvider" TEXT,
+    "paymentIntentId" TEXT,
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "orders_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "purchases_orderId_idx" ON "public"."purchases"("orderId");
+
+
+CREATE UNIQUE INDEX "cart_items_userId_songId_songType_key" ON "public"."cart_items"("userId", "songId", "songType");
+
+
+CREATE UNIQUE INDEX "orders_paymentIntentId_key" ON "public"."orders"("paymentIntentId");
+
+
+CREATE INDEX "orders_userId_idx" ON "public"."orders"("userId");
+
+
+ALTER TABLE "public"."purchases" ADD CONSTRAINT "purchases_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
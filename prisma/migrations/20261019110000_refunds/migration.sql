@@ -0,0 +1,26 @@
+ALTER TABLE "public"."purchases" ADD COLUMN     "refundStatus" TEXT,
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+
+CREATE TABLE "public"."refund_requests" (
+    "id" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "requesterId" TEXT NOT NULL,
+    "reason" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "amount" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "decidedBy" TEXT,
+    "decisionNote" TEXT,
+    "providerRefundId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "decidedAt" TIMESTAMP(3),
+
+    CONSTRAINT "refund_requests_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "refund_requests_purchaseId_idx" ON "public"."refund_requests"("purchaseId");
+
+
+ALTER TABLE "public"."refund_requests" ADD CONSTRAINT "refund_requests_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "public"."purchases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+CREATE TABLE "public"."royalty_entries" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "amount" DECIMAL(12,4) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "status" TEXT NOT NULL DEFAULT 'accrued',
+    "period" TEXT NOT NULL,
+    "occurredOn" DATE NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "royalty_entries_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE UNIQUE INDEX "royalty_entries_source_sourceId_recipientId_key" ON "public"."royalty_entries"("source", "sourceId", "recipientId");
+
+
+CREATE INDEX "royalty_entries_recipientId_period_idx" ON "public"."royalty_entries"("recipientId", "period");
+
+
+CREATE INDEX "royalty_entries_songId_idx" ON "public"."royalty_entries"("songId");
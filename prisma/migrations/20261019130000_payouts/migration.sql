@@ -0,0 +1,44 @@
+ALTER TABLE "public"."royalty_entries" ADD COLUMN     "payoutId" TEXT;
+
+
+CREATE TABLE "public"."payout_runs" (
+    "id" TEXT NOT NULL,
+    "cutoff" DATE NOT NULL,
+    "triggeredBy" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "payoutCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "payout_runs_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."payouts" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "amount" DECIMAL(12,4) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'GBP',
+    "entryCount" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'paid',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paidAt" TIMESTAMP(3),
+
+    CONSTRAINT "payouts_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "royalty_entries_payoutId_idx" ON "public"."royalty_entries"("payoutId");
+
+
+CREATE UNIQUE INDEX "payouts_runId_recipientId_currency_key" ON "public"."payouts"("runId", "recipientId", "currency");
+
+
+CREATE INDEX "payouts_recipientId_idx" ON "public"."payouts"("recipientId");
+
+
+ALTER TABLE "public"."royalty_entries" ADD CONSTRAINT "royalty_entries_payoutId_fkey" FOREIGN KEY ("payoutId") REFERENCES "public"."payouts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+
+ALTER TABLE "public"."payouts" ADD CONSTRAINT "payouts_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."payout_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+CREATE TABLE "public"."song_splits" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "collaboratorId" TEXT NOT NULL,
+    "percentage" DECIMAL(5,2) NOT NULL,
+    "role" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "song_splits_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."split_audit_logs" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "split_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "song_splits_collaboratorId_idx" ON "public"."song_splits"("collaboratorId");
+
+
+CREATE UNIQUE INDEX "song_splits_songId_collaboratorId_key" ON "public"."song_splits"("songId", "collaboratorId");
+
+
+CREATE INDEX "split_audit_logs_songId_idx" ON "public"."split_audit_logs"("songId");
+
+
+ALTER TABLE "public"."song_splits" ADD CONSTRAINT "song_splits_songId_fkey" FOREIGN KEY ("songId") REFERENCES "public"."user_songs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "duration_ms" INTEGER,
+ADD COLUMN     "sampleRate" INTEGER,
+ADD COLUMN     "bitrate" INTEGER,
+ADD COLUMN     "audioFormat" TEXT;
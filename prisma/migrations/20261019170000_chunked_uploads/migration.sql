@@ -0,0 +1,39 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "fileSize" INTEGER;
+
+
+CREATE TABLE "public"."upload_sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "blobName" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "chunkSize" INTEGER NOT NULL,
+    "fileUrl" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "upload_sessions_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."upload_chunks" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "index" INTEGER NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "upload_chunks_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "upload_sessions_userId_status_idx" ON "public"."upload_sessions"("userId", "status");
+
+
+CREATE UNIQUE INDEX "upload_chunks_sessionId_index_key" ON "public"."upload_chunks"("sessionId", "index");
+
+
+ALTER TABLE "public"."upload_chunks" ADD CONSTRAINT "upload_chunks_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "public"."upload_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "previewUrl" TEXT,
+ADD COLUMN     "previewStatus" TEXT NOT NULL DEFAULT 'pending';
@@ -0,0 +1,21 @@
+CREATE TABLE "public"."song_media" (
+    "id" TEXT NOT NULL,
+    "song_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "blob_url" TEXT NOT NULL,
+    "height" INTEGER,
+    "width" INTEGER,
+    "file_size" INTEGER,
+    "mime_type" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "song_media_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE UNIQUE INDEX "song_media_song_id_type_key" ON "public"."song_media"("song_id", "type");
+
+
+ALTER TABLE "public"."song_media" ADD CONSTRAINT "song_media_song_id_fkey" FOREIGN KEY ("song_id") REFERENCES "public"."user_songs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+ALTER TABLE "public"."tracks" ADD COLUMN     "plays" INTEGER NOT NULL DEFAULT 0;
+
+
+CREATE VIEW "public"."catalog_items" AS
+SELECT
+    'spotify:' || t."id" AS "id",
+    'spotify' AS "type",
+    t."id" AS "sourceId",
+    t."name" AS "title",
+    COALESCE((
+        SELECT string_agg(a."name", ', ' ORDER BY ta."created_at")
+        FROM "public"."track_artists" ta
+        JOIN "public"."artists" a ON a."id" = ta."artist_id"
+        WHERE ta."track_id" = t."id"
+    ), '') AS "artistNames",
+    ARRAY(
+        SELECT ta."artist_id" FROM "public"."track_artists" ta WHERE ta."track_id" = t."id"
+    ) AS "artistIds",
+    al."id" AS "albumId",
+    al."name" AS "albumName",
+    NULL::TEXT AS "genre",
+    t."duration_ms" AS "durationMs",
+    t."explicit" AS "explicit",
+    t."preview_url" AS "previewUrl",
+    (
+        SELECT m."blob_url" FROM "public"."media" m
+        WHERE m."album_id" = al."id" AND m."type" IN ('album_art', 'cover', 'artwork', 'image', 'album_cover')
+        ORDER BY m."width" DESC NULLS LAST
+        LIMIT 1
+    ) AS "imageUrl",
+    t."price" AS "price",
+    t."currency" AS "currency",
+    al."release_date" AS "releaseDate",
+    t."plays" AS "plays",
+    NULL::TEXT AS "ownerId",
+    t."created_at" AS "createdAt"
+FROM "public"."tracks" t
+JOIN "public"."albums" al ON al."id" = t."album_id"
+UNION ALL
+SELECT
+    'user:' || us."id",
+    'user',
+    us."id",
+    us."title",
+    us."artist",
+    ARRAY(
+        SELECT a."id" FROM "public"."artists" a WHERE lower(a."name") = lower(us."artist")
+    ),
+    NULL::TEXT,
+    us."album",
+    us."genre",
+    us."duration_ms",
+    us."explicit",
+    us."previewUrl",
+    us."imageUrl",
+    us."price",
+    us."currency",
+    to_char(us."uploadedAt", 'YYYY-MM-DD'),
+    us."plays",
+    us."ownerId",
+    us."uploadedAt"
+FROM "public"."user_songs" us;
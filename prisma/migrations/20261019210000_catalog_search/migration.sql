@@ -0,0 +1,119 @@
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+
+CREATE TABLE "public"."search_documents" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "artistNames" TEXT NOT NULL,
+    "albumName" TEXT,
+    "searchText" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_documents_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE UNIQUE INDEX "search_documents_type_sourceId_key" ON "public"."search_documents"("type", "sourceId");
+
+
+CREATE INDEX "search_documents_searchText_idx" ON "public"."search_documents" USING GIN ("searchText" gin_trgm_ops);
+
+
+CREATE INDEX "search_documents_title_idx" ON "public"."search_documents" USING GIN ("title" gin_trgm_ops);
+
+
+CREATE INDEX "artists_name_idx" ON "public"."artists" USING GIN ("name" gin_trgm_ops);
+
+
+-- documents are copied from the catalog_items view so search always sees the same title and artist text as listings
+CREATE FUNCTION "public"."refresh_search_document"(item_type TEXT, source_id TEXT) RETURNS VOID AS $$
+BEGIN
+    DELETE FROM "public"."search_documents" WHERE "type" = item_type AND "sourceId" = source_id;
+    INSERT INTO "public"."search_documents" ("id", "type", "sourceId", "title", "artistNames", "albumName", "searchText", "updatedAt")
+    SELECT ci."id", ci."type", ci."sourceId", ci."title", ci."artistNames", ci."albumName",
+           lower(concat_ws(' ', ci."title", ci."artistNames", ci."albumName")), CURRENT_TIMESTAMP
+    FROM "public"."catalog_items" ci
+    WHERE ci."type" = item_type AND ci."sourceId" = source_id;
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE FUNCTION "public"."search_documents_source_changed"() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        DELETE FROM "public"."search_documents" WHERE "type" = TG_ARGV[0] AND "sourceId" = OLD."id";
+        RETURN OLD;
+    END IF;
+    PERFORM "public"."refresh_search_document"(TG_ARGV[0], NEW."id");
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE FUNCTION "public"."search_documents_track_artists_changed"() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM "public"."refresh_search_document"('spotify', OLD."track_id");
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM "public"."refresh_search_document"('spotify', NEW."track_id");
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE FUNCTION "public"."search_documents_album_renamed"() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM "public"."refresh_search_document"('spotify', t."id")
+    FROM "public"."tracks" t
+    WHERE t."album_id" = NEW."id";
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE FUNCTION "public"."search_documents_artist_renamed"() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM "public"."refresh_search_document"('spotify', ta."track_id")
+    FROM "public"."track_artists" ta
+    WHERE ta."artist_id" = NEW."id";
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+
+CREATE TRIGGER "tracks_search_documents_upsert" AFTER INSERT OR UPDATE OF "name", "album_id" ON "public"."tracks"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_source_changed"('spotify');
+
+
+CREATE TRIGGER "tracks_search_documents_delete" AFTER DELETE ON "public"."tracks"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_source_changed"('spotify');
+
+
+CREATE TRIGGER "user_songs_search_documents_upsert" AFTER INSERT OR UPDATE OF "title", "artist", "album" ON "public"."user_songs"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_source_changed"('user');
+
+
+CREATE TRIGGER "user_songs_search_documents_delete" AFTER DELETE ON "public"."user_songs"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_source_changed"('user');
+
+
+CREATE TRIGGER "track_artists_search_documents" AFTER INSERT OR UPDATE OR DELETE ON "public"."track_artists"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_track_artists_changed"();
+
+
+CREATE TRIGGER "albums_search_documents" AFTER UPDATE OF "name" ON "public"."albums"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_album_renamed"();
+
+
+CREATE TRIGGER "artists_search_documents" AFTER UPDATE OF "name" ON "public"."artists"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_artist_renamed"();
+
+
+INSERT INTO "public"."search_documents" ("id", "type", "sourceId", "title", "artistNames", "albumName", "searchText")
+SELECT ci."id", ci."type", ci."sourceId", ci."title", ci."artistNames", ci."albumName",
+       lower(concat_ws(' ', ci."title", ci."artistNames", ci."albumName"))
+FROM "public"."catalog_items" ci;
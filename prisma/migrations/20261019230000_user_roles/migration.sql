@@ -0,0 +1,33 @@
+ALTER TABLE "public"."users" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'listener';
+
+
+-- everyone who had ticked isArtist keeps publishing; from here on only an approved application or an admin grants it
+UPDATE "public"."users" SET "role" = 'artist' WHERE "isArtist" = true;
+
+
+ALTER TABLE "public"."users" DROP COLUMN "isArtist";
+
+
+CREATE INDEX "users_role_idx" ON "public"."users"("role");
+
+
+CREATE TABLE "public"."artist_applications" (
+    "id" TEXT NOT NULL,
+    "applicantId" TEXT NOT NULL,
+    "artistName" TEXT NOT NULL,
+    "message" TEXT,
+    "links" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "decidedBy" TEXT,
+    "decisionNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "decidedAt" TIMESTAMP(3),
+
+    CONSTRAINT "artist_applications_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "artist_applications_applicantId_idx" ON "public"."artist_applications"("applicantId");
+
+
+CREATE INDEX "artist_applications_status_idx" ON "public"."artist_applications"("status");
@@ -0,0 +1,125 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "moderationStatus" TEXT NOT NULL DEFAULT 'approved',
+ADD COLUMN     "moderationReason" TEXT,
+ADD COLUMN     "moderatedAt" TIMESTAMP(3);
+
+
+CREATE INDEX "user_songs_moderationStatus_idx" ON "public"."user_songs"("moderationStatus");
+
+
+CREATE TABLE "public"."content_reports" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "reporterId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+    "resolvedBy" TEXT,
+
+    CONSTRAINT "content_reports_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."moderation_actions" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "moderatorId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "moderation_actions_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE INDEX "content_reports_songId_status_idx" ON "public"."content_reports"("songId", "status");
+
+
+CREATE INDEX "content_reports_reporterId_idx" ON "public"."content_reports"("reporterId");
+
+
+CREATE INDEX "moderation_actions_songId_idx" ON "public"."moderation_actions"("songId");
+
+
+ALTER TABLE "public"."content_reports" ADD CONSTRAINT "content_reports_songId_fkey" FOREIGN KEY ("songId") REFERENCES "public"."user_songs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+
+-- hidden and removed uploads leave listings and search; reported ones stay up until a moderator decides
+CREATE OR REPLACE VIEW "public"."catalog_items" AS
+SELECT
+    'spotify:' || t."id" AS "id",
+    'spotify' AS "type",
+    t."id" AS "sourceId",
+    t."name" AS "title",
+    COALESCE((
+        SELECT string_agg(a."name", ', ' ORDER BY ta."created_at")
+        FROM "public"."track_artists" ta
+        JOIN "public"."artists" a ON a."id" = ta."artist_id"
+        WHERE ta."track_id" = t."id"
+    ), '') AS "artistNames",
+    ARRAY(
+        SELECT ta."artist_id" FROM "public"."track_artists" ta WHERE ta."track_id" = t."id"
+    ) AS "artistIds",
+    al."id" AS "albumId",
+    al."name" AS "albumName",
+    NULL::TEXT AS "genre",
+    t."duration_ms" AS "durationMs",
+    t."explicit" AS "explicit",
+    t."preview_url" AS "previewUrl",
+    (
+        SELECT m."blob_url" FROM "public"."media" m
+        WHERE m."album_id" = al."id" AND m."type" IN ('album_art', 'cover', 'artwork', 'image', 'album_cover')
+        ORDER BY m."width" DESC NULLS LAST
+        LIMIT 1
+    ) AS "imageUrl",
+    t."price" AS "price",
+    t."currency" AS "currency",
+    al."release_date" AS "releaseDate",
+    t."plays" AS "plays",
+    NULL::TEXT AS "ownerId",
+    t."created_at" AS "createdAt",
+    al."album_type" AS "albumType",
+    CASE
+        WHEN al."release_date" ~ '^[0-9]{4}' AND left(al."release_date", 4) <> '0000' THEN left(al."release_date", 4)::INTEGER
+    END AS "releaseYear"
+FROM "public"."tracks" t
+JOIN "public"."albums" al ON al."id" = t."album_id"
+WHERE t."removed_at" IS NULL
+UNION ALL
+SELECT
+    'user:' || us."id",
+    'user',
+    us."id",
+    us."title",
+    us."artist",
+    ARRAY(
+        SELECT a."id" FROM "public"."artists" a WHERE lower(a."name") = lower(us."artist")
+    ),
+    NULL::TEXT,
+    us."album",
+    us."genre",
+    us."duration_ms",
+    us."explicit",
+    us."previewUrl",
+    us."imageUrl",
+    us."price",
+    us."currency",
+    to_char(us."uploadedAt", 'YYYY-MM-DD'),
+    us."plays",
+    us."ownerId",
+    us."uploadedAt",
+    NULL::TEXT,
+    EXTRACT(YEAR FROM us."uploadedAt")::INTEGER
+FROM "public"."user_songs" us
+WHERE us."moderationStatus" NOT IN ('hidden', 'removed');
+
+
+DROP TRIGGER "user_songs_search_documents_upsert" ON "public"."user_songs";
+
+
+CREATE TRIGGER "user_songs_search_documents_upsert" AFTER INSERT OR UPDATE OF "title", "artist", "album", "moderationStatus" ON "public"."user_songs"
+FOR EACH ROW EXECUTE FUNCTION "public"."search_documents_source_changed"('user');
@@ -0,0 +1,112 @@
+CREATE TABLE "public"."song_fingerprints" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "audioHash" TEXT NOT NULL,
+    "fingerprint" BYTEA,
+    "windows" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "song_fingerprints_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE TABLE "public"."duplicate_matches" (
+    "id" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "matchedType" TEXT NOT NULL,
+    "matchedId" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "offsetMs" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "duplicate_matches_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE UNIQUE INDEX "song_fingerprints_songId_key" ON "public"."song_fingerprints"("songId");
+
+
+CREATE INDEX "song_fingerprints_audioHash_idx" ON "public"."song_fingerprints"("audioHash");
+
+
+CREATE INDEX "duplicate_matches_songId_idx" ON "public"."duplicate_matches"("songId");
+
+
+CREATE INDEX "duplicate_matches_matchedType_matchedId_idx" ON "public"."duplicate_matches"("matchedType", "matchedId");
+
+
+ALTER TABLE "public"."song_fingerprints" ADD CONSTRAINT "song_fingerprints_songId_fkey" FOREIGN KEY ("songId") REFERENCES "public"."user_songs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+
+ALTER TABLE "public"."duplicate_matches" ADD CONSTRAINT "duplicate_matches_songId_fkey" FOREIGN KEY ("songId") REFERENCES "public"."user_songs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+
+CREATE OR REPLACE VIEW "public"."catalog_items" AS
+SELECT
+    'spotify:' || t."id" AS "id",
+    'spotify' AS "type",
+    t."id" AS "sourceId",
+    t."name" AS "title",
+    COALESCE((
+        SELECT string_agg(a."name", ', ' ORDER BY ta."created_at")
+        FROM "public"."track_artists" ta
+        JOIN "public"."artists" a ON a."id" = ta."artist_id"
+        WHERE ta."track_id" = t."id"
+    ), '') AS "artistNames",
+    ARRAY(
+        SELECT ta."artist_id" FROM "public"."track_artists" ta WHERE ta."track_id" = t."id"
+    ) AS "artistIds",
+    al."id" AS "albumId",
+    al."name" AS "albumName",
+    NULL::TEXT AS "genre",
+    t."duration_ms" AS "durationMs",
+    t."explicit" AS "explicit",
+    t."preview_url" AS "previewUrl",
+    (
+        SELECT m."blob_url" FROM "public"."media" m
+        WHERE m."album_id" = al."id" AND m."type" IN ('album_art', 'cover', 'artwork', 'image', 'album_cover')
+        ORDER BY m."width" DESC NULLS LAST
+        LIMIT 1
+    ) AS "imageUrl",
+    t."price" AS "price",
+    t."currency" AS "currency",
+    al."release_date" AS "releaseDate",
+    t."plays" AS "plays",
+    NULL::TEXT AS "ownerId",
+    t."created_at" AS "createdAt",
+    al."album_type" AS "albumType",
+    CASE
+        WHEN al."release_date" ~ '^[0-9]{4}' AND left(al."release_date", 4) <> '0000' THEN left(al."release_date", 4)::INTEGER
+    END AS "releaseYear"
+FROM "public"."tracks" t
+JOIN "public"."albums" al ON al."id" = t."album_id"
+WHERE t."removed_at" IS NULL
+UNION ALL
+SELECT
+    'user:' || us."id",
+    'user',
+    us."id",
+    us."title",
+    us."artist",
+    ARRAY(
+        SELECT a."id" FROM "public"."artists" a WHERE lower(a."name") = lower(us."artist")
+    ),
+    NULL::TEXT,
+    us."album",
+    us."genre",
+    us."duration_ms",
+    us."explicit",
+    us."previewUrl",
+    us."imageUrl",
+    us."price",
+    us."currency",
+    to_char(us."uploadedAt", 'YYYY-MM-DD'),
+    us."plays",
+    us."ownerId",
+    us."uploadedAt",
+    NULL::TEXT,
+    EXTRACT(YEAR FROM us."uploadedAt")::INTEGER
+FROM "public"."user_songs" us
+WHERE us."moderationStatus" NOT IN ('held', 'hidden', 'removed');
@@ -0,0 +1 @@
+ALTER TABLE "public"."user_songs" ADD COLUMN     "fingerprintFailedAt" TIMESTAMP(3);
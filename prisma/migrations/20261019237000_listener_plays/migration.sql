@@ -0,0 +1,12 @@
+CREATE TABLE "public"."listener_plays" (
+    "id" TEXT NOT NULL,
+    "listenerId" TEXT NOT NULL,
+    "songId" TEXT NOT NULL,
+    "songType" TEXT NOT NULL,
+    "lastCountedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "listener_plays_pkey" PRIMARY KEY ("id")
+);
+
+
+CREATE UNIQUE INDEX "listener_plays_listenerId_songId_songType_key" ON "public"."listener_plays"("listenerId", "songId", "songType");
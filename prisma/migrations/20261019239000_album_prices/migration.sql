@@ -0,0 +1,9 @@
+CREATE TABLE "public"."album_prices" (
+    "ownerId" TEXT NOT NULL,
+    "album" TEXT NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "album_prices_pkey" PRIMARY KEY ("ownerId","album")
+);
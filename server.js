@@ -7,13 +7,37 @@ const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
 const admin = require('./firebase');  
 const { PrismaClient } = require('@prisma/client');
-const { BlobServiceClient } = require('@azure/storage-blob');  
+const pricing = require('./src/pricing');
+const payments = require('./src/payments');
+const songLookup = require('./src/songs');
+const catalog = require('./src/catalog');
+const catalogAdmin = require('./src/catalogAdmin');
+const search = require('./src/search');
+const pagination = require('./src/pagination');
+const cart = require('./src/cart');
+const refunds = require('./src/refunds');
+const royalties = require('./src/royalties');
+const payouts = require('./src/payouts');
+const splits = require('./src/splits');
+const storageBackends = require('./src/storage');
+const storageGc = require('./src/storage/gc');
+const audio = require('./src/audio');
+const artwork = require('./src/artwork');
+const uploads = require('./src/uploads');
+const previews = require('./src/previews');
+const resumableUploads = require('./src/resumableUploads');
+const idempotency = require('./src/idempotency');
+const roles = require('./src/roles');
+const artistApplications = require('./src/artistApplications');
+const moderation = require('./src/moderation');
+const duplicates = require('./src/duplicates');
+const fingerprint = require('./src/fingerprint');
+const { createAuth, hasRole, requireRole, requireAdmin, requireSelf, isSelf, claimsOtherUser } = require('./src/auth');
 const path = require('path');
 const fs = require('fs');
 
 
 dotenv.config();
-console.log("Azure Storage Connection String:", process.env.AZURE_STORAGE_CONNECTION_STRING);
 
 const app = express();
 
@@ -24,39 +48,34 @@ const corsOptions = {
     "https://music-marketplace-frontend.onrender.com"
   ],
   credentials: true,
+  exposedHeaders: [pagination.NEXT_CURSOR_HEADER],
   optionsSuccessStatus: 200
 };
 
 app.use(cors(corsOptions));
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(fileUpload({ limits: { fileSize: 50 * 1024 * 1024 } }));  
 
-let blobServiceClient = null;
-let containerClient = null;
+let storage;
 try {
-    if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
-        blobServiceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
-        containerClient = blobServiceClient.getContainerClient('music-files');
-    }
+    storage = storageBackends.createStorage();
 } catch (e) {
-    console.warn('Azure Blob initialization skipped:', e.message);
-}
-
-
-async function createContainerIfNotExists() {
-    if (!containerClient) return;
-    const exists = await containerClient.exists();
-    if (!exists) {
-        await containerClient.create();
-        console.log('Container created successfully!');
-    }
+    console.warn('Storage driver initialization failed, using local storage:', e.message);
+    storage = storageBackends.createStorage('local');
 }
-
-
-createContainerIfNotExists();
+storage.init().catch((error) => {
+    console.warn('Storage initialization failed:', error.message);
+});
 
 
 const prisma = new PrismaClient();
+const { authenticateUser, identifyUser } = createAuth(prisma);
+// admins pass too; listeners apply through /artist-applications first
+const requireArtist = requireRole('artist');
 
 
 app.get('/health', async (req, res) => {
@@ -86,17 +105,15 @@ app.get('/health', async (req, res) => {
         
         if (process.env.SKIP_BLOB_CHECK === 'true') {
             healthCheck.blobStorage = 'skipped';
-        } else if (containerClient) {
+        } else {
             try {
-                await containerClient.exists();
+                await storage.ping();
                 healthCheck.blobStorage = 'connected';
             } catch (blobError) {
                 healthCheck.blobStorage = 'disconnected';
                 healthCheck.status = 'degraded';
             }
-        } else {
-            healthCheck.blobStorage = 'disconnected';
-            healthCheck.status = healthCheck.status === 'ok' ? 'degraded' : healthCheck.status;
+            healthCheck.storageDriver = storage.name;
         }
 
         
@@ -114,7 +131,7 @@ app.get('/health', async (req, res) => {
 
 
 app.post('/auth/login', async (req, res) => {
-    const { token } = req.body;
+    const { token } = req.body || {};
 
     try {
         const decodedToken = await admin.auth().verifyIdToken(token);
@@ -126,7 +143,7 @@ app.post('/auth/login', async (req, res) => {
 });
 
 
-app.post('/users', async (req, res) => {
+app.post('/users', authenticateUser, async (req, res) => {
     const { 
         firebaseUid, 
         email, 
@@ -138,14 +155,17 @@ app.post('/users', async (req, res) => {
         website, 
         dateOfBirth, 
         genrePreferences, 
-        isArtist, 
         artistName 
-    } = req.body;
+    } = req.body || {};
+
+    if (claimsOtherUser(req, firebaseUid)) {
+        return res.status(403).json({ error: 'firebaseUid does not match the signed-in user' });
+    }
 
     try {
         const user = await prisma.user.create({
             data: {
-                firebaseUid,
+                firebaseUid: req.user.uid,
                 email,
                 firstName,
                 lastName,
@@ -155,12 +175,11 @@ app.post('/users', async (req, res) => {
                 website,
                 dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
                 genrePreferences,
-                isArtist,
                 artistName
             }
         });
 
-        res.status(201).json(user);
+        res.status(201).json(roles.serializeUser(user));
     } catch (error) {
         console.error('Error creating user:', error);
         res.status(500).json({ error: 'Failed to create user profile' });
@@ -168,7 +187,10 @@ app.post('/users', async (req, res) => {
 });
 
 
-app.get('/users/:firebaseUid', async (req, res) => {
+// fields anyone may see on someone else's profile; email, birthday and the rest stay with the owner
+const PUBLIC_PROFILE_FIELDS = ['id', 'firebaseUid', 'displayName', 'bio', 'location', 'website', 'profilePicture', 'role', 'artistName', 'createdAt'];
+
+app.get('/users/:firebaseUid', identifyUser, async (req, res) => {
     const { firebaseUid } = req.params;
 
     try {
@@ -180,7 +202,12 @@ app.get('/users/:firebaseUid', async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.status(200).json(user);
+        if (!isSelf(req.user, firebaseUid)) {
+            return res.status(200).json(roles.serializeUser(Object.fromEntries(
+                PUBLIC_PROFILE_FIELDS.filter((field) => field in user).map((field) => [field, user[field]])
+            )));
+        }
+        res.status(200).json(roles.serializeUser(user));
     } catch (error) {
         console.error('Error fetching user:', error);
         res.status(500).json({ error: 'Failed to fetch user profile' });
@@ -188,7 +215,7 @@ app.get('/users/:firebaseUid', async (req, res) => {
 });
 
 
-app.put('/users/:firebaseUid', async (req, res) => {
+app.put('/users/:firebaseUid', authenticateUser, requireSelf('firebaseUid'), async (req, res) => {
     const { firebaseUid } = req.params;
     const { 
         firstName, 
@@ -199,9 +226,8 @@ app.put('/users/:firebaseUid', async (req, res) => {
         website, 
         dateOfBirth, 
         genrePreferences, 
-        isArtist, 
         artistName 
-    } = req.body;
+    } = req.body || {};
 
     try {
         const user = await prisma.user.update({
@@ -215,12 +241,11 @@ app.put('/users/:firebaseUid', async (req, res) => {
                 website,
                 dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
                 genrePreferences,
-                isArtist,
                 artistName
             }
         });
 
-        res.status(200).json(user);
+        res.status(200).json(roles.serializeUser(user));
     } catch (error) {
         console.error('Error updating user:', error);
         res.status(500).json({ error: 'Failed to update user profile' });
@@ -234,7 +259,7 @@ if (!fs.existsSync(tempDir)) {
 }
 
 
-app.post('/upload', async (req, res) => {
+app.post('/upload', authenticateUser, requireArtist, async (req, res) => {
     try {
         if (!req.files || !req.files.music) {
             return res.status(400).send('No music file uploaded');
@@ -243,28 +268,63 @@ app.post('/upload', async (req, res) => {
         const musicFile = req.files.music;
         const imageFile = req.files.image || null;
 
-        if (!musicFile.name.endsWith('.mp3') && !musicFile.name.endsWith('.wav')) {
-            return res.status(400).send('Only .mp3 or .wav files are allowed!');
+        let audioInfo;
+        try {
+            audioInfo = audio.analyzeAudio(musicFile.data);
+        } catch (audioError) {
+            if (audioError instanceof audio.AudioError) {
+                return res.status(400).send('Invalid audio file: ' + audioError.message);
+            }
+            throw audioError;
+        }
+
+        // the song row comes later from POST /metadata, which checks again against the stored file
+        try {
+            await uploads.assertWithinQuota(prisma, req.user.uid, musicFile.data.length);
+        } catch (quotaError) {
+            if (quotaError instanceof uploads.UploadError) {
+                return res.status(quotaError.status).send(quotaError.message);
+            }
+            throw quotaError;
+        }
+
+        let imageInfo = null;
+        if (imageFile) {
+            try {
+                imageInfo = await artwork.inspectArtwork(imageFile.data);
+            } catch (imageError) {
+                if (imageError instanceof artwork.ArtworkError) {
+                    return res.status(imageError.status).send('Invalid artwork: ' + imageError.message);
+                }
+                throw imageError;
+            }
         }
 
-        const musicBlobName = uuidv4() + path.extname(musicFile.name);
-        const musicBlobClient = containerClient.getBlockBlobClient(musicBlobName);
-        await musicBlobClient.upload(musicFile.data, musicFile.size);
-        const musicUrl = musicBlobClient.url;
+        const musicBlobName = uuidv4() + audioInfo.extension;
+        const storedMusic = await storage.put(musicBlobName, musicFile.data, { contentType: audioInfo.mimeType });
+        const musicUrl = storedMusic.url;
 
         let imageUrl = null;
 
         if (imageFile) {
-            const imageBlobName = uuidv4() + path.extname(imageFile.name);
-            const imageBlobClient = containerClient.getBlockBlobClient(imageBlobName);
-            await imageBlobClient.upload(imageFile.data, imageFile.size);
-            imageUrl = imageBlobClient.url;
+            const imageBlobName = uuidv4() + imageInfo.extension;
+            const storedImage = await storage.put(imageBlobName, imageFile.data, { contentType: imageInfo.mimeType });
+            imageUrl = storedImage.url;
         }
 
         res.status(200).json({
             message: 'Upload successful',
             fileUrl: musicUrl,
-            imageUrl: imageUrl
+            imageUrl: imageUrl,
+            image: imageInfo ? { width: imageInfo.width, height: imageInfo.height, mimeType: imageInfo.mimeType } : null,
+            audio: {
+                format: audioInfo.format,
+                durationMs: audioInfo.durationMs,
+                sampleRate: audioInfo.sampleRate,
+                bitrate: audioInfo.bitrate,
+                channels: audioInfo.channels
+            },
+            suggestedMetadata: audioInfo.tags
         });
 
     } catch (err) {
@@ -274,10 +334,17 @@ app.post('/upload', async (req, res) => {
 });
 
 
-app.post('/metadata', async (req, res) => {
-    const { songId, title, artist, album, genre, trackNumber, explicit, fileUrl, imageUrl, userId } = req.body;
+app.post('/metadata', authenticateUser, requireArtist, async (req, res) => {
+    const { songId, title, artist, album, genre, trackNumber, explicit, fileUrl, imageUrl, userId, price, currency } = req.body || {};
+
+    if (claimsOtherUser(req, userId)) {
+        return res.status(403).json({ error: 'userId does not match the signed-in user' });
+    }
 
     try {
+        const songPrice = price !== undefined ? pricing.parsePrice(price) : undefined;
+        const songCurrency = currency !== undefined ? pricing.parseCurrency(currency) : undefined;
+
         const existingSong = await prisma.userSong.findUnique({
             where: { id: songId }
         });
@@ -286,44 +353,124 @@ app.post('/metadata', async (req, res) => {
             return res.status(400).send('Song ID already exists');
         }
 
-        const createdItem = await prisma.userSong.create({
-            data: {
-                id: songId,
-                title,
-                artist,
-                album: album || null,
-                genre,
-                trackNumber: trackNumber ? parseInt(trackNumber) : null,
-                explicit: explicit === true || explicit === 'true',
-                fileUrl,
-                imageUrl: imageUrl || null,
-                ownerId: userId,
-                source: "user"
+        const blobName = storageBackends.blobNameFromUrl(fileUrl);
+        let musicData;
+        let audioInfo;
+        try {
+            musicData = await audio.streamToBuffer(await storage.getStream(blobName));
+            audioInfo = audio.analyzeAudio(musicData);
+        } catch (audioError) {
+            return res.status(400).send('fileUrl does not point to a valid uploaded audio file');
+        }
+
+        const fields = audio.prefillFromTags({ title, artist, album, genre, trackNumber }, audioInfo.tags);
+        if (!fields.title || !fields.artist) {
+            return res.status(400).send('Title and artist are required when the file has no tags for them');
+        }
+        try {
+            await uploads.assertWithinQuota(prisma, req.user.uid, musicData.length);
+        } catch (quotaError) {
+            if (quotaError instanceof uploads.UploadError) {
+                return res.status(quotaError.status).send(quotaError.message);
             }
+            throw quotaError;
+        }
+        const columns = audio.audioColumns(audioInfo);
+        const screening = await duplicates.screenUpload(prisma, {
+            ownerId: req.user.uid,
+            print: await fingerprint.fingerprintAudio(musicData, audioInfo.format),
+            title: fields.title,
+            durationMs: columns.duration_ms
         });
 
-        res.status(201).json(createdItem);
+        // artwork uploaded through /upload gets thumbnails; external image urls are kept as they are
+        const imageBlobName = storageBackends.blobNameFromUrl(imageUrl);
+        let media = [];
+        if (imageBlobName && await storage.exists(imageBlobName)) {
+            try {
+                const images = await artwork.processArtwork(await audio.streamToBuffer(await storage.getStream(imageBlobName)));
+                media = await artwork.storeArtwork(storage, path.basename(imageBlobName, path.extname(imageBlobName)), images);
+            } catch (imageError) {
+                if (imageError instanceof artwork.ArtworkError) {
+                    return res.status(400).send('imageUrl does not point to valid artwork: ' + imageError.message);
+                }
+                throw imageError;
+            }
+        }
+
+        const albumPrice = await pricing.albumPriceFor(prisma, req.user.uid, fields.album);
+
+        let createdItem;
+        try {
+            createdItem = await prisma.userSong.create({
+                data: {
+                    id: songId,
+                    ...fields,
+                    ...columns,
+                    ...screening,
+                    explicit: explicit === true || explicit === 'true',
+                    fileSize: musicData.length,
+                    fileUrl,
+                    imageUrl: media.length > 0 ? media[0].blob_url : imageUrl || null,
+                    ownerId: req.user.uid,
+                    source: "user",
+                    ...pricing.uploadPrice({ price: songPrice, currency: songCurrency }, albumPrice),
+                    media: { create: media }
+                },
+                include: { media: true }
+            });
+        } catch (createError) {
+            await artwork.deleteArtwork(storage, media);
+            throw createError;
+        }
+
+        res.status(201).json(pricing.serializePrice(createdItem));
     } catch (error) {
+        if (error instanceof pricing.PriceError) {
+            return res.status(400).send(error.message);
+        }
         res.status(500).send('Error saving metadata: ' + error.message);
     }
 });
 
 
 
-app.post('/calculate-royalty', (req, res) => {
-    const { songId, numberOfPlays } = req.body;
+app.post('/calculate-royalty', authenticateUser, async (req, res) => {
+    const { songId } = req.body || {};
 
-    
-    const royaltyPerPlay = 0.005;
-    const totalRoyalties = royaltyPerPlay * numberOfPlays;  
+    if (!songId) {
+        return res.status(400).json({ error: 'Missing songId' });
+    }
+
+    try {
+        const song = await prisma.userSong.findUnique({ where: { id: songId } });
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+        if (!isSelf(req.user, song.ownerId)) {
+            return res.status(403).json({ error: 'Only the song owner can see its royalties' });
+        }
+
+        const totals = await prisma.royaltyEntry.aggregate({
+            where: { songId },
+            _sum: { amount: true }
+        });
+        const totalRoyalties = Number(totals._sum.amount || 0);
 
-    res.status(200).json({ songId, totalRoyalties });  
+        res.status(200).json({ songId, totalRoyalties });
+    } catch (error) {
+        console.error('Royalty calculation error:', error);
+        res.status(500).json({ error: 'Failed to calculate royalties' });
+    }
 });
 
 
 app.get('/metadata', async (req, res) => {
   try {
-    const songs = await prisma.track.findMany({
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 50 });
+    const { items: songs, nextCursor } = await pagination.findPage(prisma.track, paging, {
+      where: { removed_at: null },
+      order: [{ field: 'created_at', direction: 'asc' }, { field: 'id', direction: 'asc' }],
       include: {
         album: {
           include: {
@@ -348,45 +495,34 @@ app.get('/metadata', async (req, res) => {
         }
       }
     });
-    console.log('Fetched songs with media:', JSON.stringify(songs, null, 2));
-    res.status(200).json(songs);
+    pagination.setNextCursor(res, nextCursor);
+    res.status(200).json(songs.map(pricing.serializePrice));
   } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).send('Error fetching songs: ' + error.message);
   }
 });
 
 
-const authenticateUser = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
-
-  const token = authHeader.split(' ')[1];
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = { uid: decodedToken.uid };
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
-
 app.get('/user-songs', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.uid;
-    const userSongs = await prisma.userSong.findMany({
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 50 });
+    const { items: userSongs, nextCursor } = await pagination.findPage(prisma.userSong, paging, {
       where: {
         ownerId: userId
       },
-      orderBy: {
-        uploadedAt: 'desc'
-      }
+      include: { media: true },
+      order: [{ field: 'uploadedAt', direction: 'desc' }, { field: 'id', direction: 'desc' }]
     });
-    res.status(200).json(userSongs);
+    pagination.setNextCursor(res, nextCursor);
+    res.status(200).json(userSongs.map(pricing.serializePrice));
   } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching user songs:', error);
     res.status(500).send('Error fetching user songs: ' + error.message);
   }
@@ -399,25 +535,45 @@ app.get('/recent-user-songs', async (req, res) => {
     const oneMonthAgo = new Date();
     oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
     
-    const recentUserSongs = await prisma.userSong.findMany({
+    const { minDurationSec, maxDurationSec, hasPreview } = req.query;
+    const minMs = minDurationSec ? Number(minDurationSec) * 1000 : undefined;
+    const maxMs = maxDurationSec ? Number(maxDurationSec) * 1000 : undefined;
+    if ((minMs !== undefined && !(Number.isFinite(minMs) && minMs >= 0)) || (maxMs !== undefined && !(Number.isFinite(maxMs) && maxMs >= 0))) {
+      return res.status(400).json({ error: "minDurationSec and maxDurationSec must be non-negative numbers" });
+    }
+
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 50 });
+    const { items: recentUserSongs, nextCursor } = await pagination.findPage(prisma.userSong, paging, {
       where: {
         uploadedAt: {
           gte: oneMonthAgo
-        }
+        },
+        ...moderation.PUBLIC_SONG_WHERE,
+        ...(hasPreview === 'true' ? { previewUrl: { not: null } } : {}),
+        ...(hasPreview === 'false' ? { previewUrl: null } : {}),
+        ...(minMs !== undefined || maxMs !== undefined ? {
+          duration_ms: {
+            ...(minMs !== undefined ? { gte: minMs } : {}),
+            ...(maxMs !== undefined ? { lte: maxMs } : {})
+          }
+        } : {})
       },
-      orderBy: {
-        uploadedAt: 'desc'
-      }
+      include: { media: true },
+      order: [{ field: 'uploadedAt', direction: 'desc' }, { field: 'id', direction: 'desc' }]
     });
-    res.status(200).json(recentUserSongs);
+    pagination.setNextCursor(res, nextCursor);
+    res.status(200).json(recentUserSongs.map((song) => songLookup.withoutFileUrl(pricing.serializePrice(song))));
   } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching recent user songs:', error);
     res.status(500).send('Error fetching recent user songs: ' + error.message);
   }
 });
 
 
-app.get('/debug/media', async (req, res) => {
+app.get('/debug/media', authenticateUser, requireAdmin, async (req, res) => {
   try {
     const media = await prisma.media.findMany({
       include: {
@@ -458,139 +614,62 @@ app.get('/debug/media', async (req, res) => {
 
 app.get('/search', async (req, res) => {
   try {
-    const {
-      q: searchTerm,
-      page = 1,
-      limit = 10,
-      
-      explicit,
-      hasPreview,
-      minDurationSec,
-      maxDurationSec,
-      sortBy = 'name',
-      sortOrder = 'asc'
-    } = req.query;
-
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    const andConditions = [];
-
-    if (searchTerm && searchTerm.trim()) {
-      andConditions.push({
-        OR: [
-          { name: { contains: searchTerm } },
-          { album: { name: { contains: searchTerm } } },
-          { track_artists: { some: { artist: { name: { contains: searchTerm } } } } }
-        ]
-      });
-    }
-
-    if (explicit === 'true') andConditions.push({ explicit: true });
-    if (explicit === 'false') andConditions.push({ explicit: false });
-
-    if (hasPreview === 'true') andConditions.push({ preview_url: { not: null } });
-    if (hasPreview === 'false') andConditions.push({ preview_url: null });
-
-    const minMs = minDurationSec ? parseInt(minDurationSec, 10) * 1000 : undefined;
-    const maxMs = maxDurationSec ? parseInt(maxDurationSec, 10) * 1000 : undefined;
-    if (minMs !== undefined || maxMs !== undefined) {
-      andConditions.push({
-        duration_ms: {
-          ...(minMs !== undefined ? { gte: minMs } : {}),
-          ...(maxMs !== undefined ? { lte: maxMs } : {})
-        }
-      });
-    }
-
-    const whereClause = andConditions.length > 0 ? { AND: andConditions } : {};
-
-    let orderBy = { name: sortOrder === 'desc' ? 'desc' : 'asc' };
-    if (sortBy === 'duration_ms') orderBy = { duration_ms: sortOrder === 'desc' ? 'desc' : 'asc' };
-    if (sortBy === 'album_release_date') orderBy = { album: { release_date: sortOrder === 'desc' ? 'desc' : 'asc' } };
-
-    const [songs, totalCount] = await Promise.all([
-      prisma.track.findMany({
-        where: whereClause,
-        include: {
-          album: {
-            include: {
-              media: {
-                where: {
-                  type: { in: ['album_art', 'cover', 'artwork', 'image', 'album_cover'] }
-                }
-              },
-              album_artists: { include: { artist: true } }
-            }
-          },
-          track_artists: { include: { artist: true } }
-        },
-        skip,
-        take: limitNum,
-        orderBy
+    const { q: searchTerm, facets } = req.query;
+    const { sortBy, sortOrder } = search.parseSort(req.query);
+    const filters = search.parseFilters(req.query);
+    const paging = pagination.parsePagination(req.query);
+    search.checkCursor({ q: searchTerm, sortBy, sortOrder, cursor: paging.cursor });
+
+    const [{ rows, total, nextCursor }, facetCounts] = await Promise.all([
+      search.searchCatalog(prisma, {
+        q: searchTerm,
+        filters,
+        sortBy,
+        sortOrder,
+        cursor: paging.cursor,
+        skip: paging.skip,
+        take: paging.limit
       }),
-      prisma.track.count({ where: whereClause })
+      facets === 'false' ? null : search.facetCounts(prisma, { q: searchTerm, filters })
     ]);
 
     res.status(200).json({
-      songs,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalCount / limitNum),
-        totalItems: totalCount,
-        itemsPerPage: limitNum
-      }
+      songs: await catalog.hydrate(prisma, rows),
+      ...(facetCounts ? { facets: facetCounts } : {}),
+      pagination: pagination.pageInfo(paging, { total, nextCursor })
     });
   } catch (error) {
+    if (error instanceof pagination.PaginationError || error instanceof search.SearchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Search error:', error);
     res.status(500).send('Error searching songs: ' + error.message);
   }
 });
 
 
-app.get('/artists', async (req, res) => {
+app.get('/search/suggest', async (req, res) => {
   try {
-    const { q: searchTerm, page = 1, limit = 10 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+    const suggestions = await search.suggest(prisma, req.query.q, limit);
+
+    res.status(200).json(suggestions);
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).send('Error suggesting songs: ' + error.message);
+  }
+});
 
-    let whereClause = {};
-    
-    if (searchTerm && searchTerm.trim()) {
-      whereClause = {
-        name: {
-          contains: searchTerm
-        }
-      };
-    }
 
-    const [artists, totalCount] = await Promise.all([
-      prisma.artist.findMany({
-        where: whereClause,
+app.get('/artists', async (req, res) => {
+  try {
+    const { q: searchTerm } = req.query;
+    const paging = pagination.parsePagination(req.query);
+
+    const include = {
+      track_artists: {
         include: {
-          track_artists: {
-            include: {
-              track: {
-                include: {
-                  album: {
-                    include: {
-                      media: {
-                        where: {
-                          type: {
-                            in: ['album_art', 'cover', 'artwork', 'image', 'album_cover']
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            },
-            take: 5 
-          },
-          album_artists: {
+          track: {
             include: {
               album: {
                 include: {
@@ -603,35 +682,66 @@ app.get('/artists', async (req, res) => {
                   }
                 }
               }
-            },
-            take: 5 
-          },
-          _count: {
-            select: {
-              track_artists: true,
-              album_artists: true
             }
           }
         },
-        skip,
-        take: limitNum,
-        orderBy: {
-          name: 'asc'
+        take: 5 
+      },
+      album_artists: {
+        include: {
+          album: {
+            include: {
+              media: {
+                where: {
+                  type: {
+                    in: ['album_art', 'cover', 'artwork', 'image', 'album_cover']
+                  }
+                }
+              }
+            }
+          }
+        },
+        take: 5 
+      },
+      _count: {
+        select: {
+          track_artists: true,
+          album_artists: true
         }
-      }),
-      prisma.artist.count({ where: whereClause })
-    ]);
+      }
+    };
+
+    let artists;
+    let total;
+    let nextCursor;
+    if (searchTerm && searchTerm.trim()) {
+      const matches = await search.searchArtists(prisma, {
+        q: searchTerm,
+        cursor: paging.cursor,
+        skip: paging.skip,
+        take: paging.limit
+      });
+      const found = await prisma.artist.findMany({ where: { id: { in: matches.ids } }, include });
+      artists = matches.ids.map((id) => found.find((artist) => artist.id === id)).filter(Boolean);
+      ({ total, nextCursor } = matches);
+    } else {
+      const order = [{ field: 'name', direction: 'asc' }, { field: 'id', direction: 'asc' }];
+      const [page, count] = await Promise.all([
+        pagination.findPage(prisma.artist, paging, { order, include }),
+        prisma.artist.count()
+      ]);
+      ({ items: artists, nextCursor } = page);
+      total = count;
+    }
 
     res.status(200).json({
       artists,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalCount / limitNum),
-        totalItems: totalCount,
-        itemsPerPage: limitNum
-      }
+      pagination: pagination.pageInfo(paging, { total, nextCursor })
     });
   } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Artists search error:', error);
     res.status(500).send('Error searching artists: ' + error.message);
   }
@@ -641,10 +751,7 @@ app.get('/artists', async (req, res) => {
 app.get('/artists/:artistId/songs', async (req, res) => {
   try {
     const { artistId } = req.params;
-    const { page = 1, limit = 12 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 12 });
 
     
     const artist = await prisma.artist.findUnique({
@@ -655,74 +762,27 @@ app.get('/artists/:artistId/songs', async (req, res) => {
       return res.status(404).json({ error: 'Artist not found' });
     }
 
-    
-    const [songs, totalCount] = await Promise.all([
-      prisma.track.findMany({
-        where: {
-          track_artists: {
-            some: {
-              artist_id: artistId
-            }
-          }
-        },
-        include: {
-          album: {
-            include: {
-              media: {
-                where: {
-                  type: {
-                    in: ['album_art', 'cover', 'artwork', 'image', 'album_cover']
-                  }
-                }
-              },
-              album_artists: {
-                include: {
-                  artist: true
-                }
-              }
-            }
-          },
-          track_artists: {
-            include: {
-              artist: true
-            }
-          }
-        },
-        skip,
-        take: limitNum,
-        orderBy: [
-          {
-            album: {
-              release_date: 'desc'
-            }
-          },
-          {
-            track_number: 'asc'
-          }
-        ]
-      }),
-      prisma.track.count({
-        where: {
-          track_artists: {
-            some: {
-              artist_id: artistId
-            }
-          }
-        }
-      })
+    // user uploads credited under the artist's name show up next to the imported tracks
+    const whereClause = { artistIds: { has: artistId } };
+    const order = [
+      { field: 'releaseDate', direction: 'desc' },
+      { field: 'title', direction: 'asc' },
+      { field: 'id', direction: 'asc' }
+    ];
+    const [{ items, nextCursor }, total] = await Promise.all([
+      pagination.findPage(prisma.catalogItem, paging, { where: whereClause, order }),
+      prisma.catalogItem.count({ where: whereClause })
     ]);
 
     res.status(200).json({
       artist,
-      songs,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(totalCount / limitNum),
-        totalItems: totalCount,
-        itemsPerPage: limitNum
-      }
+      songs: await catalog.hydrate(prisma, items),
+      pagination: pagination.pageInfo(paging, { total, nextCursor })
     });
   } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Artist songs error:', error);
     res.status(500).send('Error fetching artist songs: ' + error.message);
   }
@@ -737,7 +797,8 @@ app.delete('/songs/:id', authenticateUser, async (req, res) => {
   try {
     
     const song = await prisma.userSong.findUnique({
-      where: { id: id }
+      where: { id: id },
+      include: { media: true }
     });
 
     if (!song) {
@@ -748,10 +809,24 @@ app.delete('/songs/:id', authenticateUser, async (req, res) => {
       return res.status(403).json({ error: "You can only delete your own songs" });
     }
 
+    // buyers keep their downloads, so a song that has sold is withdrawn from sale instead of deleted
+    const purchases = await prisma.purchase.count({
+      where: {
+        songType: 'user',
+        songId: id,
+        status: { in: [payments.PURCHASE_STATUS.PENDING, payments.PURCHASE_STATUS.COMPLETED] }
+      }
+    });
+    if (purchases > 0) {
+      await moderation.withdrawSong(prisma, song, userId);
+      return res.status(200).json({ message: "Song withdrawn from sale; buyers keep access", id, deleted: false, purchases });
+    }
+
     await prisma.userSong.delete({
       where: { id: id }
     });
-    res.status(200).json({ message: "Song deleted successfully", id });
+    const blobs = await storageGc.deleteSongBlobs(storage, song);
+    res.status(200).json({ message: "Song deleted successfully", id, deleted: true, deletedBlobs: blobs.deleted });
   } catch (error) {
     console.error("Delete error:", error.message);
     res.status(500).json({ error: "Failed to delete song", details: error.message });
@@ -759,201 +834,1231 @@ app.delete('/songs/:id', authenticateUser, async (req, res) => {
 });
 
 
-app.post('/songs/:id/play', async (req, res) => {
-  const { id } = req.params;
+app.post('/songs', authenticateUser, requireArtist, async (req, res) => {
+  if (!req.files || !req.files.music) {
+    return res.status(400).json({ error: "No music file uploaded" });
+  }
+
+  const musicFile = req.files.music;
+  const imageFile = req.files.image || null;
+  const body = req.body || {};
+  const metadata = {
+    title: body.title,
+    artist: body.artist,
+    album: body.album,
+    genre: body.genre,
+    trackNumber: body.trackNumber,
+    explicit: body.explicit,
+    price: body.price,
+    currency: body.currency
+  };
 
   try {
-    const song = await prisma.userSong.findUnique({
-      where: { id: id }
+    const result = await idempotency.withIdempotency(prisma, {
+      userId: req.user.uid,
+      scope: 'POST /songs',
+      key: req.get('Idempotency-Key'),
+      requestFingerprint: idempotency.fingerprint({
+        metadata,
+        music: musicFile.md5,
+        image: imageFile ? imageFile.md5 : null
+      })
+    }, async () => {
+      try {
+        const song = await uploads.createSong(prisma, storage, {
+          ownerId: req.user.uid,
+          musicData: musicFile.data,
+          imageFile,
+          metadata
+        });
+        return { status: 201, body: pricing.serializePrice(song) };
+      } catch (error) {
+        if (error instanceof uploads.UploadError) {
+          return { status: error.status, body: { error: error.message } };
+        }
+        throw error;
+      }
     });
-    
-    if (!song) {
-      return res.status(404).send("Song not found");
-    }
 
-    const updated = await prisma.userSong.update({
-      where: { id: id },
-      data: { plays: song.plays + 1 }
-    });
-    
-    res.status(200).json(updated);
-  } catch (err) {
-    console.error("Error updating play count:", err.message);
-    res.status(500).send("Failed to increment play count");
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error instanceof idempotency.IdempotencyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Song creation error:", error.message);
+    res.status(500).json({ error: "Failed to create song" });
   }
 });
 
 
-app.post('/purchase', async (req, res) => {
-  const { userId, songId, paymentData, songType } = req.body;
-
-  if (!userId || !songId) {
-    return res.status(400).json({ error: "Missing userId or songId" });
+function sendUploadError(res, error, label, fallback) {
+  if (error instanceof uploads.UploadError) {
+    return res.status(error.status).json({ error: error.message });
   }
+  console.error(`${label} error:`, error.message);
+  res.status(500).json({ error: fallback });
+}
 
-  const TRACK_PRICE = 0.99; 
-
+app.post('/uploads', authenticateUser, requireArtist, async (req, res) => {
+  const { filename, size } = req.body || {};
   try {
-    
-    let resolvedSongType = songType;
-    let userSong = null;
-    let track = null;
-
-    if (!resolvedSongType) {
-      userSong = await prisma.userSong.findUnique({ where: { id: songId } });
-      if (userSong) {
-        resolvedSongType = 'user';
-      } else {
-        track = await prisma.track.findUnique({ where: { id: songId } });
-        if (track) resolvedSongType = 'spotify';
-      }
-    } else if (resolvedSongType === 'user') {
-      userSong = await prisma.userSong.findUnique({ where: { id: songId } });
-    } else if (resolvedSongType === 'spotify') {
-      track = await prisma.track.findUnique({ where: { id: songId } });
-    }
-
-    
-    if (userSong && userSong.ownerId === userId) {
-      return res.status(403).json({ error: "You cannot purchase your own uploaded songs" });
-    }
-
-    
-    const existing = await prisma.purchase.findFirst({
-      where: {
-        userId: userId,
-        songId: songId
-      }
-    });
+    const session = await resumableUploads.createSession(prisma, req.user.uid, { filename, size });
+    res.status(201).json(session);
+  } catch (error) {
+    sendUploadError(res, error, "Upload init", "Failed to start upload");
+  }
+});
 
-    if (existing) {
-      return res.status(409).json({ message: "Already purchased" });
-    }
+app.get('/uploads/:id', authenticateUser, async (req, res) => {
+  try {
+    res.json(await resumableUploads.getSession(prisma, req.user.uid, req.params.id));
+  } catch (error) {
+    sendUploadError(res, error, "Upload status", "Failed to fetch upload");
+  }
+});
 
-    
-    console.log(`Simulating payment for user ${userId}: £${TRACK_PRICE} for song ${songId}`);
-    if (paymentData) {
-      console.log(`Payment details: ${JSON.stringify(paymentData)}`);
+app.put(
+  '/uploads/:id/chunks/:index',
+  authenticateUser,
+  express.raw({ type: () => true, limit: resumableUploads.getUploadLimits().chunkSize }),
+  async (req, res) => {
+    try {
+      const session = await resumableUploads.appendChunk(
+        prisma,
+        storage,
+        req.user.uid,
+        req.params.id,
+        req.params.index,
+        Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+      );
+      res.json(session);
+    } catch (error) {
+      sendUploadError(res, error, "Upload chunk", "Failed to store chunk");
     }
+  }
+);
 
-    const newPurchase = await prisma.purchase.create({
-      data: {
-        userId,
-        songId,
-        songType: resolvedSongType || 'user'
+app.post('/uploads/:id/complete', authenticateUser, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const { song, replayed } = await resumableUploads.completeSession(prisma, storage, req.user.uid, req.params.id, {
+      imageFile: req.files && req.files.image ? req.files.image : null,
+      metadata: {
+        title: body.title,
+        artist: body.artist,
+        album: body.album,
+        genre: body.genre,
+        trackNumber: body.trackNumber,
+        explicit: body.explicit,
+        price: body.price,
+        currency: body.currency
       }
     });
-    
-    
-    res.status(201).json({
-      ...newPurchase,
-      price: TRACK_PRICE,
-      currency: 'GBP',
-      paymentStatus: 'completed',
-      message: 'Purchase successful - this is a dummy transaction for university project'
-    });
+    res.status(replayed ? 200 : 201).json(pricing.serializePrice(song));
+  } catch (error) {
+    sendUploadError(res, error, "Upload complete", "Failed to complete upload");
+  }
+});
 
+app.delete('/uploads/:id', authenticateUser, async (req, res) => {
+  try {
+    await resumableUploads.abortSession(prisma, storage, req.user.uid, req.params.id);
+    res.status(204).end();
   } catch (error) {
-    console.error("Purchase error:", error.message);
-    res.status(500).json({ error: "Purchase failed" });
+    sendUploadError(res, error, "Upload abort", "Failed to abort upload");
   }
 });
 
 
-app.get('/purchases/:userId', async (req, res) => {
-  const userId = req.params.userId;
+app.put('/songs/:id/price', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.uid;
 
   try {
-    const purchases = await prisma.purchase.findMany({
-      where: { userId: userId }
+    const price = pricing.parsePrice(req.body.price);
+    const currency = req.body.currency !== undefined ? pricing.parseCurrency(req.body.currency) : undefined;
+
+    const song = await prisma.userSong.findUnique({
+      where: { id: id }
     });
 
-    
-    const enrichedPurchases = await Promise.all(
-      purchases.map(async (purchase) => {
-        let songDetails = null;
-        
-        if (purchase.songType === 'user') {
-          songDetails = await prisma.userSong.findUnique({
-            where: { id: purchase.songId }
-          });
-          if (!songDetails) {
-            
-            songDetails = await prisma.track.findUnique({
-              where: { id: purchase.songId },
-              include: {
-                album: { include: { media: true, album_artists: { include: { artist: true } } } },
-                track_artists: { include: { artist: true } }
-              }
-            });
-          }
-        } else if (purchase.songType === 'spotify') {
-          songDetails = await prisma.track.findUnique({
-            where: { id: purchase.songId },
-            include: {
-              album: {
-                include: {
-                  media: true,
-                  album_artists: {
-                    include: {
-                      artist: true
-                    }
-                  }
-                }
-              },
-              track_artists: {
-                include: {
-                  artist: true
-                }
-              }
-            }
-          });
-          if (!songDetails) {
-            
-            songDetails = await prisma.track.findFirst({
-              where: { spotify_id: purchase.songId },
-              include: {
-                album: { include: { media: true, album_artists: { include: { artist: true } } } },
-                track_artists: { include: { artist: true } }
-              }
-            });
-          }
-          if (!songDetails) {
-            
-            songDetails = await prisma.userSong.findUnique({ where: { id: purchase.songId } });
-          }
-        } else {
-          
-          songDetails = await prisma.userSong.findUnique({ where: { id: purchase.songId } });
-          if (!songDetails) {
-            songDetails = await prisma.track.findUnique({
-              where: { id: purchase.songId },
-              include: {
-                album: { include: { media: true, album_artists: { include: { artist: true } } } },
-                track_artists: { include: { artist: true } }
-              }
-            });
-            if (!songDetails) {
-              songDetails = await prisma.track.findFirst({
-                where: { spotify_id: purchase.songId },
-                include: {
-                  album: { include: { media: true, album_artists: { include: { artist: true } } } },
-                  track_artists: { include: { artist: true } }
-                }
-              });
-            }
-          }
-        }
-        
-        return {
-          ...purchase,
-          song: songDetails
-        };
-      })
+    if (!song) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    if (song.ownerId !== userId) {
+      return res.status(403).json({ error: "You can only price your own songs" });
+    }
+
+    const updated = await prisma.userSong.update({
+      where: { id: id },
+      data: { price, ...(currency ? { currency } : {}) }
+    });
+
+    res.status(200).json(pricing.serializePrice(updated));
+  } catch (error) {
+    if (error instanceof pricing.PriceError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Price update error:", error.message);
+    res.status(500).json({ error: "Failed to update price" });
+  }
+});
+
+
+// the price is stored for the album, so songs uploaded into it later start at it too
+app.put('/user-albums/:album/price', authenticateUser, async (req, res) => {
+  const { album } = req.params;
+  const userId = req.user.uid;
+
+  try {
+    const price = pricing.parsePrice(req.body.price);
+    const currency = req.body.currency !== undefined ? pricing.parseCurrency(req.body.currency) : undefined;
+
+    const result = await pricing.setAlbumPrice(prisma, userId, album, { price, currency });
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof pricing.PriceError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Album price update error:", error.message);
+    res.status(500).json({ error: "Failed to update album price" });
+  }
+});
+
+
+app.get('/songs/:id/splits', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.uid;
+
+  try {
+    const song = await prisma.userSong.findUnique({
+      where: { id: id },
+      include: { splits: { orderBy: { createdAt: 'asc' } } }
+    });
+
+    if (!song) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    const isCollaborator = song.splits.some((split) => split.collaboratorId === userId);
+    if (song.ownerId !== userId && !isCollaborator && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: "You are not on this song's split sheet" });
+    }
+
+    const auditLog = await prisma.splitAuditLog.findMany({
+      where: { songId: id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      songId: id,
+      locked: await splits.hasSales(prisma, id),
+      splits: song.splits.map(splits.serializeSplit),
+      auditLog
+    });
+  } catch (error) {
+    console.error("Split fetch error:", error.message);
+    res.status(500).json({ error: "Failed to fetch splits" });
+  }
+});
+
+
+app.put('/songs/:id/splits', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.uid;
+
+  try {
+    const song = await prisma.userSong.findUnique({
+      where: { id: id }
+    });
+
+    if (!song) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    if (song.ownerId !== userId) {
+      return res.status(403).json({ error: "Only the owner can edit splits" });
+    }
+
+    const sheet = await splits.replaceSheet(prisma, song, userId, req.body.splits);
+    res.status(200).json(sheet.map(splits.serializeSplit));
+  } catch (error) {
+    if (error instanceof splits.SplitError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Split update error:", error.message);
+    res.status(500).json({ error: "Failed to update splits" });
+  }
+});
+
+
+app.delete('/songs/:id/splits', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.uid;
+
+  try {
+    const song = await prisma.userSong.findUnique({
+      where: { id: id }
+    });
+
+    if (!song) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    if (song.ownerId !== userId) {
+      return res.status(403).json({ error: "Only the owner can edit splits" });
+    }
+
+    await splits.clearSheet(prisma, song, userId);
+    res.status(200).json({ message: "Splits removed", id });
+  } catch (error) {
+    if (error instanceof splits.SplitError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Split removal error:", error.message);
+    res.status(500).json({ error: "Failed to remove splits" });
+  }
+});
+
+
+app.post('/songs/:id/splits/:response', authenticateUser, async (req, res) => {
+  const { id, response } = req.params;
+
+  if (!['accept', 'decline'].includes(response)) {
+    return res.status(404).json({ error: "Unknown split response" });
+  }
+
+  try {
+    const split = await splits.respond(prisma, id, req.user.uid, response === 'accept');
+    res.status(200).json(splits.serializeSplit(split));
+  } catch (error) {
+    if (error instanceof splits.SplitError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Split response error:", error.message);
+    res.status(500).json({ error: "Failed to record split response" });
+  }
+});
+
+
+app.get('/splits/invitations', authenticateUser, async (req, res) => {
+  try {
+    const invitations = await prisma.songSplit.findMany({
+      where: { collaboratorId: req.user.uid, status: splits.SPLIT_STATUS.PENDING },
+      include: { song: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json(invitations.map((invitation) => ({
+      ...splits.serializeSplit(invitation),
+      song: songLookup.withoutFileUrl(pricing.serializePrice(invitation.song))
+    })));
+  } catch (error) {
+    console.error("Split invitations error:", error.message);
+    res.status(500).json({ error: "Failed to fetch split invitations" });
+  }
+});
+
+
+app.get('/songs/:id/download', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.uid;
+
+  try {
+    const song = await prisma.userSong.findUnique({
+      where: { id: id }
+    });
+
+    if (!song) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    // moderators review the master itself, including songs taken down for copyright
+    if (!hasRole(req.user, 'moderator')) {
+      if (moderation.isCopyrightTakedown(song)) {
+        return res.status(451).json({ error: "This song was taken down after a copyright claim" });
+      }
+      if (!(await songLookup.canAccessUserSong(prisma, userId, song))) {
+        return res.status(403).json({ error: "Purchase this song to download it" });
+      }
+    }
+
+    const blobName = storageBackends.blobNameFromUrl(song.fileUrl);
+    if (!blobName) {
+      return res.status(404).json({ error: "Song file not found" });
+    }
+
+    const expiresInSec = storageBackends.downloadUrlTtlSeconds();
+    const url = await storage.signedUrl(blobName, { expiresInSec });
+    const expiresAt = new Date(Date.now() + expiresInSec * 1000).toISOString();
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, url);
+    }
+    res.status(200).json({ url, expiresAt });
+  } catch (error) {
+    console.error("Download error:", error.message);
+    res.status(500).json({ error: "Failed to create download link" });
+  }
+});
+
+
+// previews are public; the signed link keeps the blob itself private like the master
+app.get('/songs/:id/preview', async (req, res) => {
+  try {
+    const song = await prisma.userSong.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!song || !moderation.isPubliclyVisible(song)) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+
+    const blobName = storageBackends.blobNameFromUrl(song.previewUrl);
+    if (!blobName) {
+      return res.status(404).json({ error: "Preview not available", previewStatus: song.previewStatus });
+    }
+
+    const url = await storage.signedUrl(blobName, { expiresInSec: storageBackends.downloadUrlTtlSeconds() });
+    if (req.query.redirect === 'false') {
+      return res.status(200).json({ url });
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    console.error("Preview error:", error.message);
+    res.status(500).json({ error: "Failed to fetch preview" });
+  }
+});
+
+
+app.get('/files/:blobName', async (req, res) => {
+  const { blobName } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!storage.verifySignedUrl || !storage.verifySignedUrl(blobName, expires, signature)) {
+    return res.status(403).json({ error: "Invalid or expired link" });
+  }
+
+  try {
+    const stream = await storage.getStream(blobName);
+    // a blob can still fail after it opened; once bytes are out the only honest signal left is a cut connection
+    stream.on('error', (streamError) => {
+      console.error("File stream error:", streamError.message);
+      if (res.headersSent) {
+        return res.destroy(streamError);
+      }
+      res.removeHeader('Content-Type');
+      if (streamError.code === 'ENOENT') {
+        res.status(404).json({ error: "File not found" });
+      } else {
+        res.status(500).json({ error: "Failed to read file" });
+      }
+    });
+    res.type(path.extname(blobName));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(404).json({ error: "File not found" });
+  }
+});
+
+
+app.post('/songs/:id/play', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const played = await catalog.recordPlay(prisma, id, req.query.type || (req.body || {}).songType, req.user.uid);
+    if (!played) {
+      return res.status(404).send("Song not found");
+    }
+
+    res.status(200).json(songLookup.withoutFileUrl(pricing.serializePrice(played.record)));
+  } catch (err) {
+    console.error("Error updating play count:", err.message);
+    res.status(500).send("Failed to increment play count");
+  }
+});
+
+
+app.post('/purchase', authenticateUser, async (req, res) => {
+  const { songId, paymentData, songType } = req.body || {};
+  const userId = req.user.uid;
+
+  if (claimsOtherUser(req, (req.body || {}).userId)) {
+    return res.status(403).json({ error: "userId does not match the signed-in user" });
+  }
+  if (!songId) {
+    return res.status(400).json({ error: "Missing songId" });
+  }
+
+  try {
+    const resolved = await catalog.resolveItem(prisma, songId, songType);
+    if (!resolved) {
+      return res.status(404).json({ error: "Song not found" });
+    }
+    if (!catalog.isAvailable(resolved)) {
+      return res.status(410).json({ error: "Song is no longer available" });
+    }
+    const song = resolved.record;
+
+    
+    if (resolved.type === 'user' && song.ownerId === userId) {
+      return res.status(403).json({ error: "You cannot purchase your own uploaded songs" });
+    }
+
+    
+    const existing = await prisma.purchase.findFirst({
+      where: {
+        userId: userId,
+        songId: resolved.id,
+        status: { in: [payments.PURCHASE_STATUS.PENDING, payments.PURCHASE_STATUS.COMPLETED] }
+      }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: "Already purchased" });
+    }
+
+    const { price, currency } = pricing.priceFor(song);
+
+    // the check above can race a checkout or another /purchase by the same buyer, so it is repeated under their lock
+    const createPurchase = (data) => prisma.$transaction(async (tx) => {
+      await cart.assertNotPurchasedLocked(tx, userId, [{ songId: resolved.id }]);
+      return tx.purchase.create({
+        data: { userId, songId: resolved.id, songType: resolved.type, price, currency, ...data }
+      });
+    });
+
+    if (price === 0) {
+      const freePurchase = await createPurchase({
+        status: payments.PURCHASE_STATUS.COMPLETED,
+        completedAt: new Date()
+      });
+      return res.status(201).json({
+        ...pricing.serializePrice(freePurchase),
+        paymentStatus: freePurchase.status
+      });
+    }
+
+    const provider = payments.getPaymentProvider();
+    const intent = await provider.createIntent({
+      amount: price,
+      currency,
+      metadata: { userId, songId: resolved.id }
+    });
+
+    const newPurchase = await createPurchase({
+      status: payments.PURCHASE_STATUS.PENDING,
+      paymentProvider: provider.name,
+      paymentIntentId: intent.id
+    });
+
+    await payments.confirmPayment(prisma, provider, intent.id, paymentData);
+
+    const purchase = await prisma.purchase.findUnique({ where: { id: newPurchase.id } });
+    const httpStatus = {
+      [payments.PURCHASE_STATUS.COMPLETED]: 201,
+      [payments.PURCHASE_STATUS.PENDING]: 202,
+      [payments.PURCHASE_STATUS.FAILED]: 402
+    }[purchase.status];
+
+    res.status(httpStatus).json({
+      ...pricing.serializePrice(purchase),
+      paymentStatus: purchase.status
+    });
+
+  } catch (error) {
+    if (error instanceof cart.CartError) {
+      return res.status(409).json({ message: "Already purchased" });
+    }
+    console.error("Purchase error:", error.message);
+    res.status(500).json({ error: "Purchase failed" });
+  }
+});
+
+
+app.get('/cart', authenticateUser, async (req, res) => {
+  try {
+    const contents = await cart.getCart(prisma, req.user.uid);
+    res.status(200).json(contents);
+  } catch (error) {
+    console.error("Cart fetch error:", error.message);
+    res.status(500).json({ error: "Failed to fetch cart" });
+  }
+});
+
+
+app.post('/cart/items', authenticateUser, async (req, res) => {
+  const { songId, songType } = req.body;
+
+  try {
+    const item = await cart.addItem(prisma, req.user.uid, { songId, songType });
+    res.status(201).json(item);
+  } catch (error) {
+    if (error instanceof cart.CartError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Cart add error:", error.message);
+    res.status(500).json({ error: "Failed to add item to cart" });
+  }
+});
+
+
+app.delete('/cart/items/:id', authenticateUser, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await prisma.cartItem.deleteMany({
+      where: { id: id, userId: req.user.uid }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Cart item not found" });
+    }
+
+    res.status(200).json({ message: "Item removed from cart", id });
+  } catch (error) {
+    console.error("Cart remove error:", error.message);
+    res.status(500).json({ error: "Failed to remove item from cart" });
+  }
+});
+
+
+app.delete('/cart', authenticateUser, async (req, res) => {
+  try {
+    const result = await prisma.cartItem.deleteMany({
+      where: { userId: req.user.uid }
+    });
+    res.status(200).json({ message: "Cart cleared", removed: result.count });
+  } catch (error) {
+    console.error("Cart clear error:", error.message);
+    res.status(500).json({ error: "Failed to clear cart" });
+  }
+});
+
+
+app.post('/cart/checkout', authenticateUser, async (req, res) => {
+  try {
+    const order = await cart.checkout(prisma, req.user.uid, req.body.paymentData);
+    const httpStatus = {
+      [payments.PURCHASE_STATUS.COMPLETED]: 201,
+      [payments.PURCHASE_STATUS.PENDING]: 202,
+      [payments.PURCHASE_STATUS.FAILED]: 402
+    }[order.status];
+
+    res.status(httpStatus).json(cart.serializeOrder(order));
+  } catch (error) {
+    if (error instanceof cart.CartError) {
+      return res.status(error.status).json({ error: error.message, items: error.items });
+    }
+    console.error("Checkout error:", error.message);
+    res.status(500).json({ error: "Checkout failed" });
+  }
+});
+
+
+app.get('/orders/:id', authenticateUser, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: { purchases: true }
+    });
+
+    if (!order || order.userId !== req.user.uid) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.status(200).json(cart.serializeOrder(order));
+  } catch (error) {
+    console.error("Order fetch error:", error.message);
+    res.status(500).json({ error: "Failed to fetch order" });
+  }
+});
+
+
+app.post('/purchases/:id/refund-request', authenticateUser, async (req, res) => {
+  try {
+    const refundRequest = await refunds.requestRefund(prisma, req.user.uid, req.params.id, req.body.reason);
+    res.status(201).json(refunds.serializeRefundRequest(refundRequest));
+  } catch (error) {
+    if (error instanceof refunds.RefundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Refund request error:", error.message);
+    res.status(500).json({ error: "Failed to request refund" });
+  }
+});
+
+
+app.get('/refund-requests', authenticateUser, async (req, res) => {
+  const { status = refunds.REFUND_STATUS.PENDING } = req.query;
+
+  try {
+    const where = status === 'all' ? {} : { status };
+
+    if (!hasRole(req.user, 'admin')) {
+      const ownedSongs = await prisma.userSong.findMany({
+        where: { ownerId: req.user.uid },
+        select: { id: true }
+      });
+      where.purchase = {
+        songType: 'user',
+        songId: { in: ownedSongs.map((song) => song.id) }
+      };
+    }
+
+    const refundRequests = await prisma.refundRequest.findMany({
+      where,
+      include: { purchase: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json(refundRequests.map((refundRequest) => ({
+      ...refunds.serializeRefundRequest(refundRequest),
+      purchase: pricing.serializePrice(refundRequest.purchase)
+    })));
+  } catch (error) {
+    console.error("Refund queue error:", error.message);
+    res.status(500).json({ error: "Failed to fetch refund requests" });
+  }
+});
+
+
+app.post('/refund-requests/:id/:decision', authenticateUser, async (req, res) => {
+  const { id, decision } = req.params;
+  const decide = { approve: refunds.approveRefund, deny: refunds.denyRefund }[decision];
+
+  if (!decide) {
+    return res.status(404).json({ error: "Unknown refund decision" });
+  }
+
+  try {
+    const refundRequest = await decide(prisma, id, req.user, req.body.note);
+    res.status(200).json(refunds.serializeRefundRequest(refundRequest));
+  } catch (error) {
+    if (error instanceof refunds.RefundError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Refund decision error:", error.message);
+    res.status(500).json({ error: "Failed to process refund decision" });
+  }
+});
+
+
+app.post('/artist-applications', authenticateUser, async (req, res) => {
+  try {
+    const application = await artistApplications.applyForArtist(prisma, req.user.uid, req.body || {});
+    res.status(201).json(application);
+  } catch (error) {
+    if (error instanceof artistApplications.ArtistApplicationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Artist application error:", error.message);
+    res.status(500).json({ error: "Failed to submit artist application" });
+  }
+});
+
+
+// applicants see their own history; moderators and admins see the review queue
+app.get('/artist-applications', authenticateUser, async (req, res) => {
+  const reviewer = hasRole(req.user, 'moderator');
+  const { status = reviewer ? artistApplications.APPLICATION_STATUS.PENDING : 'all' } = req.query;
+
+  try {
+    const where = status === 'all' ? {} : { status };
+    if (!reviewer) {
+      where.applicantId = req.user.uid;
+    }
+
+    const applications = await prisma.artistApplication.findMany({
+      where,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.status(200).json(applications);
+  } catch (error) {
+    console.error("Artist application queue error:", error.message);
+    res.status(500).json({ error: "Failed to fetch artist applications" });
+  }
+});
+
+
+app.post('/artist-applications/:id/:decision', authenticateUser, requireRole('moderator'), async (req, res) => {
+  const { id, decision } = req.params;
+  const decide = {
+    approve: artistApplications.approveApplication,
+    reject: artistApplications.rejectApplication
+  }[decision];
+
+  if (!decide) {
+    return res.status(404).json({ error: "Unknown application decision" });
+  }
+
+  try {
+    const application = await decide(prisma, id, req.user, (req.body || {}).note);
+    res.status(200).json(application);
+  } catch (error) {
+    if (error instanceof artistApplications.ArtistApplicationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Artist application decision error:", error.message);
+    res.status(500).json({ error: "Failed to process artist application" });
+  }
+});
+
+
+function sendModerationError(res, error, label, fallback) {
+  if (error instanceof moderation.ModerationError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error.message);
+  res.status(500).json({ error: fallback });
+}
+
+app.post('/songs/:id/reports', authenticateUser, async (req, res) => {
+  try {
+    const report = await moderation.reportSong(prisma, req.user.uid, req.params.id, req.body || {});
+    res.status(201).json(report);
+  } catch (error) {
+    sendModerationError(res, error, "Song report", "Failed to report song");
+  }
+});
+
+// oldest first so nothing waits forever; ?status=held lists uploads that matched an existing song,
+// and hidden or removed reviews earlier decisions
+app.get('/moderation/queue', authenticateUser, requireRole('moderator'), async (req, res) => {
+  const { status = moderation.MODERATION_STATUS.PENDING } = req.query;
+
+  if (!Object.values(moderation.MODERATION_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${Object.values(moderation.MODERATION_STATUS).join(', ')}` });
+  }
+
+  try {
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 50 });
+    const { items: songs, nextCursor } = await pagination.findPage(prisma.userSong, paging, {
+      where: { moderationStatus: status },
+      include: {
+        reports: { where: { status: 'open' }, orderBy: { createdAt: 'asc' } },
+        duplicateMatches: { orderBy: { score: 'desc' } }
+      },
+      order: [{ field: 'uploadedAt', direction: 'asc' }, { field: 'id', direction: 'asc' }]
+    });
+    pagination.setNextCursor(res, nextCursor);
+    res.status(200).json(songs.map((song) => songLookup.withoutFileUrl(pricing.serializePrice(song))));
+  } catch (error) {
+    if (error instanceof pagination.PaginationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Moderation queue error:", error.message);
+    res.status(500).json({ error: "Failed to fetch moderation queue" });
+  }
+});
+
+app.get('/moderation/songs/:id', authenticateUser, requireRole('moderator'), async (req, res) => {
+  try {
+    res.status(200).json(await moderation.songHistory(prisma, req.params.id));
+  } catch (error) {
+    sendModerationError(res, error, "Moderation history", "Failed to fetch moderation history");
+  }
+});
+
+// approve, hide or remove; hide and remove need one of the report reasons, and a note is kept for the audit trail
+app.post('/moderation/songs/:id/:action', authenticateUser, requireRole('moderator'), async (req, res) => {
+  const { id, action } = req.params;
+
+  try {
+    const result = await moderation.moderateSong(prisma, id, req.user, action, req.body || {});
+    res.status(200).json({ ...result, song: songLookup.withoutFileUrl(pricing.serializePrice(result.song)) });
+  } catch (error) {
+    sendModerationError(res, error, "Moderation action", "Failed to moderate song");
+  }
+});
+
+
+app.get('/royalties', authenticateUser, async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !royalties.PERIOD_PATTERN.test(from)) || (to && !royalties.PERIOD_PATTERN.test(to))) {
+    return res.status(400).json({ error: "from and to must be periods in YYYY-MM format" });
+  }
+
+  try {
+    const balances = await royalties.getBalances(prisma, req.user.uid, { from, to });
+    res.status(200).json({
+      rates: royalties.getRoyaltyRates(),
+      ...balances
+    });
+  } catch (error) {
+    console.error("Royalty balance error:", error.message);
+    res.status(500).json({ error: "Failed to fetch royalties" });
+  }
+});
+
+
+app.post('/admin/payout-runs', authenticateUser, requireAdmin, async (req, res) => {
+  const { cutoff } = req.body;
+  const cutoffDate = cutoff ? new Date(cutoff) : undefined;
+
+  if (cutoffDate && isNaN(cutoffDate.getTime())) {
+    return res.status(400).json({ error: "cutoff must be a valid date" });
+  }
+  if (cutoffDate && cutoffDate > new Date()) {
+    return res.status(400).json({ error: "cutoff cannot be in the future" });
+  }
+
+  try {
+    const run = await payouts.runPayouts(prisma, { triggeredBy: req.user.uid, cutoff: cutoffDate });
+    res.status(201).json({
+      ...run,
+      payouts: run.payouts.map((payout) => ({ ...payout, amount: Number(payout.amount) }))
+    });
+  } catch (error) {
+    console.error("Payout run error:", error.message);
+    res.status(500).json({ error: "Payout run failed" });
+  }
+});
+
+
+app.put('/admin/users/:firebaseUid/role', authenticateUser, requireAdmin, async (req, res) => {
+  const { role } = req.body || {};
+
+  if (req.params.firebaseUid === req.user.uid && role !== 'admin') {
+    return res.status(409).json({ error: "Admins cannot remove their own admin role" });
+  }
+
+  try {
+    const user = await roles.setRole(prisma, req.params.firebaseUid, role);
+    res.status(200).json(roles.serializeUser(user));
+  } catch (error) {
+    if (error instanceof roles.RoleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Role change error:", error.message);
+    res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+
+app.post('/admin/storage/gc', authenticateUser, requireAdmin, async (req, res) => {
+  const dryRun = (req.body || {}).dryRun !== false;
+
+  try {
+    const report = await storageGc.collectOrphans(prisma, storage, { dryRun });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error("Storage GC error:", error.message);
+    res.status(500).json({ error: "Storage garbage collection failed" });
+  }
+});
+
+
+app.post('/admin/previews/run', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const report = await previews.processPendingPreviews(prisma, storage, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 100)
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error("Preview job error:", error.message);
+    res.status(500).json({ error: "Preview generation failed" });
+  }
+});
+
+
+// fingerprints songs uploaded before duplicate screening so new uploads are compared against them too
+app.post('/admin/fingerprints/run', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const report = await duplicates.backfillFingerprints(prisma, storage, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 100)
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error("Fingerprint job error:", error.message);
+    res.status(500).json({ error: "Fingerprinting failed" });
+  }
+});
+
+
+function sendCatalogAdminError(res, error, label, fallback) {
+  if (error instanceof catalogAdmin.CatalogAdminError || error instanceof artwork.ArtworkError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error.message);
+  res.status(500).json({ error: fallback });
+}
+
+app.post('/admin/artists', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await catalogAdmin.createArtist(prisma, req.body || {}));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Artist creation", "Failed to create artist");
+  }
+});
+
+app.put('/admin/artists/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.updateArtist(prisma, req.params.id, req.body || {}));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Artist update", "Failed to update artist");
+  }
+});
+
+app.delete('/admin/artists/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.deleteArtist(prisma, req.params.id));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Artist deletion", "Failed to delete artist");
+  }
+});
+
+app.post('/admin/artists/:id/merge', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.mergeArtists(prisma, req.params.id, (req.body || {}).intoArtistId));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Artist merge", "Failed to merge artists");
+  }
+});
+
+app.post('/admin/albums', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await catalogAdmin.createAlbum(prisma, req.body || {}));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Album creation", "Failed to create album");
+  }
+});
+
+app.put('/admin/albums/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.updateAlbum(prisma, req.params.id, req.body || {}));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Album update", "Failed to update album");
+  }
+});
+
+app.delete('/admin/albums/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.deleteAlbum(prisma, req.params.id));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Album deletion", "Failed to delete album");
+  }
+});
+
+// multipart with an image field; type names the slot, e.g. album_art, and a missing slot is created
+app.put('/admin/albums/:id/media/:type', authenticateUser, requireAdmin, async (req, res) => {
+  if (!req.files || !req.files.image) {
+    return res.status(400).json({ error: "No image uploaded" });
+  }
+
+  try {
+    const media = await catalogAdmin.replaceMedia(prisma, storage, req.params.id, req.params.type, req.files.image.data);
+    res.status(200).json(media);
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Media replacement", "Failed to replace media");
+  }
+});
+
+app.delete('/admin/media/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.deleteMedia(prisma, req.params.id));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Media deletion", "Failed to delete media");
+  }
+});
+
+app.post('/admin/tracks', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(pricing.serializePrice(await catalogAdmin.createTrack(prisma, req.body || {})));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Track creation", "Failed to create track");
+  }
+});
+
+app.put('/admin/tracks/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(pricing.serializePrice(await catalogAdmin.updateTrack(prisma, req.params.id, req.body || {})));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Track update", "Failed to update track");
+  }
+});
+
+// tracks someone has bought are hidden rather than deleted; the response says which happened
+app.delete('/admin/tracks/:id', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await catalogAdmin.removeTrack(prisma, req.params.id));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Track removal", "Failed to remove track");
+  }
+});
+
+app.post('/admin/tracks/:id/restore', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(pricing.serializePrice(await catalogAdmin.restoreTrack(prisma, req.params.id)));
+  } catch (error) {
+    sendCatalogAdminError(res, error, "Track restore", "Failed to restore track");
+  }
+});
+
+
+app.get('/admin/payout-runs', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const runs = await prisma.payoutRun.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+    res.status(200).json(runs);
+  } catch (error) {
+    console.error("Payout run listing error:", error.message);
+    res.status(500).json({ error: "Failed to fetch payout runs" });
+  }
+});
+
+
+app.get('/payouts', authenticateUser, async (req, res) => {
+  try {
+    const artistPayouts = await prisma.payout.findMany({
+      where: { recipientId: req.user.uid },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.status(200).json(artistPayouts.map((payout) => ({ ...payout, amount: Number(payout.amount) })));
+  } catch (error) {
+    console.error("Payout listing error:", error.message);
+    res.status(500).json({ error: "Failed to fetch payouts" });
+  }
+});
+
+
+app.get('/statements/:period', authenticateUser, async (req, res) => {
+  const { period } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!royalties.PERIOD_PATTERN.test(period)) {
+    return res.status(400).json({ error: "period must be in YYYY-MM format" });
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+
+  try {
+    const statement = await payouts.buildStatement(prisma, req.user.uid, period);
+    const filename = `statement-${period}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      return res.status(200).type('text/csv').send(payouts.statementToCsv(statement));
+    }
+    res.status(200).json(statement);
+  } catch (error) {
+    console.error("Statement error:", error.message);
+    res.status(500).json({ error: "Failed to build statement" });
+  }
+});
+
+
+app.get('/sales', authenticateUser, async (req, res) => {
+  try {
+    const ownedSongs = await prisma.userSong.findMany({
+      where: { ownerId: req.user.uid }
+    });
+    const songsById = new Map(ownedSongs.map((song) => [song.id, song]));
+
+    const sales = await prisma.purchase.findMany({
+      where: {
+        songType: 'user',
+        songId: { in: [...songsById.keys()] },
+        status: { not: payments.PURCHASE_STATUS.FAILED }
+      },
+      include: { refundRequests: { orderBy: { createdAt: 'asc' } } },
+      orderBy: { purchasedAt: 'desc' }
+    });
+
+    res.status(200).json(sales.map((sale) => ({
+      ...pricing.serializePrice(sale),
+      refundRequests: sale.refundRequests.map(refunds.serializeRefundRequest),
+      song: pricing.serializePrice(songsById.get(sale.songId))
+    })));
+  } catch (error) {
+    console.error("Sales fetch error:", error.message);
+    res.status(500).json({ error: "Failed to fetch sales" });
+  }
+});
+
+
+app.post('/payments/webhook', async (req, res) => {
+  const provider = payments.getPaymentProvider();
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.headers['x-payment-signature']);
+  } catch (error) {
+    console.error("Webhook verification failed:", error.message);
+    return res.status(400).json({ error: "Invalid webhook signature" });
+  }
+
+  const status = payments.WEBHOOK_OUTCOMES[event.type];
+  if (!status) {
+    return res.status(200).json({ received: true, ignored: true });
+  }
+
+  try {
+    const { intentId, failureReason } = event.data || {};
+    const updated = await payments.finalizePayment(prisma, intentId, status, failureReason);
+    res.status(200).json({ received: true, updated });
+  } catch (error) {
+    console.error("Webhook handling error:", error.message);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+
+app.get('/purchases/:userId', authenticateUser, requireSelf('userId'), async (req, res) => {
+  const userId = req.params.userId;
+
+  try {
+    const paging = pagination.parsePagination(req.query, { defaultLimit: 50 });
+    const { items: purchases, nextCursor } = await pagination.findPage(prisma.purchase, paging, {
+      where: { userId: userId },
+      include: { refundRequests: { orderBy: { createdAt: 'asc' } } },
+      order: [{ field: 'purchasedAt', direction: 'desc' }, { field: 'id', direction: 'desc' }]
+    });
+    pagination.setNextCursor(res, nextCursor);
+
+    const items = await catalog.resolveItems(
+      prisma,
+      purchases.map((purchase) => ({ id: purchase.songId, type: purchase.songType }))
     );
+    const enrichedPurchases = purchases.map((purchase, index) => ({
+      ...pricing.serializePrice(purchase),
+      refundRequests: purchase.refundRequests.map(refunds.serializeRefundRequest),
+      song: items[index] ? songLookup.withoutFileUrl(pricing.serializePrice(items[index].record)) : null,
+      item: catalog.toCatalogItem(items[index])
+    }));
+
+    if (req.query.groupBy === 'order') {
+      const orderIds = [...new Set(purchases.map((purchase) => purchase.orderId).filter(Boolean))];
+      const orders = orderIds.length > 0
+        ? await prisma.order.findMany({ where: { id: { in: orderIds } } })
+        : [];
+
+      const groups = orders
+        .map((order) => ({
+          ...cart.serializeOrder(order),
+          purchases: enrichedPurchases.filter((purchase) => purchase.orderId === order.id)
+        }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      return res.status(200).json({
+        orders: groups,
+        standalone: enrichedPurchases.filter((purchase) => !purchase.orderId)
+      });
+    }
 
     res.status(200).json(enrichedPurchases);
   } catch (err) {
+    if (err instanceof pagination.PaginationError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("Error fetching purchases:", err.message);
     res.status(500).send("Failed to fetch purchases");
   }
@@ -963,9 +2068,20 @@ app.get('/purchases/:userId', async (req, res) => {
 if (require.main === module) {
   const PORT = process.env.PORT || 5000;
   console.log('Starting server...');
+  // fail at boot rather than on the first checkout or webhook when payments are not configured
+  payments.getPaymentProvider();
   app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
   });
+  if (process.env.PAYOUT_SCHEDULER_ENABLED === 'true') {
+    payouts.schedulePayoutRuns(prisma);
+  }
+  if (process.env.STORAGE_GC_ENABLED === 'true') {
+    storageGc.scheduleOrphanCollection(prisma, storage);
+  }
+  if (process.env.PREVIEW_GENERATION_ENABLED !== 'false') {
+    previews.schedulePreviewGeneration(prisma, storage);
+  }
 }
 
 module.exports = app;
@@ -0,0 +1,116 @@
+// listeners applying to publish as artists and moderator/admin decisions on them
+const roles = require('./roles');
+
+const APPLICATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const MAX_LINKS = 5;
+
+class ArtistApplicationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function normalizeLinks(links) {
+  if (links === undefined || links === null) return [];
+  if (!Array.isArray(links) || links.some((link) => typeof link !== 'string' || !/^https?:\/\//.test(link))) {
+    throw new ArtistApplicationError('links must be a list of http(s) URLs');
+  }
+  if (links.length > MAX_LINKS) {
+    throw new ArtistApplicationError(`At most ${MAX_LINKS} links are allowed`);
+  }
+  return links;
+}
+
+async function applyForArtist(prisma, applicantId, { artistName, message, links } = {}) {
+  if (typeof artistName !== 'string' || !artistName.trim()) {
+    throw new ArtistApplicationError('artistName is required');
+  }
+  const validLinks = normalizeLinks(links);
+
+  const user = await prisma.user.findUnique({ where: { firebaseUid: applicantId } });
+  if (!user) {
+    throw new ArtistApplicationError('Create a profile before applying', 404);
+  }
+  if (user.role !== 'listener') {
+    throw new ArtistApplicationError(`You already have the ${user.role} role`, 409);
+  }
+  const pending = await prisma.artistApplication.findFirst({
+    where: { applicantId, status: APPLICATION_STATUS.PENDING }
+  });
+  if (pending) {
+    throw new ArtistApplicationError('You already have a pending application', 409);
+  }
+
+  return prisma.artistApplication.create({
+    data: {
+      applicantId,
+      artistName: artistName.trim(),
+      message: message || null,
+      links: validLinks
+    }
+  });
+}
+
+async function loadPending(prisma, applicationId) {
+  const application = await prisma.artistApplication.findUnique({ where: { id: applicationId } });
+  if (!application) {
+    throw new ArtistApplicationError('Artist application not found', 404);
+  }
+  if (application.status !== APPLICATION_STATUS.PENDING) {
+    throw new ArtistApplicationError(`Artist application is already ${application.status}`, 409);
+  }
+  return application;
+}
+
+// moves the application out of pending only if it is still pending, so of an approve and a reject racing on it
+// only one is recorded
+async function recordDecision(prisma, applicationId, status, actor, note) {
+  const decided = await prisma.artistApplication.updateMany({
+    where: { id: applicationId, status: APPLICATION_STATUS.PENDING },
+    data: {
+      status,
+      decidedBy: actor.uid,
+      decisionNote: note || null,
+      decidedAt: new Date()
+    }
+  });
+  if (decided.count === 0) {
+    throw new ArtistApplicationError('Artist application was already decided', 409);
+  }
+  return prisma.artistApplication.findUnique({ where: { id: applicationId } });
+}
+
+// the role change and the decision are written together; claims are mirrored afterwards
+async function approveApplication(prisma, applicationId, actor, note) {
+  const application = await loadPending(prisma, applicationId);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const decided = await recordDecision(tx, applicationId, APPLICATION_STATUS.APPROVED, actor, note);
+    await tx.user.update({
+      where: { firebaseUid: application.applicantId },
+      data: { role: 'artist', artistName: application.artistName }
+    });
+    return decided;
+  });
+  await roles.mirrorClaims(application.applicantId, 'artist');
+  return updated;
+}
+
+async function rejectApplication(prisma, applicationId, actor, note) {
+  await loadPending(prisma, applicationId);
+  return recordDecision(prisma, applicationId, APPLICATION_STATUS.REJECTED, actor, note);
+}
+
+module.exports = {
+  APPLICATION_STATUS,
+  ArtistApplicationError,
+  applyForArtist,
+  approveApplication,
+  rejectApplication
+};
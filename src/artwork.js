@@ -0,0 +1,130 @@
+// cover art validation and standard thumbnails, recorded as song media like catalog album art
+const sharp = require('sharp');
+
+class ArtworkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const IMAGE_TYPES = [
+  {
+    format: 'jpeg',
+    mimeType: 'image/jpeg',
+    extension: '.jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    format: 'png',
+    mimeType: 'image/png',
+    extension: '.png',
+    matches: (buffer) => buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n'
+  },
+  {
+    format: 'webp',
+    mimeType: 'image/webp',
+    extension: '.webp',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+// the sizes catalog album art comes in, so clients pick variants the same way for both
+const THUMBNAIL_SIZES = [64, 300, 640];
+const MAX_DIMENSION = 8000;
+
+function maxArtworkBytes() {
+  const bytes = parseInt(process.env.ARTWORK_MAX_BYTES, 10);
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : 10 * 1024 * 1024;
+}
+
+function sniffImage(buffer) {
+  const type = Buffer.isBuffer(buffer) && buffer.length >= 12 && IMAGE_TYPES.find((candidate) => candidate.matches(buffer));
+  if (!type) {
+    throw new ArtworkError('Artwork must be a JPEG, PNG or WebP image');
+  }
+  return type;
+}
+
+async function inspectArtwork(buffer) {
+  if (Buffer.isBuffer(buffer) && buffer.length > maxArtworkBytes()) {
+    throw new ArtworkError(`Artwork is larger than ${maxArtworkBytes()} bytes`, 413);
+  }
+  const type = sniffImage(buffer);
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ArtworkError('Artwork image could not be decoded');
+  }
+  if (metadata.format !== type.format || !metadata.width || !metadata.height) {
+    throw new ArtworkError('Artwork image could not be decoded');
+  }
+  if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
+    throw new ArtworkError(`Artwork cannot be larger than ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`);
+  }
+  return { ...type, width: metadata.width, height: metadata.height };
+}
+
+// thumbnails are square jpeg crops and never upscaled past the original
+async function processArtwork(buffer) {
+  const original = await inspectArtwork(buffer);
+  const variants = [];
+  for (const size of THUMBNAIL_SIZES) {
+    const edge = Math.min(size, original.width, original.height);
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(edge, edge, { fit: 'cover' })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({
+      type: `cover_${size}`,
+      data,
+      width: info.width,
+      height: info.height,
+      mimeType: 'image/jpeg',
+      extension: '.jpg'
+    });
+  }
+  return { original: { ...original, type: 'cover', data: buffer }, variants };
+}
+
+// returns media rows for the caller to insert; blobs written before a failure are removed again
+async function storeArtwork(storage, baseName, { original, variants }) {
+  const rows = [];
+  try {
+    for (const image of [original, ...variants]) {
+      const filename = `${baseName}-${image.type.replace('_', '-')}${image.extension}`;
+      const stored = await storage.put(filename, image.data, { contentType: image.mimeType });
+      rows.push({
+        type: image.type,
+        filename,
+        blob_url: stored.url,
+        width: image.width,
+        height: image.height,
+        file_size: image.data.length,
+        mime_type: image.mimeType
+      });
+    }
+  } catch (error) {
+    await deleteArtwork(storage, rows);
+    throw error;
+  }
+  return rows;
+}
+
+async function deleteArtwork(storage, rows) {
+  await Promise.all(rows.map((row) => storage.delete(row.filename).catch(() => false)));
+}
+
+module.exports = {
+  ArtworkError,
+  THUMBNAIL_SIZES,
+  maxArtworkBytes,
+  sniffImage,
+  inspectArtwork,
+  processArtwork,
+  storeArtwork,
+  deleteArtwork
+};
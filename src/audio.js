@@ -0,0 +1,517 @@
+// sniffs mp3/wav uploads from their bytes and extracts stream info and embedded tags
+class AudioError extends Error {}
+
+const MPEG_VERSIONS = { 0: '2.5', 2: '2', 3: '1' };
+const MPEG_LAYERS = { 1: 3, 2: 2, 3: 1 };
+
+const BITRATES_KBPS = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SAMPLE_RATES = {
+  '1': [44100, 48000, 32000],
+  '2': [22050, 24000, 16000],
+  '2.5': [11025, 12000, 8000]
+};
+
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'trackNumber', TRK: 'trackNumber',
+  TCON: 'genre', TCO: 'genre'
+};
+
+const RIFF_INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ITRK: 'trackNumber',
+  IPRT: 'trackNumber',
+  IGNR: 'genre'
+};
+
+function cleanText(text) {
+  const cleaned = text.replace(/\u0000+$/g, '').replace(/\u0000/g, ' ').trim();
+  return cleaned || null;
+}
+
+function decodeId3Text(bytes) {
+  if (bytes.length === 0) return null;
+  const encoding = bytes[0];
+  const body = bytes.subarray(1);
+
+  if (encoding === 1 || encoding === 2) {
+    let data = body;
+    let littleEndian = encoding === 1;
+    if (data.length >= 2 && data[0] === 0xff && data[1] === 0xfe) {
+      littleEndian = true;
+      data = data.subarray(2);
+    } else if (data.length >= 2 && data[0] === 0xfe && data[1] === 0xff) {
+      littleEndian = false;
+      data = data.subarray(2);
+    }
+    const even = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+    if (!littleEndian) even.swap16();
+    return cleanText(even.toString('utf16le'));
+  }
+  return cleanText(body.toString(encoding === 3 ? 'utf8' : 'latin1'));
+}
+
+function syncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+function normalizeTags(raw) {
+  const tags = {
+    title: raw.title || null,
+    artist: raw.artist || null,
+    album: raw.album || null,
+    trackNumber: null,
+    genre: raw.genre ? raw.genre.replace(/^\(\d+\)\s*/, '') || null : null
+  };
+  const track = raw.trackNumber ? parseInt(raw.trackNumber, 10) : NaN;
+  tags.trackNumber = Number.isInteger(track) && track > 0 ? track : null;
+  return tags;
+}
+
+function parseId3v2(buffer, totalSize) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return { tags: {}, end: 0 };
+  }
+
+  const major = buffer[3];
+  const flags = buffer[5];
+  const size = syncsafe(buffer, 6);
+  const end = 10 + size + (flags & 0x10 ? 10 : 0);
+  if (end > totalSize) {
+    throw new AudioError('ID3 tag is truncated');
+  }
+  const framesEnd = Math.min(10 + size, buffer.length);
+
+  const tags = {};
+  let offset = 10;
+  if (flags & 0x40 && major >= 3) {
+    offset += major === 4 ? syncsafe(buffer, offset) : buffer.readUInt32BE(offset) + 4;
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  while (offset + headerLength <= framesEnd) {
+    const id = buffer.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+
+    let frameSize;
+    if (major === 2) {
+      frameSize = buffer.readUIntBE(offset + 3, 3);
+    } else if (major === 4) {
+      frameSize = syncsafe(buffer, offset + 4);
+    } else {
+      frameSize = buffer.readUInt32BE(offset + 4);
+    }
+
+    const start = offset + headerLength;
+    if (frameSize <= 0 || start + frameSize > framesEnd) break;
+    const field = ID3_TEXT_FRAMES[id];
+    if (field && !tags[field]) {
+      tags[field] = decodeId3Text(buffer.subarray(start, start + frameSize));
+    }
+    offset = start + frameSize;
+  }
+
+  return { tags, end };
+}
+
+function parseId3v1(buffer) {
+  if (buffer.length < 128) return null;
+  const tag = buffer.subarray(buffer.length - 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return null;
+  return {
+    title: cleanText(tag.toString('latin1', 3, 33)),
+    artist: cleanText(tag.toString('latin1', 33, 63)),
+    album: cleanText(tag.toString('latin1', 63, 93)),
+    trackNumber: tag[125] === 0 && tag[126] > 0 ? String(tag[126]) : null
+  };
+}
+
+function parseMpegHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+  const b3 = buffer[offset + 3];
+  if (buffer[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+  const version = MPEG_VERSIONS[(b1 >> 3) & 0x03];
+  const layer = MPEG_LAYERS[(b1 >> 1) & 0x03];
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES_KBPS[`${version === '1' ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (b2 >> 1) & 0x01;
+  const channels = b3 >> 6 === 3 ? 1 : 2;
+
+  let frameLength;
+  let samplesPerFrame;
+  if (layer === 1) {
+    frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    samplesPerFrame = 384;
+  } else if (layer === 3 && version !== '1') {
+    frameLength = Math.floor((72 * bitrate) / sampleRate) + padding;
+    samplesPerFrame = 576;
+  } else {
+    frameLength = Math.floor((144 * bitrate) / sampleRate) + padding;
+    samplesPerFrame = 1152;
+  }
+
+  return { version, layer, bitrate, sampleRate, channels, frameLength, samplesPerFrame };
+}
+
+// a lone sync word is common in arbitrary data, so require the following frame to line up too
+function findFirstFrame(buffer, start, audioEnd) {
+  const limit = Math.min(audioEnd, start + 64 * 1024);
+  for (let offset = start; offset < limit; offset += 1) {
+    const header = parseMpegHeader(buffer, offset);
+    if (!header) continue;
+    const next = offset + header.frameLength;
+    if (next === audioEnd || parseMpegHeader(buffer, next)) {
+      return { offset, header };
+    }
+  }
+  return null;
+}
+
+function xingFrameCount(buffer, offset, header) {
+  let sideInfo;
+  if (header.version === '1') {
+    sideInfo = header.channels === 1 ? 17 : 32;
+  } else {
+    sideInfo = header.channels === 1 ? 9 : 17;
+  }
+  const xing = offset + 4 + sideInfo;
+  if (xing + 12 > buffer.length) return null;
+  const marker = buffer.toString('latin1', xing, xing + 4);
+  if (marker !== 'Xing' && marker !== 'Info') return null;
+  const flags = buffer.readUInt32BE(xing + 4);
+  return flags & 0x01 ? buffer.readUInt32BE(xing + 8) : null;
+}
+
+function analyzeMp3(buffer, totalSize) {
+  const id3 = parseId3v2(buffer, totalSize);
+  const id3v1 = totalSize === buffer.length ? parseId3v1(buffer) : null;
+  const audioEnd = totalSize - (id3v1 ? 128 : 0);
+  const first = findFirstFrame(buffer, id3.end, audioEnd);
+  if (!first) {
+    throw new AudioError('No MPEG audio frames found');
+  }
+
+  const { header } = first;
+  const frames = xingFrameCount(buffer, first.offset, header);
+  let durationMs;
+  let bitrate = header.bitrate;
+  if (frames) {
+    durationMs = Math.round((frames * header.samplesPerFrame * 1000) / header.sampleRate);
+    bitrate = durationMs > 0 ? Math.round(((audioEnd - first.offset) * 8 * 1000) / durationMs) : bitrate;
+  } else {
+    durationMs = Math.round(((audioEnd - first.offset) * 8 * 1000) / header.bitrate);
+  }
+
+  return {
+    format: 'mp3',
+    mimeType: 'audio/mpeg',
+    extension: '.mp3',
+    durationMs,
+    sampleRate: header.sampleRate,
+    bitrate,
+    channels: header.channels,
+    tags: normalizeTags({ ...(id3v1 || {}), ...stripEmpty(id3.tags) })
+  };
+}
+
+function stripEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+}
+
+function parseRiffInfo(buffer, start, end) {
+  const tags = {};
+  let offset = start;
+  while (offset + 8 <= end) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + 8;
+    if (dataStart + size > end) break;
+    const field = RIFF_INFO_FIELDS[id];
+    if (field && !tags[field]) {
+      tags[field] = cleanText(buffer.toString('utf8', dataStart, dataStart + size));
+    }
+    offset = dataStart + size + (size % 2);
+  }
+  return tags;
+}
+
+function analyzeWav(buffer, totalSize) {
+  if (buffer.length < 12 || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new AudioError('RIFF file is not WAVE audio');
+  }
+
+  let fmt = null;
+  let dataSize = null;
+  let tags = {};
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      if (size < 16 || start + 16 > buffer.length) {
+        throw new AudioError('WAV fmt chunk is truncated');
+      }
+      fmt = {
+        audioFormat: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        byteRate: buffer.readUInt32LE(start + 8),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      if (start + size > totalSize) {
+        throw new AudioError('WAV data chunk is truncated');
+      }
+      dataSize = size;
+    } else if (id === 'LIST' && start + 4 <= buffer.length && buffer.toString('latin1', start, start + 4) === 'INFO') {
+      tags = parseRiffInfo(buffer, start + 4, Math.min(start + size, buffer.length));
+    }
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt || fmt.channels === 0 || fmt.sampleRate === 0 || fmt.byteRate === 0) {
+    throw new AudioError('WAV file has no valid fmt chunk');
+  }
+  if (dataSize === null) {
+    throw new AudioError('WAV file has no data chunk');
+  }
+
+  return {
+    format: 'wav',
+    mimeType: 'audio/wav',
+    extension: '.wav',
+    durationMs: Math.round((dataSize * 1000) / fmt.byteRate),
+    sampleRate: fmt.sampleRate,
+    bitrate: fmt.byteRate * 8,
+    channels: fmt.channels,
+    tags: normalizeTags(tags)
+  };
+}
+
+// buffer may be just the head of a larger file when totalSize is given; trailing tags are then skipped
+function analyzeAudio(buffer, { totalSize } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw new AudioError('File is too small to be audio');
+  }
+  const size = Math.max(totalSize || 0, buffer.length);
+  if (buffer.toString('latin1', 0, 4) === 'RIFF') {
+    return analyzeWav(buffer, size);
+  }
+  if (buffer.toString('latin1', 0, 3) === 'ID3' || parseMpegHeader(buffer, 0)) {
+    return analyzeMp3(buffer, size);
+  }
+  throw new AudioError('Only MP3 or WAV audio is supported');
+}
+
+// byte layout of the fmt and data chunks, so clips can be cut from pcm without decoding
+function wavLayout(buffer) {
+  let fmtChunk = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    if (id === 'fmt ' && start + 16 <= buffer.length) {
+      fmtChunk = buffer.subarray(offset, Math.min(start + size + (size % 2), buffer.length));
+    } else if (id === 'data') {
+      if (!fmtChunk) break;
+      return {
+        fmtChunk,
+        byteRate: fmtChunk.readUInt32LE(16),
+        blockAlign: fmtChunk.readUInt16LE(20) || 1,
+        dataOffset: start,
+        dataSize: size
+      };
+    }
+    offset = start + size + (size % 2);
+  }
+  throw new AudioError('WAV file has no fmt and data chunks');
+}
+
+function* mpegFrames(buffer) {
+  const id3 = parseId3v2(buffer, buffer.length);
+  const first = findFirstFrame(buffer, id3.end, buffer.length);
+  if (!first) return;
+
+  let offset = first.offset;
+  let header = first.header;
+  while (header && offset + header.frameLength <= buffer.length) {
+    yield { offset, header, isInfoFrame: offset === first.offset && xingFrameCount(buffer, offset, header) !== null };
+    offset += header.frameLength;
+    header = parseMpegHeader(buffer, offset);
+  }
+}
+
+// the longest mpeg frame (layer ii, 160 kbps at 8 kHz) plus the next frame's header
+const MAX_FRAME_BYTES = 2885;
+const SYNC_SEARCH_BYTES = 64 * 1024;
+const MAX_FMT_CHUNK_BYTES = 4096;
+
+// buffers a stream only as far as the caller asks, so files can be walked without holding them whole
+function streamReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const reader = { buffered: Buffer.alloc(0), done: false };
+
+  // resolves false when the stream ends before size bytes are buffered
+  reader.fill = async (size) => {
+    while (!reader.done && reader.buffered.length < size) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        reader.done = true;
+      } else {
+        const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+        reader.buffered = reader.buffered.length > 0 ? Buffer.concat([reader.buffered, chunk]) : chunk;
+      }
+    }
+    return reader.buffered.length >= size;
+  };
+  reader.consume = (size) => {
+    reader.buffered = reader.buffered.subarray(size);
+  };
+  reader.skip = async (size) => {
+    let remaining = size;
+    while (remaining > 0 && (await reader.fill(1))) {
+      const count = Math.min(remaining, reader.buffered.length);
+      reader.consume(count);
+      remaining -= count;
+    }
+    return remaining === 0;
+  };
+  return reader;
+}
+
+// mpegFrames over a stream; each frame is yielded as its own buffer and only the frame being read is held
+async function* streamMpegFrames(stream) {
+  const reader = streamReader(stream);
+  await reader.fill(10);
+  const head = reader.buffered;
+  if (head.length >= 10 && head.toString('latin1', 0, 3) === 'ID3') {
+    if (!(await reader.skip(10 + syncsafe(head, 6) + (head[5] & 0x10 ? 10 : 0)))) {
+      throw new AudioError('ID3 tag is truncated');
+    }
+  }
+
+  await reader.fill(SYNC_SEARCH_BYTES + MAX_FRAME_BYTES);
+  const first = findFirstFrame(reader.buffered, 0, reader.done ? reader.buffered.length : Infinity);
+  if (!first) return;
+  reader.consume(first.offset);
+
+  let header = first.header;
+  let isFirst = true;
+  while (header && (await reader.fill(header.frameLength))) {
+    const frame = reader.buffered.subarray(0, header.frameLength);
+    yield { frame, header, isInfoFrame: isFirst && xingFrameCount(frame, 0, header) !== null };
+    isFirst = false;
+    reader.consume(header.frameLength);
+    await reader.fill(4);
+    header = parseMpegHeader(reader.buffered, 0);
+  }
+}
+
+async function* streamBytes(reader, size) {
+  let remaining = size;
+  while (remaining > 0 && (await reader.fill(1))) {
+    const piece = reader.buffered.subarray(0, Math.min(remaining, reader.buffered.length));
+    reader.consume(piece.length);
+    remaining -= piece.length;
+    yield piece;
+  }
+}
+
+// wavLayout over a stream; data yields the data chunk in the pieces it arrives in, and chunks before it are skipped
+async function streamWavLayout(stream) {
+  const reader = streamReader(stream);
+  if (!(await reader.fill(12)) || reader.buffered.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new AudioError('RIFF file is not WAVE audio');
+  }
+  reader.consume(12);
+
+  let fmtChunk = null;
+  while (await reader.fill(8)) {
+    const id = reader.buffered.toString('latin1', 0, 4);
+    const size = reader.buffered.readUInt32LE(4);
+    if (id === 'data') {
+      if (!fmtChunk) break;
+      reader.consume(8);
+      return {
+        fmtChunk,
+        byteRate: fmtChunk.readUInt32LE(16),
+        blockAlign: fmtChunk.readUInt16LE(20) || 1,
+        dataSize: size,
+        data: streamBytes(reader, size)
+      };
+    }
+    const length = 8 + size + (size % 2);
+    if (id === 'fmt ' && size >= 16) {
+      await reader.fill(Math.min(length, MAX_FMT_CHUNK_BYTES));
+      fmtChunk = Buffer.from(reader.buffered.subarray(0, Math.min(length, MAX_FMT_CHUNK_BYTES)));
+    }
+    if (!(await reader.skip(length))) break;
+  }
+  throw new AudioError('WAV file has no fmt and data chunks');
+}
+
+function audioColumns(info) {
+  return {
+    duration_ms: info.durationMs,
+    sampleRate: info.sampleRate,
+    bitrate: info.bitrate,
+    audioFormat: info.format
+  };
+}
+
+// fields the uploader supplied win over embedded tags
+function prefillFromTags(provided, tags) {
+  const trackNumber = provided.trackNumber ? parseInt(provided.trackNumber, 10) : null;
+  return {
+    title: provided.title || tags.title || null,
+    artist: provided.artist || tags.artist || null,
+    album: provided.album || tags.album || null,
+    genre: provided.genre || tags.genre || null,
+    trackNumber: Number.isInteger(trackNumber) ? trackNumber : tags.trackNumber
+  };
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  AudioError,
+  analyzeAudio,
+  wavLayout,
+  mpegFrames,
+  streamWavLayout,
+  streamMpegFrames,
+  audioColumns,
+  prefillFromTags,
+  streamToBuffer
+};
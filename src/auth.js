@@ -0,0 +1,87 @@
+// firebase token verification, role guards and the ownership checks routes share
+const admin = require('../firebase');
+const roles = require('./roles');
+
+async function verifyBearer(req, res) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    res.status(401).json({ error: 'No token provided' });
+    return null;
+  }
+
+  const token = authHeader.split(' ')[1];
+  try {
+    return await admin.auth().verifyIdToken(token);
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(401).json({ error: 'Invalid token' });
+    return null;
+  }
+}
+
+// the role is read from the database on every request so a change applies without waiting for a token refresh
+function createAuth(prisma) {
+  const authenticateUser = async (req, res, next) => {
+    const decodedToken = await verifyBearer(req, res);
+    if (!decodedToken) return;
+
+    let role;
+    try {
+      role = await roles.resolveRole(prisma, decodedToken);
+    } catch (error) {
+      console.error('Role lookup error:', error);
+      return res.status(500).json({ error: 'Failed to load user role' });
+    }
+    req.user = { uid: decodedToken.uid, role };
+    next();
+  };
+
+  // public routes that show more to a signed-in caller; a token that is sent must still be valid
+  const identifyUser = async (req, res, next) => {
+    if (!req.headers.authorization) {
+      req.user = null;
+      return next();
+    }
+    return authenticateUser(req, res, next);
+  };
+
+  return { authenticateUser, identifyUser };
+}
+
+const { hasRole } = roles;
+
+const requireRole = (...allowed) => (req, res, next) => {
+  if (!hasRole(req.user, ...allowed)) {
+    return res.status(403).json({ error: `Requires role: ${allowed.join(' or ')}` });
+  }
+  next();
+};
+
+const requireAdmin = requireRole('admin');
+
+function isSelf(user, uid) {
+  return Boolean(user) && (user.uid === uid || hasRole(user, 'admin'));
+}
+
+// for routes whose path names a user, e.g. /users/:firebaseUid; admins may act on anyone
+const requireSelf = (param) => (req, res, next) => {
+  if (!isSelf(req.user, req.params[param])) {
+    return res.status(403).json({ error: 'You can only access your own account' });
+  }
+  next();
+};
+
+// identity always comes from the token; a body field naming the user is optional but must agree with it
+function claimsOtherUser(req, claimedUid) {
+  return claimedUid !== undefined && claimedUid !== null && claimedUid !== '' && claimedUid !== req.user.uid;
+}
+
+module.exports = {
+  createAuth,
+  hasRole,
+  requireRole,
+  requireAdmin,
+  requireSelf,
+  isSelf,
+  claimsOtherUser
+};
@@ -0,0 +1,246 @@
+// cart contents, line item checks and whole-cart checkout into an order
+const pricing = require('./pricing');
+const payments = require('./payments');
+const catalog = require('./catalog');
+const { withoutFileUrl } = require('./songs');
+
+const SONG_TYPES = catalog.ITEM_TYPES;
+
+class CartError extends Error {
+  constructor(message, status = 400, items = []) {
+    super(message);
+    this.status = status;
+    this.items = items;
+  }
+}
+
+function toMinor(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+async function checkLineItem(prisma, userId, { songId, songType }) {
+  const resolved = await catalog.resolveItem(prisma, songId, songType);
+  if (!resolved) {
+    return { songId, songType: songType || 'user', problem: 'not_found' };
+  }
+
+  const song = resolved.record;
+  const { price, currency } = pricing.priceFor(song);
+  const line = { songId: resolved.id, songType: resolved.type, song, price, currency, problem: null };
+
+  if (!catalog.isAvailable(resolved)) {
+    line.problem = 'unavailable';
+    return line;
+  }
+  if (resolved.type === 'user' && song.ownerId === userId) {
+    line.problem = 'own_song';
+    return line;
+  }
+
+  const existing = await prisma.purchase.findFirst({
+    where: {
+      userId,
+      songId: resolved.id,
+      status: { in: [payments.PURCHASE_STATUS.PENDING, payments.PURCHASE_STATUS.COMPLETED] }
+    }
+  });
+  if (existing) {
+    line.problem = 'already_purchased';
+  }
+  return line;
+}
+
+function summarizeTotals(lines) {
+  const totals = {};
+  for (const line of lines) {
+    if (line.problem === 'not_found') continue;
+    totals[line.currency] = (totals[line.currency] || 0) + toMinor(line.price);
+  }
+  return Object.fromEntries(Object.entries(totals).map(([currency, minor]) => [currency, minor / 100]));
+}
+
+async function addItem(prisma, userId, { songId, songType }) {
+  if (!songId) {
+    throw new CartError('Missing songId');
+  }
+  if (songType && !SONG_TYPES.includes(songType)) {
+    throw new CartError(`songType must be one of ${SONG_TYPES.join(', ')}`);
+  }
+
+  const line = await checkLineItem(prisma, userId, { songId, songType });
+  if (line.problem === 'not_found') {
+    throw new CartError('Song not found', 404);
+  }
+  if (line.problem === 'unavailable') {
+    throw new CartError('Song is no longer available', 410);
+  }
+  if (line.problem === 'own_song') {
+    throw new CartError('You cannot purchase your own uploaded songs', 403);
+  }
+  if (line.problem === 'already_purchased') {
+    throw new CartError('Already purchased', 409);
+  }
+
+  const existing = await prisma.cartItem.findUnique({
+    where: { userId_songId_songType: { userId, songId: line.songId, songType: line.songType } }
+  });
+  if (existing) {
+    throw new CartError('Song is already in your cart', 409);
+  }
+
+  return prisma.cartItem.create({
+    data: { userId, songId: line.songId, songType: line.songType }
+  });
+}
+
+async function getCart(prisma, userId) {
+  const items = await prisma.cartItem.findMany({
+    where: { userId },
+    orderBy: { addedAt: 'asc' }
+  });
+
+  const lines = await Promise.all(items.map(async (item) => ({
+    item,
+    line: await checkLineItem(prisma, userId, item)
+  })));
+
+  return {
+    items: lines.map(({ item, line }) => ({
+      ...item,
+      song: withoutFileUrl(pricing.serializePrice(line.song || null)),
+      price: line.problem === 'not_found' ? null : line.price,
+      currency: line.problem === 'not_found' ? null : line.currency,
+      problem: line.problem
+    })),
+    totals: summarizeTotals(lines.map(({ line }) => line)),
+    itemCount: items.length
+  };
+}
+
+// the line checks run before the payment intent exists, so a second checkout by the same buyer can pass them too;
+// both take a per-buyer lock and look again before writing, and the later one finds the earlier one's purchases
+async function assertNotPurchasedLocked(tx, userId, lines) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${userId}))`;
+  const existing = await tx.purchase.findMany({
+    where: {
+      userId,
+      songId: { in: lines.map((line) => line.songId) },
+      status: { in: [payments.PURCHASE_STATUS.PENDING, payments.PURCHASE_STATUS.COMPLETED] }
+    },
+    select: { songId: true, songType: true }
+  });
+  if (existing.length > 0) {
+    throw new CartError('Some cart items cannot be purchased', 409, existing.map(({ songId, songType }) => ({
+      songId,
+      songType,
+      problem: 'already_purchased'
+    })));
+  }
+}
+
+async function checkout(prisma, userId, paymentData) {
+  const items = await prisma.cartItem.findMany({
+    where: { userId },
+    orderBy: { addedAt: 'asc' }
+  });
+  if (items.length === 0) {
+    throw new CartError('Cart is empty');
+  }
+
+  const lines = await Promise.all(items.map((item) => checkLineItem(prisma, userId, item)));
+  const problems = lines
+    .filter((line) => line.problem)
+    .map(({ songId, songType, problem }) => ({ songId, songType, problem }));
+  if (problems.length > 0) {
+    throw new CartError('Some cart items cannot be purchased', 409, problems);
+  }
+
+  const currencies = [...new Set(lines.map((line) => line.currency))];
+  if (currencies.length > 1) {
+    throw new CartError('Cart items must share a single currency', 400);
+  }
+  const currency = currencies[0];
+  const total = summarizeTotals(lines)[currency];
+
+  const provider = total > 0 ? payments.getPaymentProvider() : null;
+  const intent = provider
+    ? await provider.createIntent({ amount: total, currency, metadata: { userId, itemCount: lines.length } })
+    : null;
+  const initialState = provider
+    ? { status: payments.PURCHASE_STATUS.PENDING }
+    : { status: payments.PURCHASE_STATUS.COMPLETED, completedAt: new Date() };
+
+  // an intent left behind by a lost race is never confirmed, so nothing is charged for it
+  const order = await prisma.$transaction(async (tx) => {
+    await assertNotPurchasedLocked(tx, userId, lines);
+    const created = await tx.order.create({
+      data: {
+        userId,
+        total,
+        currency,
+        ...initialState,
+        paymentProvider: provider ? provider.name : null,
+        paymentIntentId: intent ? intent.id : null
+      }
+    });
+    for (const line of lines) {
+      await tx.purchase.create({
+        data: {
+          userId,
+          songId: line.songId,
+          songType: line.songType,
+          price: line.price,
+          currency: line.currency,
+          ...initialState,
+          orderId: created.id
+        }
+      });
+    }
+    await tx.cartItem.deleteMany({ where: { userId } });
+    return created;
+  });
+
+  if (provider) {
+    // a failed payment puts the cart back so the buyer can try again
+    const restoreCart = () => prisma.cartItem.createMany({
+      data: items.map(({ songId, songType }) => ({ userId, songId, songType })),
+      skipDuplicates: true
+    });
+    let status;
+    try {
+      status = await payments.confirmPayment(prisma, provider, intent.id, paymentData);
+    } catch (error) {
+      await restoreCart();
+      throw error;
+    }
+    if (status === payments.PURCHASE_STATUS.FAILED) {
+      await restoreCart();
+    }
+  }
+
+  return prisma.order.findUnique({
+    where: { id: order.id },
+    include: { purchases: true }
+  });
+}
+
+function serializeOrder(order) {
+  if (!order) return order;
+  return {
+    ...order,
+    total: Number(order.total),
+    purchases: order.purchases ? order.purchases.map(pricing.serializePrice) : undefined
+  };
+}
+
+module.exports = {
+  SONG_TYPES,
+  CartError,
+  checkLineItem,
+  summarizeTotals,
+  addItem,
+  getCart,
+  assertNotPurchasedLocked,
+  checkout,
+  serializeOrder
+};
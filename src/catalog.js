@@ -0,0 +1,211 @@
+// one catalog item shape over user uploads and imported tracks, and the resolver every route looks songs up through
+const pricing = require('./pricing');
+const royalties = require('./royalties');
+const moderation = require('./moderation');
+const splits = require('./splits');
+const { withoutFileUrl } = require('./songs');
+
+const ITEM_TYPES = ['user', 'spotify'];
+const ART_MEDIA_TYPES = ['album_art', 'cover', 'artwork', 'image', 'album_cover'];
+
+const TRACK_INCLUDE = {
+  album: { include: { media: true, album_artists: { include: { artist: true } } } },
+  track_artists: { include: { artist: true } }
+};
+
+function catalogId(type, id) {
+  return `${type}:${id}`;
+}
+
+// ids may arrive bare with a separate type, or as the "<type>:<id>" catalog id
+function parseRef(id, type) {
+  const match = typeof id === 'string' && /^(user|spotify):(.+)$/.exec(id);
+  if (match && (!type || type === match[1])) {
+    return { type: match[1], id: match[2] };
+  }
+  return { type: type || null, id };
+}
+
+async function findTrack(prisma, id) {
+  const track = await prisma.track.findUnique({ where: { id }, include: TRACK_INCLUDE });
+  if (track) return track;
+  // purchases made before tracks had local ids stored the spotify id instead
+  return prisma.track.findFirst({ where: { spotify_id: id }, include: TRACK_INCLUDE });
+}
+
+async function resolveItem(prisma, id, type) {
+  const ref = parseRef(id, type);
+  if (!ref.id || (ref.type && !ITEM_TYPES.includes(ref.type))) return null;
+
+  if (ref.type !== 'spotify') {
+    const userSong = await prisma.userSong.findUnique({ where: { id: ref.id } });
+    if (userSong) return { type: 'user', id: userSong.id, record: userSong };
+    if (ref.type === 'user') return null;
+  }
+  const track = await findTrack(prisma, ref.id);
+  return track ? { type: 'spotify', id: track.id, record: track } : null;
+}
+
+// batch lookup for listings; refs whose type hint is wrong fall back to an untyped lookup
+async function resolveItems(prisma, refs) {
+  const parsed = refs.map(({ id, type }) => parseRef(id, type));
+  const idsOf = (wanted) => [...new Set(parsed.filter((ref) => ref.type === wanted).map((ref) => ref.id))];
+  const [userSongs, tracks] = await Promise.all([
+    idsOf('user').length > 0 ? prisma.userSong.findMany({ where: { id: { in: idsOf('user') } } }) : [],
+    idsOf('spotify').length > 0
+      ? prisma.track.findMany({ where: { id: { in: idsOf('spotify') } }, include: TRACK_INCLUDE })
+      : []
+  ]);
+
+  const found = new Map([
+    ...userSongs.map((record) => [catalogId('user', record.id), { type: 'user', id: record.id, record }]),
+    ...tracks.map((record) => [catalogId('spotify', record.id), { type: 'spotify', id: record.id, record }])
+  ]);
+
+  return Promise.all(parsed.map(async (ref) => {
+    if (ref.type && found.has(catalogId(ref.type, ref.id))) {
+      return found.get(catalogId(ref.type, ref.id));
+    }
+    return resolveItem(prisma, ref.id);
+  }));
+}
+
+// resolved items stay resolvable for purchase history after they leave the catalog; only available ones can be bought or played
+function isAvailable(resolved) {
+  if (resolved.type === 'spotify') return !resolved.record.removed_at;
+  return moderation.isPubliclyVisible(resolved.record);
+}
+
+function largestArt(media = []) {
+  return media
+    .filter((item) => ART_MEDIA_TYPES.includes(item.type) || item.type.startsWith('album_art_'))
+    .sort((a, b) => (b.width || 0) - (a.width || 0))[0] || null;
+}
+
+// shared fields first; details keeps the full source row for clients that need type-specific data
+function toCatalogItem(resolved) {
+  if (!resolved) return null;
+  const { type, id, record } = resolved;
+
+  if (type === 'user') {
+    const details = withoutFileUrl(pricing.serializePrice(record));
+    return {
+      id: catalogId(type, id),
+      type,
+      sourceId: id,
+      title: record.title,
+      artistNames: record.artist,
+      artistIds: [],
+      albumId: null,
+      albumName: record.album || null,
+      genre: record.genre || null,
+      durationMs: record.duration_ms ?? null,
+      explicit: record.explicit,
+      previewUrl: details.previewUrl ?? null,
+      imageUrl: record.imageUrl || null,
+      price: pricing.priceFor(record).price,
+      currency: pricing.priceFor(record).currency,
+      releaseDate: record.uploadedAt ? new Date(record.uploadedAt).toISOString().slice(0, 10) : null,
+      plays: record.plays || 0,
+      ownerId: record.ownerId,
+      available: isAvailable(resolved),
+      details
+    };
+  }
+
+  const artists = (record.track_artists || []).map((trackArtist) => trackArtist.artist).filter(Boolean);
+  const art = record.album ? largestArt(record.album.media) : null;
+  return {
+    id: catalogId(type, id),
+    type,
+    sourceId: id,
+    title: record.name,
+    artistNames: artists.map((artist) => artist.name).join(', '),
+    artistIds: artists.map((artist) => artist.id),
+    albumId: record.album_id,
+    albumName: record.album ? record.album.name : null,
+    genre: null,
+    durationMs: record.duration_ms,
+    explicit: record.explicit,
+    previewUrl: record.preview_url || null,
+    imageUrl: art ? art.blob_url : null,
+    price: pricing.priceFor(record).price,
+    currency: pricing.priceFor(record).currency,
+    releaseDate: record.album ? record.album.release_date : null,
+    plays: record.plays || 0,
+    ownerId: null,
+    available: isAvailable(resolved),
+    details: pricing.serializePrice(record)
+  };
+}
+
+// view rows only decide which items are on the page; the items themselves come from the source tables
+async function hydrate(prisma, rows) {
+  const resolved = await resolveItems(prisma, rows.map((row) => ({ id: row.sourceId, type: row.type })));
+  return resolved.map(toCatalogItem).filter(Boolean);
+}
+
+const DEFAULT_PLAY_WINDOW_MINUTES = 30;
+
+function playWindowMs() {
+  const minutes = parseFloat(process.env.PLAY_WINDOW_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_PLAY_WINDOW_MINUTES) * 60 * 1000;
+}
+
+// one row per listener and song holding the last counted play; false when that play is still inside the window
+async function claimPlay(prisma, resolved, listenerId, playedAt) {
+  const key = { listenerId, songId: resolved.id, songType: resolved.type };
+  const claimed = await prisma.listenerPlay.updateMany({
+    where: { ...key, lastCountedAt: { lte: new Date(playedAt.getTime() - playWindowMs()) } },
+    data: { lastCountedAt: playedAt }
+  });
+  if (claimed.count > 0) return true;
+  try {
+    await prisma.listenerPlay.create({ data: { ...key, lastCountedAt: playedAt } });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+}
+
+// each play can pay royalties, so plays by the song's rights holders and repeats inside the window are not counted
+async function recordPlay(prisma, id, type, listenerId, playedAt = new Date()) {
+  const resolved = await resolveItem(prisma, id, type);
+  if (!resolved || !isAvailable(resolved)) return null;
+
+  if (resolved.type === 'user' && await splits.isRightsHolder(prisma, resolved.record, listenerId)) {
+    return { ...resolved, counted: false };
+  }
+  if (!(await claimPlay(prisma, resolved, listenerId, playedAt))) {
+    return { ...resolved, counted: false };
+  }
+
+  if (resolved.type === 'user') {
+    const updated = await prisma.userSong.update({
+      where: { id: resolved.id },
+      data: { plays: { increment: 1 } }
+    });
+    await royalties.recordPlay(prisma, resolved.record, playedAt);
+    return { ...resolved, record: updated, counted: true };
+  }
+  const updated = await prisma.track.update({
+    where: { id: resolved.id },
+    data: { plays: { increment: 1 } },
+    include: TRACK_INCLUDE
+  });
+  return { ...resolved, record: updated, counted: true };
+}
+
+module.exports = {
+  ITEM_TYPES,
+  TRACK_INCLUDE,
+  catalogId,
+  parseRef,
+  resolveItem,
+  resolveItems,
+  isAvailable,
+  toCatalogItem,
+  hydrate,
+  recordPlay
+};
@@ -0,0 +1,382 @@
+// admin edits to the imported catalog: artists, albums, tracks, their artist links and album media
+const { v4: uuidv4 } = require('uuid');
+const pricing = require('./pricing');
+const artwork = require('./artwork');
+const { TRACK_INCLUDE } = require('./catalog');
+
+class CatalogAdminError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const ALBUM_TYPES = ['album', 'single', 'compilation'];
+const RELEASE_DATE_PRECISIONS = ['year', 'month', 'day'];
+const MEDIA_TYPE_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+function text(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new CatalogAdminError(`${field} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+function optionalText(value, field) {
+  return value === null || value === '' ? null : text(value, field);
+}
+
+const integerAtLeast = (min) => (value, field) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < min) {
+    throw new CatalogAdminError(`${field} must be an integer of at least ${min}`);
+  }
+  return number;
+};
+
+function boolean(value, field) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new CatalogAdminError(`${field} must be true or false`);
+}
+
+function albumType(value, field) {
+  if (!ALBUM_TYPES.includes(value)) {
+    throw new CatalogAdminError(`${field} must be one of ${ALBUM_TYPES.join(', ')}`);
+  }
+  return value;
+}
+
+// spotify stores year, month or day precision release dates; the precision follows from the shape
+function releaseDate(value, field) {
+  const match = typeof value === 'string' && /^\d{4}(-(0[1-9]|1[0-2]))?(-(0[1-9]|[12]\d|3[01]))?$/.exec(value);
+  if (!match || (match[3] && !match[1])) {
+    throw new CatalogAdminError(`${field} must look like YYYY, YYYY-MM or YYYY-MM-DD`);
+  }
+  return value;
+}
+
+// pricing reports its own errors; they become 400s like every other field
+const pricingField = (parse) => (value) => {
+  try {
+    return parse(value);
+  } catch (error) {
+    if (error instanceof pricing.PriceError) throw new CatalogAdminError(error.message);
+    throw error;
+  }
+};
+
+const ARTIST_FIELDS = { name: text, spotify_id: optionalText, spotify_url: optionalText };
+
+const ALBUM_FIELDS = {
+  name: text,
+  album_type: albumType,
+  total_tracks: integerAtLeast(0),
+  release_date: releaseDate,
+  spotify_id: optionalText,
+  spotify_url: optionalText
+};
+
+const TRACK_FIELDS = {
+  name: text,
+  album_id: text,
+  track_number: integerAtLeast(1),
+  disc_number: integerAtLeast(1),
+  duration_ms: integerAtLeast(0),
+  preview_url: optionalText,
+  spotify_id: optionalText,
+  spotify_url: optionalText,
+  isrc: optionalText,
+  explicit: boolean,
+  price: pricingField(pricing.parsePrice),
+  currency: pricingField(pricing.parseCurrency)
+};
+
+// only fields present in the body are written, so updates are partial
+function parseFields(body, fields, required = []) {
+  const data = {};
+  for (const [field, parse] of Object.entries(fields)) {
+    if (body[field] === undefined) {
+      if (required.includes(field)) throw new CatalogAdminError(`${field} is required`);
+      continue;
+    }
+    data[field] = parse(body[field], field);
+  }
+  if (data.release_date) {
+    data.release_date_precision = RELEASE_DATE_PRECISIONS[data.release_date.split('-').length - 1];
+  }
+  return data;
+}
+
+function parseArtistIds(value) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.length === 0 || value.some((id) => typeof id !== 'string' || !id)) {
+    throw new CatalogAdminError('artistIds must be a non-empty list of artist ids');
+  }
+  return [...new Set(value)];
+}
+
+async function assertArtistsExist(tx, artistIds) {
+  const found = await tx.artist.findMany({ where: { id: { in: artistIds } }, select: { id: true } });
+  const missing = artistIds.filter((id) => !found.some((artist) => artist.id === id));
+  if (missing.length > 0) {
+    throw new CatalogAdminError(`Unknown artist ids: ${missing.join(', ')}`, 404);
+  }
+}
+
+async function assertAlbumExists(tx, albumId) {
+  if (!(await tx.album.findUnique({ where: { id: albumId }, select: { id: true } }))) {
+    throw new CatalogAdminError('Album not found', 404);
+  }
+}
+
+// artist names are listed in link creation order, so the links are rewritten with increasing timestamps
+async function replaceArtistLinks(tx, model, key, ownerId, artistIds) {
+  await assertArtistsExist(tx, artistIds);
+  await model.deleteMany({ where: { [key]: ownerId } });
+  const base = Date.now();
+  await model.createMany({
+    data: artistIds.map((artistId, index) => ({
+      [key]: ownerId,
+      artist_id: artistId,
+      created_at: new Date(base + index)
+    }))
+  });
+}
+
+// spotify_id clashes and rows deleted since the request started become api errors
+async function writing(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error && error.code === 'P2002') {
+      throw new CatalogAdminError('spotify_id is already used by another record', 409);
+    }
+    if (error && error.code === 'P2025') {
+      throw new CatalogAdminError('Record not found', 404);
+    }
+    throw error;
+  }
+}
+
+async function createArtist(prisma, body) {
+  const data = parseFields(body, ARTIST_FIELDS, ['name']);
+  return writing(() => prisma.artist.create({ data }));
+}
+
+async function updateArtist(prisma, artistId, body) {
+  const data = parseFields(body, ARTIST_FIELDS);
+  return writing(() => prisma.artist.update({ where: { id: artistId }, data }));
+}
+
+// linked artists are merged rather than deleted so no track silently loses its credit
+async function deleteArtist(prisma, artistId) {
+  const artist = await prisma.artist.findUnique({
+    where: { id: artistId },
+    include: { _count: { select: { track_artists: true, album_artists: true } } }
+  });
+  if (!artist) {
+    throw new CatalogAdminError('Artist not found', 404);
+  }
+  if (artist._count.track_artists > 0 || artist._count.album_artists > 0) {
+    throw new CatalogAdminError('Artist is still credited on tracks or albums; merge it into another artist instead', 409);
+  }
+  await prisma.artist.delete({ where: { id: artistId } });
+  return { id: artistId, deleted: true };
+}
+
+// moves every track and album credit from the duplicate onto the kept artist, then deletes the duplicate
+async function mergeArtists(prisma, duplicateId, keptId) {
+  if (!keptId || typeof keptId !== 'string') {
+    throw new CatalogAdminError('intoArtistId is required');
+  }
+  if (duplicateId === keptId) {
+    throw new CatalogAdminError('An artist cannot be merged into itself');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const [duplicate, kept] = await Promise.all([
+      tx.artist.findUnique({ where: { id: duplicateId } }),
+      tx.artist.findUnique({ where: { id: keptId } })
+    ]);
+    if (!duplicate || !kept) {
+      throw new CatalogAdminError('Artist not found', 404);
+    }
+
+    const moved = {};
+    for (const [name, model, key] of [['tracks', tx.trackArtist, 'track_id'], ['albums', tx.albumArtist, 'album_id']]) {
+      const alreadyCredited = (await model.findMany({ where: { artist_id: keptId }, select: { [key]: true } }))
+        .map((link) => link[key]);
+      await model.deleteMany({ where: { artist_id: duplicateId, [key]: { in: alreadyCredited } } });
+      moved[name] = (await model.updateMany({ where: { artist_id: duplicateId }, data: { artist_id: keptId } })).count;
+    }
+
+    await tx.artist.delete({ where: { id: duplicateId } });
+    return { artist: kept, mergedArtistId: duplicateId, moved };
+  });
+}
+
+async function createAlbum(prisma, body) {
+  const data = parseFields({ album_type: 'album', total_tracks: 0, ...body }, ALBUM_FIELDS, ['name', 'release_date']);
+  const artistIds = parseArtistIds(body.artistIds);
+
+  return writing(() => prisma.$transaction(async (tx) => {
+    const album = await tx.album.create({ data });
+    if (artistIds) await replaceArtistLinks(tx, tx.albumArtist, 'album_id', album.id, artistIds);
+    return tx.album.findUnique({ where: { id: album.id }, include: { album_artists: { include: { artist: true } } } });
+  }));
+}
+
+async function updateAlbum(prisma, albumId, body) {
+  const data = parseFields(body, ALBUM_FIELDS);
+  const artistIds = parseArtistIds(body.artistIds);
+
+  return writing(() => prisma.$transaction(async (tx) => {
+    await tx.album.update({ where: { id: albumId }, data });
+    if (artistIds) await replaceArtistLinks(tx, tx.albumArtist, 'album_id', albumId, artistIds);
+    return tx.album.findUnique({ where: { id: albumId }, include: { album_artists: { include: { artist: true } } } });
+  }));
+}
+
+// purchases store the track id, or the spotify id for ones made before tracks had local ids
+function purchasesOf(tracks) {
+  const ids = tracks.flatMap((track) => [track.id, track.spotify_id]).filter(Boolean);
+  return { songType: 'spotify', songId: { in: ids } };
+}
+
+// deleting an album cascades to its tracks, so it is refused while any of them has been bought
+async function deleteAlbum(prisma, albumId) {
+  const album = await prisma.album.findUnique({
+    where: { id: albumId },
+    include: { tracks: { select: { id: true, spotify_id: true } } }
+  });
+  if (!album) {
+    throw new CatalogAdminError('Album not found', 404);
+  }
+  const purchases = await prisma.purchase.count({ where: purchasesOf(album.tracks) });
+  if (purchases > 0) {
+    throw new CatalogAdminError('Album has purchased tracks; remove its tracks instead so purchase history is kept', 409);
+  }
+
+  await prisma.$transaction([
+    prisma.cartItem.deleteMany({ where: { songType: 'spotify', songId: { in: album.tracks.map((track) => track.id) } } }),
+    prisma.album.delete({ where: { id: albumId } })
+  ]);
+  return { id: albumId, deleted: true, tracksDeleted: album.tracks.length };
+}
+
+async function createTrack(prisma, body) {
+  const data = parseFields({ track_number: 1, ...body }, TRACK_FIELDS, ['name', 'album_id', 'duration_ms']);
+  const artistIds = parseArtistIds(body.artistIds);
+  if (!artistIds) {
+    throw new CatalogAdminError('artistIds is required');
+  }
+
+  return writing(() => prisma.$transaction(async (tx) => {
+    await assertAlbumExists(tx, data.album_id);
+    const track = await tx.track.create({ data });
+    await replaceArtistLinks(tx, tx.trackArtist, 'track_id', track.id, artistIds);
+    return tx.track.findUnique({ where: { id: track.id }, include: TRACK_INCLUDE });
+  }));
+}
+
+async function updateTrack(prisma, trackId, body) {
+  const data = parseFields(body, TRACK_FIELDS);
+  const artistIds = parseArtistIds(body.artistIds);
+
+  return writing(() => prisma.$transaction(async (tx) => {
+    if (data.album_id) await assertAlbumExists(tx, data.album_id);
+    await tx.track.update({ where: { id: trackId }, data });
+    if (artistIds) await replaceArtistLinks(tx, tx.trackArtist, 'track_id', trackId, artistIds);
+    return tx.track.findUnique({ where: { id: trackId }, include: TRACK_INCLUDE });
+  }));
+}
+
+// bought tracks are only marked removed, so purchases keep resolving to their title, artists and price
+async function removeTrack(prisma, trackId) {
+  const track = await prisma.track.findUnique({ where: { id: trackId } });
+  if (!track) {
+    throw new CatalogAdminError('Track not found', 404);
+  }
+
+  const purchases = await prisma.purchase.count({ where: purchasesOf([track]) });
+  const cleanup = prisma.cartItem.deleteMany({ where: { songType: 'spotify', songId: trackId } });
+
+  if (purchases === 0) {
+    await prisma.$transaction([cleanup, prisma.track.delete({ where: { id: trackId } })]);
+    return { id: trackId, deleted: true, removedAt: null, purchases };
+  }
+  if (track.removed_at) {
+    throw new CatalogAdminError('Track is already removed', 409);
+  }
+  const [, removed] = await prisma.$transaction([
+    cleanup,
+    prisma.track.update({ where: { id: trackId }, data: { removed_at: new Date() } })
+  ]);
+  return { id: trackId, deleted: false, removedAt: removed.removed_at, purchases };
+}
+
+async function restoreTrack(prisma, trackId) {
+  const track = await prisma.track.findUnique({ where: { id: trackId } });
+  if (!track) {
+    throw new CatalogAdminError('Track not found', 404);
+  }
+  if (!track.removed_at) {
+    throw new CatalogAdminError('Track is not removed', 409);
+  }
+  return prisma.track.update({ where: { id: trackId }, data: { removed_at: null }, include: TRACK_INCLUDE });
+}
+
+// every replacement gets a fresh blob name so caches never serve the old image; the old blob is left to storage gc
+async function replaceMedia(prisma, storage, albumId, type, imageData) {
+  if (!MEDIA_TYPE_PATTERN.test(type)) {
+    throw new CatalogAdminError('Media type must be lowercase letters, digits and underscores');
+  }
+  await assertAlbumExists(prisma, albumId);
+  const info = await artwork.inspectArtwork(imageData);
+
+  const filename = `album-${albumId}-${type.replace(/_/g, '-')}-${uuidv4()}${info.extension}`;
+  const stored = await storage.put(filename, imageData, { contentType: info.mimeType });
+  const data = {
+    filename,
+    blob_url: stored.url,
+    spotify_url: null,
+    width: info.width,
+    height: info.height,
+    file_size: imageData.length,
+    mime_type: info.mimeType
+  };
+
+  try {
+    return await prisma.media.upsert({
+      where: { album_id_type: { album_id: albumId, type } },
+      create: { album_id: albumId, type, ...data },
+      update: data
+    });
+  } catch (error) {
+    await storage.delete(filename).catch(() => false);
+    throw error;
+  }
+}
+
+async function deleteMedia(prisma, mediaId) {
+  return writing(() => prisma.media.delete({ where: { id: mediaId } }));
+}
+
+module.exports = {
+  CatalogAdminError,
+  ALBUM_TYPES,
+  createArtist,
+  updateArtist,
+  deleteArtist,
+  mergeArtists,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  createTrack,
+  updateTrack,
+  removeTrack,
+  restoreTrack,
+  replaceMedia,
+  deleteMedia
+};
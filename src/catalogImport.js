@@ -0,0 +1,275 @@
+// imports spotify web api shaped album json into the catalog tables, keyed by spotify_id
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const artwork = require('./artwork');
+
+const MEDIA_MODES = ['link', 'download'];
+
+function emptyCounts() {
+  return { inserted: 0, updated: 0, skipped: 0 };
+}
+
+function emptyReport() {
+  return {
+    files: 0,
+    artists: emptyCounts(),
+    albums: emptyCounts(),
+    tracks: emptyCounts(),
+    media: emptyCounts(),
+    errors: [],
+    interrupted: false
+  };
+}
+
+function mergeCounts(target, source) {
+  for (const entity of ['artists', 'albums', 'tracks', 'media']) {
+    for (const field of ['inserted', 'updated', 'skipped']) {
+      target[entity][field] += source[entity][field];
+    }
+  }
+}
+
+// accepts a single album, GET /albums ({ albums }), saved albums ({ items: [{ album }] }) or a plain array
+function albumsFromJson(json) {
+  if (Array.isArray(json)) return json.flatMap(albumsFromJson);
+  if (!json || typeof json !== 'object') return [];
+  if (Array.isArray(json.albums)) return json.albums.filter(Boolean);
+  if (json.albums && Array.isArray(json.albums.items)) return json.albums.items.filter(Boolean);
+  if (Array.isArray(json.items)) return json.items.map((item) => (item && item.album) || item).filter(Boolean);
+  if (json.type === 'album' || json.tracks) return [json];
+  return [];
+}
+
+function validateAlbum(album) {
+  if (!album.id || !album.name) return 'album is missing id or name';
+  const tracks = (album.tracks && album.tracks.items) || [];
+  const badTrack = tracks.find((track) => !track || !track.id || !track.name || !Number.isInteger(track.duration_ms));
+  if (badTrack) return `track ${badTrack && badTrack.id ? badTrack.id : '(unknown)'} is missing id, name or duration_ms`;
+  const artists = [...(album.artists || []), ...tracks.flatMap((track) => track.artists || [])];
+  if (artists.some((artist) => !artist || !artist.id || !artist.name)) return 'artist is missing id or name';
+  return null;
+}
+
+function spotifyUrl(item) {
+  return (item.external_urls && item.external_urls.spotify) || null;
+}
+
+// rows that already hold the same values count as skipped so re-runs report what actually changed
+async function upsertRecord(model, where, data, counts) {
+  const existing = await model.findUnique({ where });
+  if (!existing) {
+    counts.inserted += 1;
+    return model.create({ data: { ...flattenWhere(where), ...data } });
+  }
+  if (Object.entries(data).every(([key, value]) => existing[key] === value)) {
+    counts.skipped += 1;
+    return existing;
+  }
+  counts.updated += 1;
+  return model.update({ where, data });
+}
+
+function flattenWhere(where) {
+  const [key, value] = Object.entries(where)[0];
+  return value && typeof value === 'object' ? value : { [key]: value };
+}
+
+async function upsertArtist(tx, artist, counts, artistIds) {
+  if (!artistIds.has(artist.id)) {
+    const row = await upsertRecord(tx.artist, { spotify_id: artist.id }, {
+      name: artist.name,
+      spotify_url: spotifyUrl(artist)
+    }, counts.artists);
+    artistIds.set(artist.id, row.id);
+  }
+  return artistIds.get(artist.id);
+}
+
+async function linkArtists(model, ownerKey, ownerId, artistIds) {
+  for (const artistId of artistIds) {
+    const where = { [`${ownerKey}_artist_id`]: { [ownerKey]: ownerId, artist_id: artistId } };
+    if (!(await model.findUnique({ where }))) {
+      await model.create({ data: { [ownerKey]: ownerId, artist_id: artistId } });
+    }
+  }
+  await model.deleteMany({ where: { [ownerKey]: ownerId, artist_id: { notIn: artistIds } } });
+}
+
+// the largest image keeps the album_art type the catalog queries look for; smaller ones are suffixed by width
+function mediaType(image, index) {
+  return index === 0 ? 'album_art' : `album_art_${image.width || index}`;
+}
+
+async function fetchImage(url) {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 15000 });
+  return Buffer.from(response.data);
+}
+
+// downloads happen before the album transaction so a slow image host never holds it open
+async function prepareMedia(prisma, album, { mediaMode, storage, download }) {
+  const images = [...(album.images || [])]
+    .filter((image) => image && image.url)
+    .sort((a, b) => (b.width || 0) - (a.width || 0));
+
+  const prepared = [];
+  for (const [index, image] of images.entries()) {
+    const type = mediaType(image, index);
+    const base = {
+      type,
+      spotify_url: image.url,
+      height: image.height || null,
+      width: image.width || null
+    };
+
+    if (mediaMode !== 'download') {
+      prepared.push({ ...base, filename: path.basename(new URL(image.url).pathname), blob_url: image.url });
+      continue;
+    }
+
+    const existing = await prisma.media.findFirst({
+      where: { album: { spotify_id: album.id }, type, spotify_url: image.url }
+    });
+    if (existing && existing.blob_url !== image.url) {
+      prepared.push({ ...base, filename: existing.filename, blob_url: existing.blob_url, file_size: existing.file_size, mime_type: existing.mime_type });
+      continue;
+    }
+
+    const data = await download(image.url);
+    const info = await artwork.inspectArtwork(data);
+    const filename = `album-${album.id}-${type.replace(/_/g, '-')}${info.extension}`;
+    const stored = await storage.put(filename, data, { contentType: info.mimeType });
+    prepared.push({
+      ...base,
+      filename,
+      blob_url: stored.url,
+      height: info.height,
+      width: info.width,
+      file_size: data.length,
+      mime_type: info.mimeType
+    });
+  }
+  return prepared;
+}
+
+async function importAlbum(prisma, album, options) {
+  const media = await prepareMedia(prisma, album, options);
+  const counts = emptyReport();
+
+  await prisma.$transaction(async (tx) => {
+    const artistIds = new Map();
+    const albumRow = await upsertRecord(tx.album, { spotify_id: album.id }, {
+      name: album.name,
+      album_type: album.album_type || 'album',
+      total_tracks: album.total_tracks || ((album.tracks && album.tracks.items) || []).length,
+      release_date: album.release_date || '',
+      release_date_precision: album.release_date_precision || 'day',
+      spotify_url: spotifyUrl(album)
+    }, counts.albums);
+
+    const albumArtistIds = [];
+    for (const artist of album.artists || []) {
+      albumArtistIds.push(await upsertArtist(tx, artist, counts, artistIds));
+    }
+    await linkArtists(tx.albumArtist, 'album_id', albumRow.id, albumArtistIds);
+
+    for (const track of (album.tracks && album.tracks.items) || []) {
+      const trackRow = await upsertRecord(tx.track, { spotify_id: track.id }, {
+        name: track.name,
+        album_id: albumRow.id,
+        track_number: track.track_number || 1,
+        disc_number: track.disc_number || 1,
+        duration_ms: track.duration_ms,
+        preview_url: track.preview_url || null,
+        spotify_url: spotifyUrl(track),
+        isrc: (track.external_ids && track.external_ids.isrc) || null,
+        explicit: track.explicit === true
+      }, counts.tracks);
+
+      const trackArtistIds = [];
+      for (const artist of track.artists || []) {
+        trackArtistIds.push(await upsertArtist(tx, artist, counts, artistIds));
+      }
+      await linkArtists(tx.trackArtist, 'track_id', trackRow.id, trackArtistIds);
+    }
+
+    for (const item of media) {
+      const { type, ...data } = item;
+      await upsertRecord(tx.media, { album_id_type: { album_id: albumRow.id, type } }, data, counts.media);
+    }
+  });
+
+  return counts;
+}
+
+// every album commits on its own, so an interrupted run keeps finished albums and a re-run picks up the rest
+async function importCatalog(prisma, sources, {
+  mediaMode = 'link',
+  storage = null,
+  download = fetchImage,
+  shouldStop = () => false,
+  onAlbum = () => {}
+} = {}) {
+  if (!MEDIA_MODES.includes(mediaMode)) {
+    throw new Error(`mediaMode must be one of ${MEDIA_MODES.join(', ')}`);
+  }
+  if (mediaMode === 'download' && !storage) {
+    throw new Error('Downloading album art needs a storage driver');
+  }
+
+  const report = emptyReport();
+  for (const { name, json, error } of sources) {
+    report.files += 1;
+    if (error) {
+      report.errors.push({ file: name, albumId: null, error });
+      continue;
+    }
+    for (const album of albumsFromJson(json)) {
+      if (shouldStop()) {
+        report.interrupted = true;
+        return report;
+      }
+
+      const problem = validateAlbum(album);
+      if (problem) {
+        report.albums.skipped += 1;
+        report.errors.push({ file: name, albumId: album.id || null, error: problem });
+        continue;
+      }
+
+      try {
+        mergeCounts(report, await importAlbum(prisma, album, { mediaMode, storage, download }));
+        onAlbum(album);
+      } catch (error) {
+        report.albums.skipped += 1;
+        report.errors.push({ file: name, albumId: album.id, error: error.message });
+      }
+    }
+  }
+  return report;
+}
+
+// files are read one at a time so a large dump directory is never held in memory at once
+function* readSources(paths) {
+  for (const target of paths) {
+    const files = fs.statSync(target).isDirectory()
+      ? fs.readdirSync(target).filter((name) => name.endsWith('.json')).sort().map((name) => path.join(target, name))
+      : [target];
+    for (const file of files) {
+      try {
+        yield { name: file, json: JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (error) {
+        yield { name: file, error: `could not read JSON: ${error.message}` };
+      }
+    }
+  }
+}
+
+module.exports = {
+  MEDIA_MODES,
+  albumsFromJson,
+  validateAlbum,
+  importAlbum,
+  importCatalog,
+  readSources
+};
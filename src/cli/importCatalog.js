@@ -0,0 +1,57 @@
+// usage: npm run catalog:import -- [--download-art] <file.json|directory> ...
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const catalogImport = require('../catalogImport');
+const storageBackends = require('../storage');
+
+dotenv.config();
+
+async function main(argv) {
+  const downloadArt = argv.includes('--download-art');
+  const paths = argv.filter((arg) => !arg.startsWith('--'));
+  if (paths.length === 0) {
+    console.error('usage: npm run catalog:import -- [--download-art] <file.json|directory> ...');
+    return 1;
+  }
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.error('Stopping after the current album; press Ctrl+C again to quit immediately');
+  });
+
+  const prisma = new PrismaClient();
+  try {
+    let storage = null;
+    if (downloadArt) {
+      storage = storageBackends.createStorage();
+      await storage.init();
+    }
+
+    let imported = 0;
+    const report = await catalogImport.importCatalog(prisma, catalogImport.readSources(paths), {
+      mediaMode: downloadArt ? 'download' : 'link',
+      storage,
+      shouldStop: () => stopping,
+      onAlbum: (album) => {
+        imported += 1;
+        console.error(`[${imported}] ${album.name}`);
+      }
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+    return report.errors.length > 0 || report.interrupted ? 2 : 0;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('Catalog import failed:', error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,137 @@
+// screens new uploads against existing songs and holds likely duplicates for moderator review
+const path = require('path');
+const fingerprint = require('./fingerprint');
+const moderation = require('./moderation');
+const { blobNameFromUrl } = require('./storage');
+
+const MATCH_METHOD = {
+  EXACT: 'exact',
+  ACOUSTIC: 'acoustic',
+  METADATA: 'metadata'
+};
+
+const DEFAULT_MATCH_THRESHOLD = 0.85;
+const MAX_ACOUSTIC_CANDIDATES = 500;
+const CATALOG_DURATION_TOLERANCE_MS = 2000;
+
+function matchThreshold() {
+  const threshold = parseFloat(process.env.FINGERPRINT_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+}
+
+// only songs of about the same length are compared; excerpts of longer songs are left to listener reports
+function candidateDurations(durationMs) {
+  const tolerance = Math.max(5000, durationMs * 0.05);
+  return { gte: Math.floor(durationMs - tolerance), lte: Math.ceil(durationMs + tolerance) };
+}
+
+// an uploader re-sending their own song is not a duplicate, so their songs are never candidates
+async function findMatches(prisma, { ownerId, print, title, durationMs }) {
+  const exact = await prisma.songFingerprint.findMany({
+    where: { audioHash: print.audioHash, song: { ownerId: { not: ownerId } } },
+    select: { songId: true }
+  });
+  const matches = exact.map(({ songId }) => ({
+    matchedType: 'user',
+    matchedId: songId,
+    method: MATCH_METHOD.EXACT,
+    score: 1
+  }));
+
+  if (print.fingerprint && durationMs) {
+    const candidates = await prisma.songFingerprint.findMany({
+      where: {
+        version: print.version,
+        fingerprint: { not: null },
+        songId: { notIn: exact.map(({ songId }) => songId) },
+        song: { ownerId: { not: ownerId }, duration_ms: candidateDurations(durationMs) }
+      },
+      select: { songId: true, fingerprint: true, windows: true },
+      // oldest first, so when there are more candidates than are compared the likely originals are among them
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: MAX_ACOUSTIC_CANDIDATES
+    });
+    const threshold = matchThreshold();
+    for (const candidate of candidates) {
+      const result = fingerprint.compareFingerprints(print, candidate);
+      if (result && result.similarity >= threshold) {
+        matches.push({
+          matchedType: 'user',
+          matchedId: candidate.songId,
+          method: MATCH_METHOD.ACOUSTIC,
+          score: Math.round(result.similarity * 1000) / 1000,
+          offsetMs: result.offsetMs
+        });
+      }
+    }
+  }
+
+  // catalog tracks have no audio stored here, so a live track with the same title and length is all there is to go on;
+  // covers and common titles share both, so this is recorded for moderators but never holds an upload by itself
+  if (title && durationMs) {
+    const tracks = await prisma.track.findMany({
+      where: {
+        name: { equals: title, mode: 'insensitive' },
+        removed_at: null,
+        duration_ms: { gte: durationMs - CATALOG_DURATION_TOLERANCE_MS, lte: durationMs + CATALOG_DURATION_TOLERANCE_MS }
+      },
+      select: { id: true },
+      take: 10
+    });
+    for (const track of tracks) {
+      matches.push({ matchedType: 'spotify', matchedId: track.id, method: MATCH_METHOD.METADATA, score: 1 });
+    }
+  }
+  return matches;
+}
+
+// userSong.create fields: the fingerprint, any matches, and a held status when the audio itself matched.
+// print comes from fingerprint.fingerprintStream, so the upload itself never has to be in memory here
+async function screenUpload(prisma, { ownerId, print, title, durationMs }) {
+  const matches = await findMatches(prisma, { ownerId, print, title, durationMs });
+  const audioMatched = matches.some((match) => match.method !== MATCH_METHOD.METADATA);
+  return {
+    moderationStatus: audioMatched ? moderation.MODERATION_STATUS.HELD : moderation.MODERATION_STATUS.APPROVED,
+    fingerprint: { create: print },
+    duplicateMatches: { create: matches }
+  };
+}
+
+// fingerprints songs uploaded before screening existed so new uploads are compared against them; nothing is held here.
+// a song that fails is marked and skipped afterwards, so one unreadable file cannot stall every later batch
+async function backfillFingerprints(prisma, storage, { limit = 10 } = {}) {
+  const songs = await prisma.userSong.findMany({
+    where: { fingerprint: { is: null }, fingerprintFailedAt: null },
+    orderBy: { uploadedAt: 'asc' },
+    select: { id: true, fileUrl: true, audioFormat: true },
+    take: limit
+  });
+  const report = { processed: 0, fingerprinted: 0, failed: 0 };
+
+  for (const song of songs) {
+    report.processed += 1;
+    try {
+      const blobName = blobNameFromUrl(song.fileUrl);
+      // songs from before audio columns were recorded are told apart by the extension uploads enforce
+      const format = song.audioFormat || (path.extname(blobName) === '.wav' ? 'wav' : 'mp3');
+      const print = await fingerprint.fingerprintStream(await storage.getStream(blobName), format);
+      await prisma.songFingerprint.create({ data: { songId: song.id, ...print } });
+      report.fingerprinted += 1;
+    } catch (error) {
+      console.error(`Fingerprinting failed for song ${song.id}:`, error.message);
+      await prisma.userSong.update({
+        where: { id: song.id },
+        data: { fingerprintFailedAt: new Date() }
+      });
+      report.failed += 1;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  MATCH_METHOD,
+  findMatches,
+  screenUpload,
+  backfillFingerprints
+};
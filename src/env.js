@@ -0,0 +1,13 @@
+// development-only fallbacks, allowed when NODE_ENV says so (nodemon sets development, jest sets test)
+function isDevelopment() {
+  return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+}
+
+// a fixed fallback secret is public knowledge, so anywhere else a missing secret stops the server instead
+function requireSecret(name, developmentFallback) {
+  if (process.env[name]) return process.env[name];
+  if (isDevelopment()) return developmentFallback;
+  throw new Error(`${name} must be set outside development and tests`);
+}
+
+module.exports = { isDevelopment, requireSecret };
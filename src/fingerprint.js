@@ -0,0 +1,221 @@
+// exact audio hashes and loudness-envelope fingerprints computed without decoding or external tools
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const audio = require('./audio');
+
+// bump when the envelope or bit derivation changes; fingerprints of different versions are never compared
+const FINGERPRINT_VERSION = 1;
+const WINDOW_MS = 100;
+const MAX_SHIFT_WINDOWS = 30;
+const MIN_WINDOWS = 50;
+// flat audio (silence, test tones) sets almost no bits and would match everything
+const MIN_SET_BIT_RATIO = 0.1;
+const WAV_READS_PER_SECOND = 4000;
+
+function readBits(buffer, bitOffset, count) {
+  let value = 0;
+  for (let i = 0; i < count; i += 1) {
+    const bit = bitOffset + i;
+    value = (value << 1) | ((buffer[bit >> 3] >> (7 - (bit & 7))) & 1);
+  }
+  return value;
+}
+
+// global_gain sets the quantizer step in 1.5 dB units, so it follows the loudness of each granule
+function granuleGains(buffer, offset, header) {
+  const crcBytes = buffer[offset + 1] & 0x01 ? 0 : 2;
+  const mono = header.channels === 1;
+  const gains = [];
+
+  if (header.version === '1') {
+    let bit = (offset + 4 + crcBytes) * 8 + 9 + (mono ? 5 : 3) + 4 * header.channels;
+    for (let granule = 0; granule < 2; granule += 1) {
+      let loudest = 0;
+      for (let channel = 0; channel < header.channels; channel += 1) {
+        loudest = Math.max(loudest, readBits(buffer, bit + 21, 8));
+        bit += 59;
+      }
+      gains.push(loudest);
+    }
+  } else {
+    let bit = (offset + 4 + crcBytes) * 8 + 8 + (mono ? 1 : 2);
+    let loudest = 0;
+    for (let channel = 0; channel < header.channels; channel += 1) {
+      loudest = Math.max(loudest, readBits(buffer, bit + 21, 8));
+      bit += 63;
+    }
+    gains.push(loudest);
+  }
+  return gains;
+}
+
+// the payload excludes tags, so retagging a file does not change its hash
+async function mp3Analysis(stream) {
+  const hash = crypto.createHash('sha256');
+  const windows = [];
+  let elapsedMs = 0;
+  let layer3 = true;
+
+  for await (const { frame, header, isInfoFrame } of audio.streamMpegFrames(stream)) {
+    if (isInfoFrame) continue;
+    hash.update(frame);
+    if (header.layer !== 3) {
+      layer3 = false;
+      continue;
+    }
+    const gains = granuleGains(frame, 0, header);
+    const granuleMs = (header.samplesPerFrame / gains.length / header.sampleRate) * 1000;
+    for (const gain of gains) {
+      const index = Math.floor(elapsedMs / WINDOW_MS);
+      windows[index] = windows[index] || { sum: 0, count: 0 };
+      windows[index].sum += gain * 1.5;
+      windows[index].count += 1;
+      elapsedMs += granuleMs;
+    }
+  }
+
+  const envelope = layer3 ? Array.from(windows, (window) => (window ? window.sum / window.count : 0)) : null;
+  return { audioHash: hash.digest('hex'), envelope };
+}
+
+function sampleReader(formatTag, bitsPerSample) {
+  if (formatTag === 3 && bitsPerSample === 32) return (buffer, offset) => buffer.readFloatLE(offset);
+  if (formatTag !== 1) return null;
+  if (bitsPerSample === 8) return (buffer, offset) => (buffer[offset] - 128) / 128;
+  if (bitsPerSample === 16) return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+  if (bitsPerSample === 24) return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+  if (bitsPerSample === 32) return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+  return null;
+}
+
+// loudness is estimated from an evenly spaced subset of sample frames, which is plenty for an rms level
+async function wavAnalysis(stream) {
+  const { fmtChunk, blockAlign, data } = await audio.streamWavLayout(stream);
+  const hash = crypto.createHash('sha256');
+
+  let formatTag = fmtChunk.readUInt16LE(8);
+  if (formatTag === 0xfffe && fmtChunk.length >= 34) {
+    formatTag = fmtChunk.readUInt16LE(32);
+  }
+  const channels = fmtChunk.readUInt16LE(10);
+  const sampleRate = fmtChunk.readUInt32LE(12);
+  const bitsPerSample = fmtChunk.readUInt16LE(22);
+  const read = channels && sampleRate ? sampleReader(formatTag, bitsPerSample) : null;
+
+  const bytesPerSample = bitsPerSample / 8;
+  const framesPerWindow = Math.max(1, Math.round((sampleRate * WINDOW_MS) / 1000));
+  const stride = Math.max(1, Math.floor(sampleRate / WAV_READS_PER_SECOND));
+  const envelope = [];
+  let sumSquares = 0;
+  let count = 0;
+  let frame = 0;
+  // a sample frame split across two pieces is carried over to the next one
+  let carry = Buffer.alloc(0);
+
+  for await (const piece of data) {
+    hash.update(piece);
+    if (!read) continue;
+    const bytes = carry.length > 0 ? Buffer.concat([carry, piece]) : piece;
+    const frames = Math.floor(bytes.length / blockAlign);
+    let index = 0;
+    while (index < frames) {
+      const position = frame % framesPerWindow;
+      if (position % stride === 0) {
+        for (let channel = 0; channel < channels; channel += 1) {
+          const sample = read(bytes, index * blockAlign + channel * bytesPerSample);
+          sumSquares += sample * sample;
+          count += 1;
+        }
+      }
+      // jump to the next sampled frame or the end of the window, whichever comes first
+      const nextPosition = Math.min(position - (position % stride) + stride, framesPerWindow);
+      const step = Math.min(nextPosition - position, frames - index);
+      index += step;
+      frame += step;
+      if (frame % framesPerWindow === 0) {
+        envelope.push(10 * Math.log10(sumSquares / count + 1e-10));
+        sumSquares = 0;
+        count = 0;
+      }
+    }
+    carry = Buffer.from(bytes.subarray(frames * blockAlign));
+  }
+  if (count > 0) {
+    envelope.push(10 * Math.log10(sumSquares / count + 1e-10));
+  }
+  return { audioHash: hash.digest('hex'), envelope: read ? envelope : null };
+}
+
+// one bit per window: is the next window louder than this one; robust to volume changes and re-encoding
+function envelopeBits(envelope) {
+  const count = Math.max(0, envelope.length - 1);
+  const bits = Buffer.alloc(Math.ceil(count / 8));
+  let set = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (envelope[i + 1] > envelope[i]) {
+      bits[i >> 3] |= 0x80 >> (i & 7);
+      set += 1;
+    }
+  }
+  return { bits, count, set };
+}
+
+// reads the stream once, holding a frame at a time; fingerprint is null when the format has no usable levels
+// or the audio is too short or too flat to tell apart
+async function fingerprintStream(stream, format) {
+  const { audioHash, envelope } = format === 'wav' ? await wavAnalysis(stream) : await mp3Analysis(stream);
+  const result = { version: FINGERPRINT_VERSION, audioHash, fingerprint: null, windows: 0 };
+  if (!envelope) return result;
+
+  const { bits, count, set } = envelopeBits(envelope);
+  if (count < MIN_WINDOWS || set / count < MIN_SET_BIT_RATIO || set / count > 1 - MIN_SET_BIT_RATIO) {
+    return result;
+  }
+  return { ...result, fingerprint: bits, windows: count };
+}
+
+function fingerprintAudio(buffer, format = audio.analyzeAudio(buffer).format) {
+  return fingerprintStream(Readable.from([buffer]), format);
+}
+
+function unpack(bits, count) {
+  const values = new Uint8Array(count);
+  for (let i = 0; i < count; i += 1) {
+    values[i] = (bits[i >> 3] >> (7 - (i & 7))) & 1;
+  }
+  return values;
+}
+
+// best share of agreeing bits over small alignment shifts, so trimmed leading silence still lines up
+function compareFingerprints(a, b, { maxShift = MAX_SHIFT_WINDOWS } = {}) {
+  if (!a.fingerprint || !b.fingerprint) return null;
+  const left = unpack(a.fingerprint, a.windows);
+  const right = unpack(b.fingerprint, b.windows);
+  const minOverlap = Math.max(MIN_WINDOWS, Math.floor(Math.min(left.length, right.length) * 0.8));
+
+  let best = null;
+  for (let shift = -maxShift; shift <= maxShift; shift += 1) {
+    const start = Math.max(0, -shift);
+    const end = Math.min(left.length, right.length - shift);
+    const overlap = end - start;
+    if (overlap < minOverlap) continue;
+
+    let agree = 0;
+    for (let i = start; i < end; i += 1) {
+      if (left[i] === right[i + shift]) agree += 1;
+    }
+    const similarity = agree / overlap;
+    if (!best || similarity > best.similarity) {
+      best = { similarity, offsetMs: shift * WINDOW_MS };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  WINDOW_MS,
+  fingerprintStream,
+  fingerprintAudio,
+  compareFingerprints
+};
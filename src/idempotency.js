@@ -0,0 +1,85 @@
+// replays the stored response when a client retries a request with the same Idempotency-Key
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^[\w-]{8,128}$/;
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+class IdempotencyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function fingerprint(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+async function claim(prisma, { userId, scope, key, requestFingerprint }) {
+  try {
+    await prisma.idempotencyKey.create({
+      data: { userId, scope, key, fingerprint: requestFingerprint }
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { userId_scope_key: { userId, scope, key } }
+  });
+  if (!existing) {
+    return claim(prisma, { userId, scope, key, requestFingerprint });
+  }
+  if (Date.now() - new Date(existing.createdAt).getTime() > TTL_MS) {
+    await prisma.idempotencyKey.delete({ where: { id: existing.id } });
+    return claim(prisma, { userId, scope, key, requestFingerprint });
+  }
+  if (existing.fingerprint !== requestFingerprint) {
+    throw new IdempotencyError('Idempotency-Key was already used with a different request', 422);
+  }
+  if (existing.status !== 'completed') {
+    throw new IdempotencyError('A request with this Idempotency-Key is still in progress', 409);
+  }
+  return existing;
+}
+
+// server errors release the key so the client can retry; anything else is remembered
+async function withIdempotency(prisma, { userId, scope, key, requestFingerprint }, handler) {
+  if (!key) {
+    return handler();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    throw new IdempotencyError('Idempotency-Key must be 8-128 letters, digits, dashes or underscores', 400);
+  }
+
+  const existing = await claim(prisma, { userId, scope, key, requestFingerprint });
+  if (existing) {
+    return { status: existing.responseStatus, body: existing.responseBody, replayed: true };
+  }
+
+  const where = { userId_scope_key: { userId, scope, key } };
+  let result;
+  try {
+    result = await handler();
+  } catch (error) {
+    await prisma.idempotencyKey.delete({ where }).catch(() => {});
+    throw error;
+  }
+
+  if (result.status >= 500) {
+    await prisma.idempotencyKey.delete({ where }).catch(() => {});
+  } else {
+    await prisma.idempotencyKey.update({
+      where,
+      data: { status: 'completed', responseStatus: result.status, responseBody: result.body }
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  IdempotencyError,
+  fingerprint,
+  withIdempotency
+};
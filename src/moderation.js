@@ -0,0 +1,180 @@
+// listener reports on user uploads, the moderation queue and moderator decisions with their audit trail
+const { hasRole } = require('./roles');
+
+const MODERATION_STATUS = {
+  PENDING: 'pending',
+  HELD: 'held',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden',
+  REMOVED: 'removed'
+};
+
+// held uploads matched an existing song and are not published until a moderator approves them
+const HIDDEN_STATUSES = [MODERATION_STATUS.HELD, MODERATION_STATUS.HIDDEN, MODERATION_STATUS.REMOVED];
+const REPORT_REASONS = ['copyright', 'abuse', 'hate', 'spam', 'explicit', 'other'];
+// moderationReason on a song its owner deleted after it had sold
+const WITHDRAWN_REASON = 'withdrawn';
+const MAX_DETAILS_LENGTH = 2000;
+
+// moderator actions and the status each one leaves the song in
+const ACTIONS = {
+  approve: MODERATION_STATUS.APPROVED,
+  hide: MODERATION_STATUS.HIDDEN,
+  remove: MODERATION_STATUS.REMOVED
+};
+
+class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// prisma filter for every public listing of user uploads
+const PUBLIC_SONG_WHERE = { moderationStatus: { notIn: HIDDEN_STATUSES } };
+
+// a reported song stays listed while it waits in the queue
+function isPubliclyVisible(song) {
+  return !HIDDEN_STATUSES.includes(song.moderationStatus);
+}
+
+// buyers and the owner keep their copies of moderated songs unless the takedown was for copyright
+function isCopyrightTakedown(song) {
+  return HIDDEN_STATUSES.includes(song.moderationStatus) && song.moderationReason === 'copyright';
+}
+
+function parseReason(reason) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ModerationError(`reason must be one of ${REPORT_REASONS.join(', ')}`);
+  }
+  return reason;
+}
+
+function parseDetails(details) {
+  if (details === undefined || details === null || details === '') return null;
+  if (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH) {
+    throw new ModerationError(`details must be text of at most ${MAX_DETAILS_LENGTH} characters`);
+  }
+  return details;
+}
+
+async function reportSong(prisma, reporterId, songId, { reason, details } = {}) {
+  const parsedReason = parseReason(reason);
+  const parsedDetails = parseDetails(details);
+
+  const song = await prisma.userSong.findUnique({ where: { id: songId } });
+  if (!song || !isPubliclyVisible(song)) {
+    throw new ModerationError('Song not found', 404);
+  }
+  if (song.ownerId === reporterId) {
+    throw new ModerationError('You cannot report your own song', 403);
+  }
+  const existing = await prisma.contentReport.findFirst({
+    where: { songId, reporterId, status: 'open' }
+  });
+  if (existing) {
+    throw new ModerationError('You have already reported this song', 409);
+  }
+
+  const operations = [
+    prisma.contentReport.create({
+      data: { songId, reporterId, reason: parsedReason, details: parsedDetails }
+    })
+  ];
+  // a song a moderator already approved goes back in the queue on a new report
+  if (song.moderationStatus === MODERATION_STATUS.APPROVED) {
+    operations.push(prisma.userSong.update({
+      where: { id: songId },
+      data: { moderationStatus: MODERATION_STATUS.PENDING }
+    }));
+  }
+  const [report] = await prisma.$transaction(operations);
+  return report;
+}
+
+// every decision closes the song's open reports; only admins can undo a removal
+async function moderateSong(prisma, songId, actor, action, { reason, note } = {}) {
+  const toStatus = ACTIONS[action];
+  if (!toStatus) {
+    throw new ModerationError('Unknown moderation action', 404);
+  }
+  const parsedReason = toStatus === MODERATION_STATUS.APPROVED ? null : parseReason(reason);
+
+  const song = await prisma.userSong.findUnique({ where: { id: songId } });
+  if (!song) {
+    throw new ModerationError('Song not found', 404);
+  }
+  if (song.moderationStatus === MODERATION_STATUS.REMOVED && !hasRole(actor, 'admin')) {
+    throw new ModerationError('Only an admin can change a removed song', 403);
+  }
+
+  const now = new Date();
+  const [updated, resolved] = await prisma.$transaction([
+    prisma.userSong.update({
+      where: { id: songId },
+      data: { moderationStatus: toStatus, moderationReason: parsedReason, moderatedAt: now }
+    }),
+    prisma.contentReport.updateMany({
+      where: { songId, status: 'open' },
+      data: { status: 'resolved', resolvedAt: now, resolvedBy: actor.uid }
+    }),
+    prisma.moderationAction.create({
+      data: {
+        songId,
+        moderatorId: actor.uid,
+        action,
+        fromStatus: song.moderationStatus,
+        toStatus,
+        reason: parsedReason,
+        note: note || null
+      }
+    })
+  ]);
+  return { song: updated, resolvedReports: resolved.count };
+}
+
+// an owner deleting a song that has buyers: it leaves listings and sales, but the row and blobs stay for the buyers
+async function withdrawSong(prisma, song, ownerId) {
+  const [updated] = await prisma.$transaction([
+    prisma.userSong.update({
+      where: { id: song.id },
+      data: { moderationStatus: MODERATION_STATUS.REMOVED, moderationReason: WITHDRAWN_REASON, moderatedAt: new Date() }
+    }),
+    prisma.moderationAction.create({
+      data: {
+        songId: song.id,
+        moderatorId: ownerId,
+        action: 'withdraw',
+        fromStatus: song.moderationStatus,
+        toStatus: MODERATION_STATUS.REMOVED,
+        reason: WITHDRAWN_REASON,
+        note: null
+      }
+    })
+  ]);
+  return updated;
+}
+
+async function songHistory(prisma, songId) {
+  const [reports, actions, duplicateMatches] = await Promise.all([
+    prisma.contentReport.findMany({ where: { songId }, orderBy: { createdAt: 'asc' } }),
+    prisma.moderationAction.findMany({ where: { songId }, orderBy: { createdAt: 'asc' } }),
+    prisma.duplicateMatch.findMany({ where: { songId }, orderBy: { score: 'desc' } })
+  ]);
+  return { reports, actions, duplicateMatches };
+}
+
+module.exports = {
+  MODERATION_STATUS,
+  REPORT_REASONS,
+  WITHDRAWN_REASON,
+  ACTIONS,
+  PUBLIC_SONG_WHERE,
+  ModerationError,
+  isPubliclyVisible,
+  isCopyrightTakedown,
+  reportSong,
+  moderateSong,
+  withdrawSong,
+  songHistory
+};
@@ -0,0 +1,117 @@
+// limit and page validation, opaque cursors and keyset conditions shared by the list endpoints
+class PaginationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MAX_LIMIT = 100;
+const NEXT_CURSOR_HEADER = 'X-Next-Cursor';
+
+function parsePositiveInt(value, name) {
+  if (!/^\d{1,9}$/.test(String(value)) || parseInt(value, 10) < 1) {
+    throw new PaginationError(`${name} must be a positive integer`);
+  }
+  return parseInt(value, 10);
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new PaginationError('Invalid cursor');
+  }
+  return values;
+}
+
+// a cursor takes precedence; page still works for older clients and becomes an offset
+function parsePagination(query, { defaultLimit = 10, maxLimit = MAX_LIMIT } = {}) {
+  const limit = query.limit === undefined || query.limit === ''
+    ? defaultLimit
+    : Math.min(parsePositiveInt(query.limit, 'limit'), maxLimit);
+
+  if (query.cursor) {
+    return { limit, cursor: decodeCursor(query.cursor), page: null, skip: 0 };
+  }
+  const page = query.page === undefined || query.page === '' ? 1 : parsePositiveInt(query.page, 'page');
+  return { limit, cursor: null, page, skip: (page - 1) * limit };
+}
+
+// order is a list of { field, direction } ending in a unique field
+function keysetWhere(order, values) {
+  if (values.length !== order.length) {
+    throw new PaginationError('Invalid cursor');
+  }
+  return {
+    OR: order.map(({ field, direction }, index) => ({
+      ...Object.fromEntries(order.slice(0, index).map((previous, i) => [previous.field, values[i]])),
+      [field]: { [direction === 'desc' ? 'lt' : 'gt']: values[index] }
+    }))
+  };
+}
+
+function orderByOf(order) {
+  return order.map(({ field, direction }) => ({ [field]: direction }));
+}
+
+function cursorFor(order, row) {
+  return encodeCursor(order.map(({ field }) => (row[field] instanceof Date ? row[field].toISOString() : row[field])));
+}
+
+// queries fetch one row past the limit so the last page can say there is nothing after it
+function splitPage(rows, limit, cursorOf) {
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? cursorOf(items[items.length - 1]) : null;
+  return { items, nextCursor };
+}
+
+// one page of a prisma findMany in the given order, continuing from the cursor or offset in paging
+async function findPage(model, paging, { where = {}, order, ...args }) {
+  const rows = await model.findMany({
+    ...args,
+    where: paging.cursor ? { AND: [where, keysetWhere(order, paging.cursor)] } : where,
+    orderBy: orderByOf(order),
+    skip: paging.skip,
+    take: paging.limit + 1
+  });
+  return splitPage(rows, paging.limit, (row) => cursorFor(order, row));
+}
+
+function pageInfo({ limit, page }, { total, nextCursor }) {
+  return {
+    ...(page ? { currentPage: page, totalPages: Math.ceil(total / limit) } : {}),
+    totalItems: total,
+    itemsPerPage: limit,
+    nextCursor
+  };
+}
+
+// endpoints that have always returned a bare array keep that body and announce the next page in a header
+function setNextCursor(res, nextCursor) {
+  if (nextCursor) res.set(NEXT_CURSOR_HEADER, nextCursor);
+}
+
+module.exports = {
+  PaginationError,
+  MAX_LIMIT,
+  NEXT_CURSOR_HEADER,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  keysetWhere,
+  orderByOf,
+  cursorFor,
+  splitPage,
+  findPage,
+  pageInfo,
+  setNextCursor
+};
@@ -0,0 +1,106 @@
+// deterministic in-process gateway for development and tests
+const crypto = require('crypto');
+
+const DECLINE_CARDS = {
+  '0002': 'card_declined',
+  '9995': 'insufficient_funds'
+};
+
+function createFakeProvider({ webhookSecret = 'fake-webhook-secret' } = {}) {
+  const intents = new Map();
+  let counter = 0;
+
+  function nextId(prefix) {
+    counter += 1;
+    return `${prefix}_fake_${Date.now().toString(36)}_${counter}`;
+  }
+
+  function getIntent(intentId) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Unknown payment intent ${intentId}`);
+    }
+    return intent;
+  }
+
+  function sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  return {
+    name: 'fake',
+
+    async createIntent({ amount, currency, metadata = {} }) {
+      const intent = {
+        id: nextId('pi'),
+        amount,
+        currency,
+        metadata,
+        status: 'requires_confirmation',
+        failureReason: null,
+        refunded: 0
+      };
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async confirm(intentId, paymentData = {}) {
+      const intent = getIntent(intentId);
+      if (intent.status !== 'requires_confirmation') {
+        return { ...intent };
+      }
+      const cardNumber = String((paymentData && paymentData.cardNumber) || '').replace(/\s+/g, '');
+      const declineReason = DECLINE_CARDS[cardNumber.slice(-4)];
+      intent.status = declineReason ? 'failed' : 'succeeded';
+      intent.failureReason = declineReason || null;
+      return { ...intent };
+    },
+
+    async refund(intentId, amount) {
+      const intent = getIntent(intentId);
+      if (intent.status !== 'succeeded') {
+        throw new Error('Only succeeded payments can be refunded');
+      }
+      const refundAmount = amount != null ? amount : intent.amount - intent.refunded;
+      if (refundAmount <= 0 || intent.refunded + refundAmount > intent.amount + 1e-9) {
+        throw new Error('Refund exceeds captured amount');
+      }
+      intent.refunded += refundAmount;
+      return { id: nextId('re'), intentId, amount: refundAmount, status: 'succeeded' };
+    },
+
+    verifyWebhook(rawBody, signatureHeader, toleranceSec = 300) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      const parts = Object.fromEntries(
+        String(signatureHeader || '')
+          .split(',')
+          .map((part) => part.split('='))
+          .filter((pair) => pair.length === 2)
+      );
+      const timestamp = parseInt(parts.t, 10);
+      if (!parts.v1 || !Number.isFinite(timestamp)) {
+        throw new Error('Malformed webhook signature');
+      }
+      if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSec) {
+        throw new Error('Webhook signature expired');
+      }
+      const expected = Buffer.from(sign(payload, timestamp).split('v1=')[1], 'hex');
+      const received = Buffer.from(parts.v1, 'hex');
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+      }
+      return JSON.parse(payload);
+    },
+
+    signWebhook(event) {
+      const payload = JSON.stringify(event);
+      return { payload, signature: sign(payload) };
+    }
+  };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,124 @@
+// payment provider selection and purchase state transitions
+const { createFakeProvider } = require('./fakeProvider');
+const royalties = require('../royalties');
+const env = require('../env');
+
+// every provider implements createIntent, confirm, refund and verifyWebhook
+const providerFactories = {
+  fake: createFakeProvider
+};
+
+let activeProvider = null;
+
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+// the fake gateway approves any card, so it is only the default in development and tests
+function getPaymentProvider() {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || (env.isDevelopment() ? 'fake' : null);
+    if (!name) {
+      throw new Error('PAYMENT_PROVIDER must be set outside development and tests');
+    }
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    activeProvider = factory({ webhookSecret: env.requireSecret('PAYMENT_WEBHOOK_SECRET', 'fake-webhook-secret') });
+  }
+  return activeProvider;
+}
+
+function setPaymentProvider(provider) {
+  activeProvider = provider;
+}
+
+const PURCHASE_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+const WEBHOOK_OUTCOMES = {
+  'payment_intent.succeeded': PURCHASE_STATUS.COMPLETED,
+  'payment_intent.failed': PURCHASE_STATUS.FAILED
+};
+
+function transitionData(status, failureReason) {
+  return {
+    status,
+    failureReason: status === PURCHASE_STATUS.FAILED ? failureReason : null,
+    completedAt: status === PURCHASE_STATUS.COMPLETED ? new Date() : null
+  };
+}
+
+// only pending records move, so replayed webhooks and confirm results are no-ops
+async function finalizePayment(prisma, paymentIntentId, status, failureReason = null) {
+  const data = transitionData(status, failureReason);
+  const order = await prisma.order.findUnique({ where: { paymentIntentId } });
+
+  let updated;
+  if (order) {
+    const [orderResult] = await prisma.$transaction([
+      prisma.order.updateMany({
+        where: { id: order.id, status: PURCHASE_STATUS.PENDING },
+        data
+      }),
+      prisma.purchase.updateMany({
+        where: { orderId: order.id, status: PURCHASE_STATUS.PENDING },
+        data
+      })
+    ]);
+    updated = orderResult.count > 0;
+  } else {
+    const result = await prisma.purchase.updateMany({
+      where: { paymentIntentId, status: PURCHASE_STATUS.PENDING },
+      data
+    });
+    updated = result.count > 0;
+  }
+
+  if (updated && status === PURCHASE_STATUS.COMPLETED) {
+    const purchases = await prisma.purchase.findMany({
+      where: order ? { orderId: order.id } : { paymentIntentId }
+    });
+    await royalties.recordPurchases(prisma, purchases);
+  }
+  return updated;
+}
+
+function statusFromIntent(intent) {
+  if (intent.status === 'succeeded') return PURCHASE_STATUS.COMPLETED;
+  if (intent.status === 'failed') return PURCHASE_STATUS.FAILED;
+  return PURCHASE_STATUS.PENDING;
+}
+
+// a confirm that throws leaves no payment to wait for, so its pending rows are failed instead of
+// counting as owned and turning every retry into "Already purchased"
+async function confirmPayment(prisma, provider, paymentIntentId, paymentData) {
+  let confirmed;
+  try {
+    confirmed = await provider.confirm(paymentIntentId, paymentData);
+  } catch (error) {
+    await finalizePayment(prisma, paymentIntentId, PURCHASE_STATUS.FAILED, error.message);
+    throw error;
+  }
+  const status = statusFromIntent(confirmed);
+  if (status !== PURCHASE_STATUS.PENDING) {
+    await finalizePayment(prisma, paymentIntentId, status, confirmed.failureReason);
+  }
+  return status;
+}
+
+module.exports = {
+  PURCHASE_STATUS,
+  WEBHOOK_OUTCOMES,
+  registerProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  finalizePayment,
+  statusFromIntent,
+  confirmPayment
+};
@@ -0,0 +1,148 @@
+// payout runs that snapshot accrued royalties, and monthly artist statements
+const royalties = require('./royalties');
+
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+// cutoffs are whole UTC days no later than today, since entries are dated by day and today's are still filling
+function payoutCutoff(requested, now = new Date()) {
+  const today = startOfUtcDay(now);
+  if (!requested) return today;
+  const day = startOfUtcDay(requested);
+  return day < today ? day : today;
+}
+
+// the entries are locked and re-read inside the transaction, so a run racing this one (the scheduler against an
+// admin-triggered run) waits here and then finds them already paid instead of paying the same balance twice
+async function payBalance(prisma, runId, { recipientId, currency }, cutoff) {
+  return prisma.$transaction(async (tx) => {
+    const entries = await tx.$queryRaw`
+      SELECT "id", "amount" FROM "public"."royalty_entries"
+      WHERE "recipientId" = ${recipientId} AND "currency" = ${currency}
+        AND "status" = ${royalties.ENTRY_STATUS.ACCRUED} AND "occurredOn" < ${cutoff}
+      FOR UPDATE`;
+    const amount = roundAmount(entries.reduce((sum, entry) => sum + Number(entry.amount), 0));
+    if (entries.length === 0 || amount <= 0) return null;
+
+    const created = await tx.payout.create({
+      data: { runId, recipientId, amount, currency, entryCount: entries.length, paidAt: new Date() }
+    });
+    const claimed = await tx.royaltyEntry.updateMany({
+      where: { id: { in: entries.map((entry) => entry.id) }, status: royalties.ENTRY_STATUS.ACCRUED },
+      data: { status: royalties.ENTRY_STATUS.PAID, payoutId: created.id }
+    });
+    if (claimed.count !== entries.length) {
+      throw new Error(`Royalty entries for ${recipientId} changed while being paid out`);
+    }
+    return created;
+  });
+}
+
+// entries dated on or after the cutoff stay accrued, so today's play buckets are never paid half-filled
+async function runPayouts(prisma, { triggeredBy, cutoff: requestedCutoff }) {
+  const cutoff = payoutCutoff(requestedCutoff);
+  const run = await prisma.payoutRun.create({
+    data: { cutoff, triggeredBy }
+  });
+
+  const balances = await prisma.royaltyEntry.groupBy({
+    by: ['recipientId', 'currency'],
+    where: { status: royalties.ENTRY_STATUS.ACCRUED, occurredOn: { lt: cutoff } }
+  });
+
+  const payouts = [];
+  for (const balance of balances) {
+    const payout = await payBalance(prisma, run.id, balance, cutoff);
+    if (payout) payouts.push(payout);
+  }
+
+  return prisma.payoutRun.update({
+    where: { id: run.id },
+    data: { status: 'completed', payoutCount: payouts.length, completedAt: new Date() },
+    include: { payouts: true }
+  });
+}
+
+// runs once per calendar month, on the first scheduler tick after the month starts
+function schedulePayoutRuns(prisma, { intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  const tick = async () => {
+    try {
+      const now = new Date();
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const existing = await prisma.payoutRun.findFirst({
+        where: { cutoff: monthStart, status: 'completed' }
+      });
+      if (!existing) {
+        const run = await runPayouts(prisma, { triggeredBy: 'scheduler', cutoff: monthStart });
+        console.log(`Payout run ${run.id} created ${run.payoutCount} payouts`);
+      }
+    } catch (error) {
+      console.error('Scheduled payout run failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+async function buildStatement(prisma, recipientId, period) {
+  const [balances, payouts] = await Promise.all([
+    royalties.getBalances(prisma, recipientId, { from: period, to: period }),
+    prisma.payout.findMany({
+      where: { recipientId, entries: { some: { period } } },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const songIds = [...new Set(balances.songs.map((song) => song.songId))];
+  const songs = songIds.length > 0
+    ? await prisma.userSong.findMany({ where: { id: { in: songIds } }, select: { id: true, title: true, artist: true } })
+    : [];
+  const titles = new Map(songs.map((song) => [song.id, song]));
+
+  return {
+    recipientId,
+    period,
+    generatedAt: new Date().toISOString(),
+    lines: balances.songs.map((line) => ({
+      songId: line.songId,
+      title: titles.has(line.songId) ? titles.get(line.songId).title : null,
+      artist: titles.has(line.songId) ? titles.get(line.songId).artist : null,
+      plays: line.plays,
+      sales: line.sales,
+      earnings: line.earnings,
+      currency: line.currency
+    })),
+    totals: balances.totals,
+    payouts: payouts.map((payout) => ({ ...payout, amount: Number(payout.amount) }))
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function statementToCsv(statement) {
+  const header = ['songId', 'title', 'artist', 'plays', 'sales', 'earnings', 'currency'];
+  const rows = statement.lines.map((line) => header.map((field) => csvCell(line[field])).join(','));
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  payoutCutoff,
+  runPayouts,
+  schedulePayoutRuns,
+  buildStatement,
+  statementToCsv
+};
@@ -0,0 +1,182 @@
+// preview clips cut from user song masters without re-encoding, generated by a background job
+const path = require('path');
+const audio = require('./audio');
+const { blobNameFromUrl } = require('./storage');
+
+const PREVIEW_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+const HEAD_BYTES = 4 * 1024 * 1024;
+// a claim older than this belongs to a job that died mid-song, so the song is picked up again
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+function getPreviewSettings() {
+  const offsetSec = parseFloat(process.env.PREVIEW_OFFSET_SEC);
+  const lengthSec = parseFloat(process.env.PREVIEW_LENGTH_SEC);
+  return {
+    offsetMs: (Number.isFinite(offsetSec) && offsetSec >= 0 ? offsetSec : 30) * 1000,
+    lengthMs: (Number.isFinite(lengthSec) && lengthSec > 0 ? lengthSec : 30) * 1000
+  };
+}
+
+// short tracks get their last full window, or the whole track when it is shorter than a preview
+function clipWindow(durationMs, { offsetMs, lengthMs }) {
+  const length = Math.min(lengthMs, durationMs);
+  return { startMs: Math.max(0, Math.min(offsetMs, durationMs - length)), lengthMs: length };
+}
+
+function wavFile(fmtChunk, pcm) {
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(4 + fmtChunk.length + 8 + pcm.length, 4);
+  riff.write('WAVE', 8, 'latin1');
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'latin1');
+  dataHeader.writeUInt32LE(pcm.length, 4);
+  return Buffer.concat([riff, fmtChunk, dataHeader, pcm]);
+}
+
+async function cutWav(storage, blobName, head, window) {
+  const layout = audio.wavLayout(head);
+  const align = (ms) => Math.floor((layout.byteRate * ms) / 1000 / layout.blockAlign) * layout.blockAlign;
+  const start = layout.dataOffset + align(window.startMs);
+  const length = Math.min(align(window.lengthMs), layout.dataOffset + layout.dataSize - start);
+  const pcm = start + length <= head.length
+    ? head.subarray(start, start + length)
+    : await storage.getRange(blobName, start, length);
+  return wavFile(layout.fmtChunk, pcm);
+}
+
+function cutMp3(buffer, window) {
+  const frames = [];
+  let elapsedMs = 0;
+  for (const { offset, header, isInfoFrame } of audio.mpegFrames(buffer)) {
+    if (isInfoFrame) continue;
+    if (elapsedMs >= window.startMs + window.lengthMs) break;
+    if (elapsedMs >= window.startMs) {
+      frames.push(buffer.subarray(offset, offset + header.frameLength));
+    }
+    elapsedMs += (header.samplesPerFrame * 1000) / header.sampleRate;
+  }
+  if (frames.length === 0) {
+    throw new audio.AudioError('No MPEG frames in the preview window');
+  }
+  return Buffer.concat(frames);
+}
+
+// wav masters can be huge, so only the header and the clip's byte range are fetched
+async function buildPreview(storage, blobName, { fileSize, settings = getPreviewSettings() } = {}) {
+  let head = fileSize
+    ? await storage.getRange(blobName, 0, Math.min(HEAD_BYTES, fileSize))
+    : await audio.streamToBuffer(await storage.getStream(blobName));
+  const totalSize = fileSize || head.length;
+  const info = audio.analyzeAudio(head, { totalSize });
+  const window = clipWindow(info.durationMs, settings);
+
+  let data;
+  if (info.format === 'wav') {
+    data = await cutWav(storage, blobName, head, window);
+  } else {
+    if (head.length < totalSize) {
+      head = await audio.streamToBuffer(await storage.getStream(blobName));
+    }
+    data = cutMp3(head, window);
+  }
+  return { data, extension: info.extension, mimeType: info.mimeType, ...window };
+}
+
+// stored next to the master as <master>-preview.<ext>
+async function generatePreview(prisma, storage, song) {
+  const masterBlob = blobNameFromUrl(song.fileUrl);
+  if (!masterBlob) {
+    throw new Error('Song has no stored master file');
+  }
+  const preview = await buildPreview(storage, masterBlob, { fileSize: song.fileSize });
+  const previewBlob = `${path.basename(masterBlob, path.extname(masterBlob))}-preview${preview.extension}`;
+  const stored = await storage.put(previewBlob, preview.data, { contentType: preview.mimeType });
+  return prisma.userSong.update({
+    where: { id: song.id },
+    data: { previewUrl: stored.url, previewStatus: PREVIEW_STATUS.READY }
+  });
+}
+
+// pending songs, and songs whose processing claim went stale; rows claimed before claims were timed have no claim time
+function claimableWhere(now) {
+  return {
+    OR: [
+      { previewStatus: PREVIEW_STATUS.PENDING },
+      {
+        previewStatus: PREVIEW_STATUS.PROCESSING,
+        OR: [{ previewClaimedAt: null }, { previewClaimedAt: { lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }]
+      }
+    ]
+  };
+}
+
+async function processPendingPreviews(prisma, storage, { limit = 10, now = new Date() } = {}) {
+  const songs = await prisma.userSong.findMany({
+    where: claimableWhere(now),
+    orderBy: { uploadedAt: 'asc' },
+    take: limit
+  });
+  const report = { processed: 0, ready: 0, failed: 0 };
+
+  for (const song of songs) {
+    const claimed = await prisma.userSong.updateMany({
+      where: { id: song.id, ...claimableWhere(now) },
+      data: { previewStatus: PREVIEW_STATUS.PROCESSING, previewClaimedAt: now }
+    });
+    if (claimed.count === 0) continue;
+
+    report.processed += 1;
+    try {
+      await generatePreview(prisma, storage, song);
+      report.ready += 1;
+    } catch (error) {
+      console.error(`Preview generation failed for song ${song.id}:`, error.message);
+      await prisma.userSong.update({
+        where: { id: song.id },
+        data: { previewStatus: PREVIEW_STATUS.FAILED }
+      });
+      report.failed += 1;
+    }
+  }
+  return report;
+}
+
+function schedulePreviewGeneration(prisma, storage, { intervalMs = 60 * 1000 } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await processPendingPreviews(prisma, storage);
+      if (report.processed > 0) {
+        console.log(`Preview job generated ${report.ready} previews, ${report.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Preview job failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = {
+  PREVIEW_STATUS,
+  getPreviewSettings,
+  clipWindow,
+  buildPreview,
+  generatePreview,
+  processPendingPreviews,
+  schedulePreviewGeneration
+};
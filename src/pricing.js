@@ -0,0 +1,88 @@
+// price parsing and lookup shared by song, album and purchase routes, and the prices stored per album
+const DEFAULT_PRICE = 0.99;
+const DEFAULT_CURRENCY = 'GBP';
+const SUPPORTED_CURRENCIES = ['GBP', 'USD', 'EUR'];
+const MAX_PRICE = 9999.99;
+
+class PriceError extends Error {}
+
+function parsePrice(value) {
+  const price = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof price !== 'number' || !Number.isFinite(price)) {
+    throw new PriceError('Price must be a number');
+  }
+  if (price < 0 || price > MAX_PRICE) {
+    throw new PriceError(`Price must be between 0 and ${MAX_PRICE}`);
+  }
+  if (Math.abs(price * 100 - Math.round(price * 100)) > 1e-6) {
+    throw new PriceError('Price cannot have more than two decimal places');
+  }
+  return Math.round(price * 100) / 100;
+}
+
+function parseCurrency(value) {
+  const currency = String(value || '').trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new PriceError(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+  return currency;
+}
+
+function priceFor(song) {
+  if (!song) {
+    return { price: DEFAULT_PRICE, currency: DEFAULT_CURRENCY };
+  }
+  return {
+    price: song.price != null ? Number(song.price) : DEFAULT_PRICE,
+    currency: song.currency || DEFAULT_CURRENCY
+  };
+}
+
+// an upload's own price and currency win, then the price stored for its album, then the defaults
+function uploadPrice({ price, currency }, albumPrice = null) {
+  return {
+    price: price !== undefined ? price : albumPrice ? Number(albumPrice.price) : DEFAULT_PRICE,
+    currency: currency || (albumPrice && albumPrice.currency) || DEFAULT_CURRENCY
+  };
+}
+
+async function albumPriceFor(prisma, ownerId, album) {
+  if (!album) return null;
+  return prisma.albumPrice.findUnique({ where: { ownerId_album: { ownerId, album } } });
+}
+
+// reprices the songs already on the album and keeps the price for songs uploaded into it later;
+// without a currency the stored one is kept, and a new album leaves each upload's own currency
+async function setAlbumPrice(prisma, ownerId, album, { price, currency }) {
+  return prisma.$transaction(async (tx) => {
+    const record = await tx.albumPrice.upsert({
+      where: { ownerId_album: { ownerId, album } },
+      create: { ownerId, album, price, currency: currency || null },
+      update: { price, ...(currency ? { currency } : {}) }
+    });
+    const result = await tx.userSong.updateMany({
+      where: { ownerId, album },
+      data: { price, ...(currency ? { currency } : {}) }
+    });
+    return { album, price, currency: record.currency, updated: result.count };
+  });
+}
+
+function serializePrice(record) {
+  if (!record || record.price == null) return record;
+  return { ...record, price: Number(record.price) };
+}
+
+module.exports = {
+  DEFAULT_PRICE,
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  PriceError,
+  parsePrice,
+  parseCurrency,
+  priceFor,
+  uploadPrice,
+  albumPriceFor,
+  setAlbumPrice,
+  serializePrice
+};
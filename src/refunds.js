@@ -0,0 +1,169 @@
+// buyer refund requests and seller/admin decisions on them
+const payments = require('./payments');
+const royalties = require('./royalties');
+const { hasRole } = require('./roles');
+
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  APPROVED: 'approved',
+  DENIED: 'denied'
+};
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function sellerIdFor(prisma, purchase) {
+  if (purchase.songType !== 'user') return null;
+  const song = await prisma.userSong.findUnique({ where: { id: purchase.songId } });
+  return song ? song.ownerId : null;
+}
+
+async function requestRefund(prisma, userId, purchaseId, reason) {
+  const purchase = await prisma.purchase.findUnique({ where: { id: purchaseId } });
+  if (!purchase || purchase.userId !== userId) {
+    throw new RefundError('Purchase not found', 404);
+  }
+  if (purchase.status !== payments.PURCHASE_STATUS.COMPLETED) {
+    throw new RefundError('Only completed purchases can be refunded', 409);
+  }
+  // one request per purchase: a denied refund is final rather than something to resubmit until it is approved
+  if (purchase.refundStatus === 'requested') {
+    throw new RefundError('A refund has already been requested for this purchase', 409);
+  }
+  if (purchase.refundStatus === 'denied' || purchase.refundStatus === 'refunded') {
+    throw new RefundError(`A refund for this purchase was already ${purchase.refundStatus}`, 409);
+  }
+
+  const [refundRequest] = await prisma.$transaction([
+    prisma.refundRequest.create({
+      data: {
+        purchaseId,
+        requesterId: userId,
+        reason: reason || null,
+        amount: purchase.price,
+        currency: purchase.currency
+      }
+    }),
+    prisma.purchase.update({
+      where: { id: purchaseId },
+      data: { refundStatus: 'requested' }
+    })
+  ]);
+  return refundRequest;
+}
+
+async function loadForDecision(prisma, requestId, actor) {
+  const refundRequest = await prisma.refundRequest.findUnique({
+    where: { id: requestId },
+    include: { purchase: { include: { order: true } } }
+  });
+  if (!refundRequest) {
+    throw new RefundError('Refund request not found', 404);
+  }
+
+  const sellerId = await sellerIdFor(prisma, refundRequest.purchase);
+  if (!hasRole(actor, 'admin') && sellerId !== actor.uid) {
+    throw new RefundError('Only the seller or an admin can decide this refund', 403);
+  }
+  if (refundRequest.status !== REFUND_STATUS.PENDING) {
+    throw new RefundError(`Refund request is already ${refundRequest.status}`, 409);
+  }
+  return refundRequest;
+}
+
+// moves the request out of pending atomically, so of two decisions racing on it only one goes ahead
+async function claimForDecision(prisma, refundRequest) {
+  const claimed = await prisma.refundRequest.updateMany({
+    where: { id: refundRequest.id, status: REFUND_STATUS.PENDING },
+    data: { status: REFUND_STATUS.PROCESSING }
+  });
+  if (claimed.count === 0) {
+    throw new RefundError('Refund request is already being decided', 409);
+  }
+}
+
+async function approveRefund(prisma, requestId, actor, note) {
+  const refundRequest = await loadForDecision(prisma, requestId, actor);
+  await claimForDecision(prisma, refundRequest);
+  const { purchase } = refundRequest;
+  const intentId = purchase.paymentIntentId || (purchase.order && purchase.order.paymentIntentId);
+
+  let providerRefund = null;
+  if (intentId && Number(refundRequest.amount) > 0) {
+    try {
+      providerRefund = await payments.getPaymentProvider().refund(intentId, Number(refundRequest.amount));
+    } catch (error) {
+      // nothing was refunded, so the request goes back to pending to be decided again
+      await prisma.refundRequest.updateMany({
+        where: { id: requestId, status: REFUND_STATUS.PROCESSING },
+        data: { status: REFUND_STATUS.PENDING }
+      });
+      throw error;
+    }
+  }
+
+  const now = new Date();
+  const [updated] = await prisma.$transaction([
+    prisma.refundRequest.update({
+      where: { id: requestId },
+      data: {
+        status: REFUND_STATUS.APPROVED,
+        decidedBy: actor.uid,
+        decisionNote: note || null,
+        decidedAt: now,
+        providerRefundId: providerRefund ? providerRefund.id : null
+      }
+    }),
+    prisma.purchase.update({
+      where: { id: purchase.id },
+      data: {
+        status: payments.PURCHASE_STATUS.REFUNDED,
+        refundStatus: 'refunded',
+        refundedAt: now
+      }
+    })
+  ]);
+  await royalties.reversePurchase(prisma, purchase.id, now);
+  return updated;
+}
+
+async function denyRefund(prisma, requestId, actor, note) {
+  const refundRequest = await loadForDecision(prisma, requestId, actor);
+  await claimForDecision(prisma, refundRequest);
+
+  const [updated] = await prisma.$transaction([
+    prisma.refundRequest.update({
+      where: { id: requestId },
+      data: {
+        status: REFUND_STATUS.DENIED,
+        decidedBy: actor.uid,
+        decisionNote: note || null,
+        decidedAt: new Date()
+      }
+    }),
+    prisma.purchase.update({
+      where: { id: refundRequest.purchaseId },
+      data: { refundStatus: 'denied' }
+    })
+  ]);
+  return updated;
+}
+
+function serializeRefundRequest(refundRequest) {
+  return { ...refundRequest, amount: Number(refundRequest.amount) };
+}
+
+module.exports = {
+  REFUND_STATUS,
+  RefundError,
+  sellerIdFor,
+  requestRefund,
+  approveRefund,
+  denyRefund,
+  serializeRefundRequest
+};
@@ -0,0 +1,254 @@
+// resumable chunked uploads: chunks are staged as storage blocks and committed into one blob on complete
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const fingerprint = require('./fingerprint');
+const uploads = require('./uploads');
+
+const { UploadError } = uploads;
+
+const UPLOAD_STATUS = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  COMPLETING: 'completing',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed'
+};
+
+const OPEN_STATUSES = uploads.OPEN_UPLOAD_STATUSES;
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav'
+};
+
+// enough to cover fmt/data headers and a large ID3 tag with embedded artwork
+const ANALYSIS_HEAD_BYTES = 4 * 1024 * 1024;
+
+function envBytes(name, fallback) {
+  const bytes = parseInt(process.env[name], 10);
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : fallback;
+}
+
+function getUploadLimits() {
+  return {
+    chunkSize: envBytes('UPLOAD_CHUNK_BYTES', 8 * 1024 * 1024),
+    maxFileSize: Math.min(envBytes('UPLOAD_MAX_FILE_BYTES', 1024 * 1024 * 1024), 2147483647),
+    sessionTtlMs: envBytes('UPLOAD_SESSION_TTL_HOURS', 24) * 60 * 60 * 1000
+  };
+}
+
+// Azure requires block ids of equal length within a blob
+function blockId(index) {
+  return Buffer.from(String(index).padStart(6, '0')).toString('base64');
+}
+
+function chunkCount(session) {
+  return Math.ceil(session.size / session.chunkSize);
+}
+
+function expectedChunkSize(session, index) {
+  return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+}
+
+function describeSession(session, chunks) {
+  const received = new Set(chunks.map((chunk) => chunk.index));
+  const missingChunks = [];
+  for (let index = 0; index < chunkCount(session); index += 1) {
+    if (!received.has(index)) missingChunks.push(index);
+  }
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    status: session.status,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: chunkCount(session),
+    receivedBytes: chunks.reduce((total, chunk) => total + chunk.size, 0),
+    receivedChunks: [...received].sort((a, b) => a - b),
+    missingChunks,
+    songId: session.status === UPLOAD_STATUS.COMPLETED ? session.songId : null,
+    expiresAt: session.expiresAt
+  };
+}
+
+async function createSession(prisma, userId, { filename, size }) {
+  const { chunkSize, maxFileSize, sessionTtlMs } = getUploadLimits();
+  const extension = path.extname(String(filename || '')).toLowerCase();
+  if (!filename || !CONTENT_TYPES[extension]) {
+    throw new UploadError('filename must end in .mp3 or .wav');
+  }
+  const bytes = typeof size === 'string' && size.trim() !== '' ? Number(size) : size;
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    throw new UploadError('size must be a positive whole number of bytes');
+  }
+  if (bytes > maxFileSize) {
+    throw new UploadError(`File is larger than the ${maxFileSize} byte limit`, 413);
+  }
+
+  await uploads.assertWithinQuota(prisma, userId, bytes);
+
+  const songId = uuidv4();
+  const session = await prisma.uploadSession.create({
+    data: {
+      userId,
+      songId,
+      blobName: songId + extension,
+      filename: path.basename(String(filename)),
+      size: bytes,
+      chunkSize,
+      expiresAt: new Date(Date.now() + sessionTtlMs)
+    }
+  });
+  return describeSession(session, []);
+}
+
+// sessions belong to their creator; anyone else gets the same 404 as a missing id
+async function loadSession(prisma, userId, sessionId) {
+  const session = await prisma.uploadSession.findUnique({ where: { id: sessionId } });
+  if (!session || session.userId !== userId) {
+    throw new UploadError('Upload not found', 404);
+  }
+  return session;
+}
+
+function assertOpen(session) {
+  if (session.status === UPLOAD_STATUS.COMPLETED) {
+    throw new UploadError('Upload is already complete', 409);
+  }
+  if (!OPEN_STATUSES.includes(session.status)) {
+    throw new UploadError(`Upload was ${session.status}`, 410);
+  }
+  if (session.expiresAt < new Date()) {
+    throw new UploadError('Upload session has expired', 410);
+  }
+}
+
+async function getSession(prisma, userId, sessionId) {
+  const session = await loadSession(prisma, userId, sessionId);
+  const chunks = await prisma.uploadChunk.findMany({ where: { sessionId: session.id } });
+  return describeSession(session, chunks);
+}
+
+// re-sending a chunk overwrites the staged block, so clients can retry any chunk they are unsure about
+async function appendChunk(prisma, storage, userId, sessionId, index, data) {
+  const session = await loadSession(prisma, userId, sessionId);
+  assertOpen(session);
+  if (session.status !== UPLOAD_STATUS.ACTIVE) {
+    throw new UploadError('Upload is already being completed', 409);
+  }
+
+  const chunkIndex = typeof index === 'string' && /^\d+$/.test(index) ? Number(index) : index;
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= chunkCount(session)) {
+    throw new UploadError(`Chunk index must be between 0 and ${chunkCount(session) - 1}`);
+  }
+  if (!Buffer.isBuffer(data) || data.length !== expectedChunkSize(session, chunkIndex)) {
+    throw new UploadError(`Chunk ${chunkIndex} must be exactly ${expectedChunkSize(session, chunkIndex)} bytes`);
+  }
+
+  await storage.stageBlock(session.blobName, blockId(chunkIndex), data);
+  await prisma.uploadChunk.upsert({
+    where: { sessionId_index: { sessionId: session.id, index: chunkIndex } },
+    create: { sessionId: session.id, index: chunkIndex, size: data.length },
+    update: { size: data.length }
+  });
+  return getSession(prisma, userId, sessionId);
+}
+
+// the session is claimed before committing so concurrent completes cannot create the song twice
+async function completeSession(prisma, storage, userId, sessionId, { metadata = {}, imageFile = null } = {}) {
+  const session = await loadSession(prisma, userId, sessionId);
+  if (session.status === UPLOAD_STATUS.COMPLETED) {
+    return { song: await prisma.userSong.findUnique({ where: { id: session.songId } }), replayed: true };
+  }
+  assertOpen(session);
+
+  const chunks = await prisma.uploadChunk.findMany({
+    where: { sessionId: session.id },
+    orderBy: { index: 'asc' }
+  });
+  const { missingChunks } = describeSession(session, chunks);
+  if (session.status === UPLOAD_STATUS.ACTIVE && missingChunks.length > 0) {
+    throw new UploadError(`Upload is missing ${missingChunks.length} chunk(s)`, 409);
+  }
+
+  let status = session.status;
+  const claimed = status !== UPLOAD_STATUS.COMPLETING && await prisma.uploadSession.updateMany({
+    where: { id: session.id, status },
+    data: { status: UPLOAD_STATUS.COMPLETING }
+  });
+  if (!claimed || claimed.count === 0) {
+    throw new UploadError('Upload is already being completed', 409);
+  }
+
+  let fileUrl = session.fileUrl;
+  try {
+    if (status === UPLOAD_STATUS.ACTIVE) {
+      const extension = path.extname(session.blobName);
+      const committed = await storage.commitBlocks(session.blobName, chunks.map((chunk) => blockId(chunk.index)), {
+        contentType: CONTENT_TYPES[extension]
+      });
+      status = UPLOAD_STATUS.COMMITTED;
+      fileUrl = committed.url;
+      await prisma.uploadSession.update({ where: { id: session.id }, data: { fileUrl } });
+    }
+
+    const head = await storage.getRange(session.blobName, 0, Math.min(ANALYSIS_HEAD_BYTES, session.size));
+    let audioInfo;
+    try {
+      audioInfo = uploads.analyzeUpload(head, { totalSize: session.size });
+      if (audioInfo.extension !== path.extname(session.blobName)) {
+        throw new UploadError(`File contents are ${audioInfo.format}, not ${path.extname(session.blobName).slice(1)}`);
+      }
+    } catch (error) {
+      if (error instanceof UploadError) {
+        await storage.abortBlocks(session.blobName).catch(() => {});
+        status = UPLOAD_STATUS.FAILED;
+      }
+      throw error;
+    }
+
+    const song = await uploads.createSongFromBlob(prisma, storage, {
+      songId: session.songId,
+      ownerId: userId,
+      fileUrl,
+      fileSize: session.size,
+      print: await fingerprint.fingerprintStream(await storage.getStream(session.blobName), audioInfo.format),
+      audioInfo,
+      imageFile,
+      metadata
+    });
+    await prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { status: UPLOAD_STATUS.COMPLETED, completedAt: new Date() }
+    });
+    return { song, replayed: false };
+  } catch (error) {
+    await prisma.uploadSession.update({ where: { id: session.id }, data: { status } }).catch(() => {});
+    throw error;
+  }
+}
+
+async function abortSession(prisma, storage, userId, sessionId) {
+  const session = await loadSession(prisma, userId, sessionId);
+  if (session.status === UPLOAD_STATUS.COMPLETED || session.status === UPLOAD_STATUS.COMPLETING) {
+    throw new UploadError('Completed uploads cannot be aborted', 409);
+  }
+  await storage.abortBlocks(session.blobName);
+  await prisma.uploadChunk.deleteMany({ where: { sessionId: session.id } });
+  return prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: UPLOAD_STATUS.ABORTED }
+  });
+}
+
+module.exports = {
+  UPLOAD_STATUS,
+  getUploadLimits,
+  blockId,
+  createSession,
+  getSession,
+  appendChunk,
+  completeSession,
+  abortSession
+};
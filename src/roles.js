@@ -0,0 +1,68 @@
+// server-side user roles, optionally mirrored into firebase custom claims for the frontend
+const ROLES = ['listener', 'artist', 'moderator', 'admin'];
+
+class RoleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// the database decides; the legacy admin custom claim still grants admin so existing admins keep access
+async function resolveRole(prisma, decodedToken) {
+  const user = await prisma.user.findUnique({
+    where: { firebaseUid: decodedToken.uid },
+    select: { role: true }
+  });
+  if (decodedToken.admin === true) return 'admin';
+  return user && ROLES.includes(user.role) ? user.role : 'listener';
+}
+
+// admins pass every role check
+function hasRole(user, ...allowed) {
+  return Boolean(user) && (user.role === 'admin' || allowed.includes(user.role));
+}
+
+function claimsEnabled() {
+  return process.env.ROLE_CLAIMS_ENABLED === 'true';
+}
+
+// claims only reach clients on their next token refresh, so they are informational and never checked server-side
+async function mirrorClaims(firebaseUid, role) {
+  if (!claimsEnabled()) return;
+  try {
+    // loaded here rather than at the top so modules that only check roles do not need firebase configured
+    const admin = require('../firebase');
+    await admin.auth().setCustomUserClaims(firebaseUid, { role, admin: role === 'admin' });
+  } catch (error) {
+    console.error('Role claim sync error:', error.message);
+  }
+}
+
+async function setRole(prisma, firebaseUid, role, extra = {}) {
+  if (!ROLES.includes(role)) {
+    throw new RoleError(`role must be one of ${ROLES.join(', ')}`);
+  }
+  const user = await prisma.user.findUnique({ where: { firebaseUid } });
+  if (!user) {
+    throw new RoleError('User not found', 404);
+  }
+  const updated = await prisma.user.update({ where: { firebaseUid }, data: { ...extra, role } });
+  await mirrorClaims(firebaseUid, role);
+  return updated;
+}
+
+// isArtist stays in responses for clients written before roles existed
+function serializeUser(user) {
+  return { ...user, isArtist: user.role === 'artist' };
+}
+
+module.exports = {
+  ROLES,
+  RoleError,
+  resolveRole,
+  hasRole,
+  mirrorClaims,
+  setRole,
+  serializeUser
+};
@@ -0,0 +1,231 @@
+// royalty ledger: accrues earnings from plays and purchases of user songs
+const splits = require('./splits');
+
+const ENTRY_STATUS = {
+  ACCRUED: 'accrued',
+  PAID: 'paid'
+};
+
+const ENTRY_SOURCE = {
+  PLAY: 'play',
+  PURCHASE: 'purchase',
+  REFUND: 'refund'
+};
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function getRoyaltyRates() {
+  return {
+    perPlay: Number(process.env.ROYALTY_RATE_PER_PLAY || 0.005),
+    purchaseShare: Number(process.env.ROYALTY_PURCHASE_SHARE || 0.7),
+    currency: process.env.ROYALTY_CURRENCY || 'GBP'
+  };
+}
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function periodOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+// plays are bucketed per song, recipient and day so the ledger grows by days, not plays.
+// only an accrued bucket is added to; once a payout has taken it, later plays that day open a new bucket
+async function addPlayToBucket(prisma, { song, recipientId, amount, currency, playedAt }) {
+  const day = dayOf(playedAt);
+  const bucket = { source: ENTRY_SOURCE.PLAY, songId: song.id, recipientId, occurredOn: new Date(day) };
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const added = await prisma.royaltyEntry.updateMany({
+      where: { ...bucket, status: ENTRY_STATUS.ACCRUED },
+      data: { quantity: { increment: 1 }, amount: { increment: amount } }
+    });
+    if (added.count > 0) return;
+
+    const paidBuckets = await prisma.royaltyEntry.count({ where: bucket });
+    try {
+      await prisma.royaltyEntry.create({
+        data: {
+          ...bucket,
+          sourceId: paidBuckets === 0 ? `${song.id}:${day}` : `${song.id}:${day}:${paidBuckets}`,
+          quantity: 1,
+          amount,
+          currency,
+          period: periodOf(playedAt)
+        }
+      });
+      return;
+    } catch (error) {
+      // a concurrent play opened the bucket first; add to it on the next pass
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+  throw new Error(`Could not record a play for song ${song.id}`);
+}
+
+async function recordPlay(prisma, song, playedAt = new Date()) {
+  const { perPlay, currency } = getRoyaltyRates();
+  const recipients = await splits.recipientsFor(prisma, song);
+
+  await Promise.all(recipients.map(({ recipientId, share }) => addPlayToBucket(prisma, {
+    song,
+    recipientId,
+    amount: roundAmount(perPlay * share),
+    currency,
+    playedAt
+  })));
+}
+
+async function recordPurchases(prisma, purchases) {
+  const { purchaseShare } = getRoyaltyRates();
+  const entries = [];
+
+  for (const purchase of purchases) {
+    if (purchase.songType !== 'user' || Number(purchase.price) <= 0) continue;
+    const song = await prisma.userSong.findUnique({ where: { id: purchase.songId } });
+    if (!song) continue;
+
+    const completedAt = purchase.completedAt || new Date();
+    const earnings = Number(purchase.price) * purchaseShare;
+    const recipients = await splits.recipientsFor(prisma, song);
+
+    for (const { recipientId, share } of recipients) {
+      entries.push(await prisma.royaltyEntry.upsert({
+        where: {
+          source_sourceId_recipientId: {
+            source: ENTRY_SOURCE.PURCHASE,
+            sourceId: purchase.id,
+            recipientId
+          }
+        },
+        create: {
+          songId: song.id,
+          recipientId,
+          source: ENTRY_SOURCE.PURCHASE,
+          sourceId: purchase.id,
+          amount: roundAmount(earnings * share),
+          currency: purchase.currency,
+          period: periodOf(completedAt),
+          occurredOn: new Date(dayOf(completedAt))
+        },
+        update: {}
+      }));
+    }
+  }
+  return entries;
+}
+
+// refunds claw back what the purchase accrued, whether or not it was already paid out
+async function reversePurchase(prisma, purchaseId, refundedAt = new Date()) {
+  const original = await prisma.royaltyEntry.findMany({
+    where: { source: ENTRY_SOURCE.PURCHASE, sourceId: purchaseId }
+  });
+
+  return Promise.all(original.map((entry) => prisma.royaltyEntry.upsert({
+    where: {
+      source_sourceId_recipientId: {
+        source: ENTRY_SOURCE.REFUND,
+        sourceId: purchaseId,
+        recipientId: entry.recipientId
+      }
+    },
+    create: {
+      songId: entry.songId,
+      recipientId: entry.recipientId,
+      source: ENTRY_SOURCE.REFUND,
+      sourceId: purchaseId,
+      amount: -Number(entry.amount),
+      currency: entry.currency,
+      period: periodOf(refundedAt),
+      occurredOn: new Date(dayOf(refundedAt))
+    },
+    update: {}
+  })));
+}
+
+async function getBalances(prisma, recipientId, { from, to } = {}) {
+  const period = {};
+  if (from) period.gte = from;
+  if (to) period.lte = to;
+
+  const where = { recipientId, ...(from || to ? { period } : {}) };
+  const [byPeriod, bySong] = await Promise.all([
+    prisma.royaltyEntry.groupBy({
+      by: ['period', 'currency', 'status', 'source'],
+      where,
+      _sum: { amount: true, quantity: true }
+    }),
+    prisma.royaltyEntry.groupBy({
+      by: ['songId', 'currency', 'source'],
+      where,
+      _sum: { amount: true, quantity: true }
+    })
+  ]);
+
+  const periods = new Map();
+  const totals = new Map();
+  for (const row of byPeriod) {
+    const key = `${row.period}:${row.currency}`;
+    if (!periods.has(key)) {
+      periods.set(key, { period: row.period, currency: row.currency, accrued: 0, paidOut: 0, pending: 0, plays: 0 });
+    }
+    if (!totals.has(row.currency)) {
+      totals.set(row.currency, { currency: row.currency, accrued: 0, paidOut: 0, pending: 0 });
+    }
+    const amount = Number(row._sum.amount || 0);
+    for (const bucket of [periods.get(key), totals.get(row.currency)]) {
+      bucket.accrued += amount;
+      if (row.status === ENTRY_STATUS.PAID) {
+        bucket.paidOut += amount;
+      } else {
+        bucket.pending += amount;
+      }
+    }
+    if (row.source === ENTRY_SOURCE.PLAY) {
+      periods.get(key).plays += row._sum.quantity || 0;
+    }
+  }
+
+  const songs = new Map();
+  for (const row of bySong) {
+    const key = `${row.songId}:${row.currency}`;
+    if (!songs.has(key)) {
+      songs.set(key, { songId: row.songId, currency: row.currency, plays: 0, sales: 0, earnings: 0 });
+    }
+    const song = songs.get(key);
+    song.earnings += Number(row._sum.amount || 0);
+    if (row.source === ENTRY_SOURCE.PLAY) song.plays += row._sum.quantity || 0;
+    if (row.source === ENTRY_SOURCE.PURCHASE) song.sales += row._sum.quantity || 0;
+    if (row.source === ENTRY_SOURCE.REFUND) song.sales -= row._sum.quantity || 0;
+  }
+
+  const round = (bucket, fields) => {
+    for (const field of fields) bucket[field] = roundAmount(bucket[field]);
+    return bucket;
+  };
+
+  return {
+    periods: [...periods.values()]
+      .map((bucket) => round(bucket, ['accrued', 'paidOut', 'pending']))
+      .sort((a, b) => b.period.localeCompare(a.period)),
+    songs: [...songs.values()].map((song) => round(song, ['earnings'])),
+    totals: [...totals.values()].map((bucket) => round(bucket, ['accrued', 'paidOut', 'pending']))
+  };
+}
+
+module.exports = {
+  ENTRY_STATUS,
+  ENTRY_SOURCE,
+  PERIOD_PATTERN,
+  getRoyaltyRates,
+  periodOf,
+  recordPlay,
+  recordPurchases,
+  reversePurchase,
+  getBalances
+};
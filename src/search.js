@@ -0,0 +1,333 @@
+// catalog and artist search over the trigram indexed search_documents table and artist names
+const { ITEM_TYPES } = require('./catalog');
+const { PaginationError, encodeCursor, splitPage } = require('./pagination');
+
+const SORT_OPTIONS = ['relevance', 'name', 'duration_ms', 'album_release_date'];
+const SORT_ORDERS = ['asc', 'desc'];
+const MAX_TERMS = 8;
+const MAX_TERM_LENGTH = 64;
+
+class SearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// absent or empty parameters are no filter; anything else must be a number, not silently dropped as NaN
+function parseNumber(value, name, { integer = false } = {}) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new SearchError(`${name} must be a non-negative ${integer ? 'integer' : 'number'}`);
+  }
+  return number;
+}
+
+function parseFilters(query) {
+  const seconds = (name) => {
+    const value = parseNumber(query[name], name);
+    return value === undefined ? undefined : Math.round(value * 1000);
+  };
+  const flag = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+  return {
+    type: query.type,
+    explicit: flag(query.explicit),
+    hasPreview: flag(query.hasPreview),
+    minDurationMs: seconds('minDurationSec'),
+    maxDurationMs: seconds('maxDurationSec'),
+    genre: query.genre,
+    albumType: query.albumType,
+    artistId: query.artistId,
+    minReleaseYear: parseNumber(query.minReleaseYear, 'minReleaseYear', { integer: true }),
+    maxReleaseYear: parseNumber(query.maxReleaseYear, 'maxReleaseYear', { integer: true }),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice')
+  };
+}
+
+// relevance is the default only when there is a query to be relevant to
+function parseSort(query) {
+  const hasQuery = Boolean(query.q && String(query.q).trim());
+  const sortBy = query.sortBy || (hasQuery ? 'relevance' : 'name');
+  const sortOrder = query.sortOrder || 'asc';
+  if (!SORT_OPTIONS.includes(sortBy)) {
+    throw new SearchError(`sortBy must be one of ${SORT_OPTIONS.join(', ')}`);
+  }
+  if (!SORT_ORDERS.includes(sortOrder)) {
+    throw new SearchError(`sortOrder must be one of ${SORT_ORDERS.join(', ')}`);
+  }
+  return { sortBy, sortOrder };
+}
+
+// raw queries are built with numbered placeholders so every user value goes through as a bind parameter
+function createParams() {
+  const values = [];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+}
+
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function searchTerms(q) {
+  return String(q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.slice(0, MAX_TERM_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+}
+
+// each term must appear somewhere in the item, either as a substring or as a close enough word for typos
+function termConditions(terms, params) {
+  return terms.map((term) => {
+    const pattern = params.add(`%${escapeLike(term)}%`);
+    const word = params.add(term);
+    return `(sd."searchText" ILIKE ${pattern} OR ${word}::text <% sd."searchText")`;
+  });
+}
+
+// title matches outweigh artist matches, which outweigh album matches; titles starting with the query get a boost
+function rankExpression(terms, params) {
+  if (terms.length === 0) return '0';
+  const scores = terms.map((term) => {
+    const word = params.add(term);
+    return `(2 * word_similarity(${word}::text, sd."title")` +
+      ` + word_similarity(${word}::text, sd."artistNames")` +
+      ` + 0.5 * word_similarity(${word}::text, COALESCE(sd."albumName", '')))`;
+  });
+  const prefix = params.add(`${escapeLike(terms.join(' '))}%`);
+  return `(${scores.join(' + ')} + CASE WHEN sd."title" ILIKE ${prefix} THEN 1 ELSE 0 END)`;
+}
+
+// facet counts leave their own filter out; skipped filters never bind a placeholder, since unused ones fail in postgres
+function filterConditions(filters, params, excludeFacet = null) {
+  const conditions = [];
+  const add = (facet, sql) => {
+    if (facet !== excludeFacet) conditions.push(sql());
+  };
+
+  if (ITEM_TYPES.includes(filters.type)) add('type', () => `ci."type" = ${params.add(filters.type)}`);
+  if (filters.genre) add('genre', () => `lower(ci."genre") = lower(${params.add(filters.genre)}::text)`);
+  if (filters.albumType) add('albumType', () => `ci."albumType" = ${params.add(filters.albumType)}`);
+  if (filters.artistId) add('artist', () => `${params.add(filters.artistId)}::text = ANY(ci."artistIds")`);
+  if (filters.explicit === true || filters.explicit === false) {
+    add('explicit', () => `ci."explicit" = ${params.add(filters.explicit)}`);
+  }
+  if (filters.hasPreview === true) add('hasPreview', () => 'ci."previewUrl" IS NOT NULL');
+  if (filters.hasPreview === false) add('hasPreview', () => 'ci."previewUrl" IS NULL');
+  if (Number.isFinite(filters.minReleaseYear)) add('releaseYear', () => `ci."releaseYear" >= ${params.add(filters.minReleaseYear)}`);
+  if (Number.isFinite(filters.maxReleaseYear)) add('releaseYear', () => `ci."releaseYear" <= ${params.add(filters.maxReleaseYear)}`);
+  if (Number.isFinite(filters.minPrice)) add('price', () => `ci."price" >= ${params.add(filters.minPrice)}`);
+  if (Number.isFinite(filters.maxPrice)) add('price', () => `ci."price" <= ${params.add(filters.maxPrice)}`);
+  if (Number.isFinite(filters.minDurationMs)) add('duration', () => `ci."durationMs" >= ${params.add(filters.minDurationMs)}`);
+  if (Number.isFinite(filters.maxDurationMs)) add('duration', () => `ci."durationMs" <= ${params.add(filters.maxDurationMs)}`);
+  return conditions;
+}
+
+function matchClause(terms, filters, params, { excludeFacet = null, join = null, condition = null } = {}) {
+  const joins = [
+    terms.length > 0 ? 'JOIN "search_documents" sd ON sd."type" = ci."type" AND sd."sourceId" = ci."sourceId"' : null,
+    join
+  ].filter(Boolean);
+  const conditions = [
+    ...termConditions(terms, params),
+    ...filterConditions(filters, params, excludeFacet),
+    condition
+  ].filter(Boolean);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return `FROM "catalog_items" ci ${joins.join(' ')} ${where}`;
+}
+
+// every ordering ends in the unique id so a cursor always points between two rows; missing durations sort last
+function sortKeys(sortBy, sortOrder, rank) {
+  const direction = sortOrder === 'desc' ? 'desc' : 'asc';
+  const id = { expr: 'ci."id"', direction: 'asc', cast: 'text' };
+  if (sortBy === 'relevance' && rank) {
+    return [{ expr: `(${rank})::float8`, direction: 'desc', cast: 'float8' }, { expr: 'ci."title"', direction: 'asc', cast: 'text' }, id];
+  }
+  if (sortBy === 'duration_ms') {
+    const missing = direction === 'desc' ? -1 : 2147483647;
+    return [{ expr: `COALESCE(ci."durationMs", ${missing})`, direction, cast: 'int' }, id];
+  }
+  if (sortBy === 'album_release_date') return [{ expr: 'ci."releaseDate"', direction, cast: 'text' }, id];
+  return [{ expr: 'ci."title"', direction, cast: 'text' }, id];
+}
+
+// cursor values are cast in sql, so one of the wrong type would fail there instead of being a bad request
+const CURSOR_VALUE_CHECKS = {
+  int: Number.isInteger,
+  float8: Number.isFinite,
+  text: (value) => value === null || typeof value === 'string'
+};
+
+function assertCursorFits(keys, values) {
+  if (values.length !== keys.length || keys.some((key, index) => !CURSOR_VALUE_CHECKS[key.cast](values[index]))) {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+// lets a route reject a cursor before any query runs; the rank expression only matters for its key type here
+function checkCursor({ q, sortBy, sortOrder, cursor }) {
+  if (cursor) assertCursorFits(sortKeys(sortBy, sortOrder, searchTerms(q).length > 0 ? 'rank' : null), cursor);
+}
+
+// rows strictly after the cursor in the given ordering, spelled out per key since directions can differ
+function keysetCondition(keys, values, params) {
+  assertCursorFits(keys, values);
+  const bound = keys.map((key, index) => `${params.add(values[index])}::${key.cast}`);
+  const branches = keys.map((key, index) => [
+    ...keys.slice(0, index).map((previous, i) => `${previous.expr} = ${bound[i]}`),
+    `${key.expr} ${key.direction === 'desc' ? '<' : '>'} ${bound[index]}`
+  ].join(' AND '));
+  return `((${branches.join(') OR (')}))`;
+}
+
+// returns catalog_items rows (type and sourceId) for the page in order, the total match count and the next cursor
+async function searchCatalog(prisma, {
+  q,
+  filters = {},
+  sortBy = 'name',
+  sortOrder = 'asc',
+  cursor = null,
+  skip = 0,
+  take = 10
+}) {
+  const terms = searchTerms(q);
+
+  const params = createParams();
+  const rank = terms.length > 0 ? rankExpression(terms, params) : null;
+  const keys = sortKeys(sortBy, sortOrder, rank);
+  const after = cursor ? keysetCondition(keys, cursor, params) : null;
+  const from = matchClause(terms, filters, params, { condition: after });
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT ci."id", ci."type", ci."sourceId", ${keys.map((key, index) => `${key.expr} AS "k${index}"`).join(', ')} ${from}
+     ORDER BY ${keys.map((key, index) => `"k${index}" ${key.direction.toUpperCase()}`).join(', ')}
+     LIMIT ${params.add(take + 1)} OFFSET ${params.add(skip)}`,
+    ...params.values
+  );
+
+  const countParams = createParams();
+  const [{ total }] = await prisma.$queryRawUnsafe(
+    `SELECT COUNT(*)::int AS "total" ${matchClause(terms, filters, countParams)}`,
+    ...countParams.values
+  );
+
+  const { items, nextCursor } = splitPage(rows, take, (row) => encodeCursor(keys.map((key, index) => row[`k${index}`])));
+  return { rows: items, total, nextCursor };
+}
+
+const FACET_LIMIT = 20;
+
+// value expressions per facet; artist unnests the id array so multi-artist tracks count once per artist
+const FACETS = {
+  type: { select: 'ci."type" AS "value"', order: '"value" ASC' },
+  genre: { select: 'ci."genre" AS "value"', where: 'ci."genre" IS NOT NULL', order: '"count" DESC, "value" ASC' },
+  albumType: { select: 'ci."albumType" AS "value"', where: 'ci."albumType" IS NOT NULL', order: '"count" DESC, "value" ASC' },
+  releaseYear: { select: 'ci."releaseYear" AS "value"', where: 'ci."releaseYear" IS NOT NULL', order: '"value" DESC' },
+  artist: {
+    select: 'a."id" AS "value", a."name" AS "name"',
+    join: 'CROSS JOIN LATERAL unnest(ci."artistIds") AS credited("artistId") JOIN "artists" a ON a."id" = credited."artistId"',
+    group: 'a."id", a."name"',
+    order: '"count" DESC, "name" ASC'
+  },
+  explicit: { select: 'ci."explicit" AS "value"', order: '"value" ASC' },
+  hasPreview: { select: '(ci."previewUrl" IS NOT NULL) AS "value"', order: '"value" DESC' },
+  price: { select: 'ci."price"::float8 AS "value", ci."currency" AS "currency"', group: '1, 2', order: '"value" ASC, "currency" ASC' }
+};
+
+// each facet counts matches with every other filter applied, so the sidebar shows what picking a value would give
+async function facetCounts(prisma, { q, filters = {} }) {
+  const terms = searchTerms(q);
+  const entries = await Promise.all(Object.entries(FACETS).map(async ([facet, spec]) => {
+    const params = createParams();
+    const from = matchClause(terms, filters, params, { excludeFacet: facet, join: spec.join, condition: spec.where });
+    const rows = await prisma.$queryRawUnsafe(
+      `SELECT ${spec.select}, COUNT(*)::int AS "count" ${from}
+       GROUP BY ${spec.group || '1'}
+       ORDER BY ${spec.order}
+       LIMIT ${FACET_LIMIT}`,
+      ...params.values
+    );
+    return [facet, rows];
+  }));
+  return Object.fromEntries(entries);
+}
+
+async function searchArtists(prisma, { q, cursor = null, skip = 0, take = 10 }) {
+  const term = searchTerms(q).join(' ');
+  const matches = (params) => {
+    const pattern = params.add(`%${escapeLike(term)}%`);
+    return `(a."name" ILIKE ${pattern} OR ${params.add(term)}::text <% a."name")`;
+  };
+
+  const params = createParams();
+  const keys = [
+    { expr: `word_similarity(${params.add(term)}::text, a."name")::float8`, direction: 'desc', cast: 'float8' },
+    { expr: 'a."name"', direction: 'asc', cast: 'text' },
+    { expr: 'a."id"', direction: 'asc', cast: 'text' }
+  ];
+  const conditions = [matches(params), cursor ? keysetCondition(keys, cursor, params) : null].filter(Boolean);
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT a."id", ${keys.map((key, index) => `${key.expr} AS "k${index}"`).join(', ')}
+     FROM "artists" a WHERE ${conditions.join(' AND ')}
+     ORDER BY "k0" DESC, "k1" ASC, "k2" ASC
+     LIMIT ${params.add(take + 1)} OFFSET ${params.add(skip)}`,
+    ...params.values
+  );
+
+  const countParams = createParams();
+  const [{ total }] = await prisma.$queryRawUnsafe(
+    `SELECT COUNT(*)::int AS "total" FROM "artists" a WHERE ${matches(countParams)}`,
+    ...countParams.values
+  );
+
+  const { items, nextCursor } = splitPage(rows, take, (row) => encodeCursor([row.k0, row.k1, row.k2]));
+  return { ids: items.map((row) => row.id), total, nextCursor };
+}
+
+// prefix matches on any word of a title or artist name, shortest first, for search-as-you-type
+async function suggest(prisma, q, limit = 5) {
+  const term = searchTerms(q).join(' ');
+  if (!term) return { songs: [], artists: [] };
+
+  const startsWith = `${escapeLike(term)}%`;
+  const wordStartsWith = `% ${escapeLike(term)}%`;
+  const [songs, artists] = await Promise.all([
+    prisma.$queryRawUnsafe(
+      `SELECT sd."id", sd."type", sd."sourceId", sd."title", sd."artistNames" FROM "search_documents" sd
+       WHERE sd."title" ILIKE $1 OR sd."title" ILIKE $2
+       ORDER BY (sd."title" ILIKE $1) DESC, length(sd."title") ASC, sd."title" ASC
+       LIMIT $3`,
+      startsWith, wordStartsWith, limit
+    ),
+    prisma.$queryRawUnsafe(
+      `SELECT a."id", a."name" FROM "artists" a
+       WHERE a."name" ILIKE $1 OR a."name" ILIKE $2
+       ORDER BY (a."name" ILIKE $1) DESC, length(a."name") ASC, a."name" ASC
+       LIMIT $3`,
+      startsWith, wordStartsWith, limit
+    )
+  ]);
+  return { songs, artists };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  SearchError,
+  parseFilters,
+  parseSort,
+  checkCursor,
+  searchTerms,
+  searchCatalog,
+  facetCounts,
+  searchArtists,
+  suggest
+};
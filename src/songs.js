@@ -0,0 +1,20 @@
+// access checks and public serialization for user uploaded songs
+async function canAccessUserSong(prisma, userId, song) {
+  if (song.ownerId === userId) return true;
+  const purchase = await prisma.purchase.findFirst({
+    where: { userId, songId: song.id, songType: 'user', status: 'completed' }
+  });
+  return Boolean(purchase);
+}
+
+// the master file is only reachable through signed download urls, and previews through GET /songs/:id/preview
+function withoutFileUrl(song) {
+  if (!song || !('fileUrl' in song)) return song;
+  const { fileUrl, ...rest } = song;
+  if ('previewUrl' in rest) {
+    rest.previewUrl = rest.previewUrl ? `/songs/${rest.id}/preview` : null;
+  }
+  return rest;
+}
+
+module.exports = { canAccessUserSong, withoutFileUrl };
@@ -0,0 +1,178 @@
+// collaborator split sheets for user songs and the audit trail of changes to them
+const SPLIT_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+class SplitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// percentages are compared in hundredths so 33.33 + 33.33 + 33.34 totals exactly 100
+function toHundredths(value) {
+  const percentage = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof percentage !== 'number' || !Number.isFinite(percentage) || percentage <= 0 || percentage > 100) {
+    throw new SplitError('Each percentage must be a number greater than 0 and at most 100');
+  }
+  const hundredths = Math.round(percentage * 100);
+  if (Math.abs(percentage * 100 - hundredths) > 1e-6) {
+    throw new SplitError('Percentages cannot have more than two decimal places');
+  }
+  return hundredths;
+}
+
+function validateSheet(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new SplitError('splits must be a non-empty array');
+  }
+
+  const seen = new Set();
+  let total = 0;
+  const normalized = lines.map((line) => {
+    const collaboratorId = line && typeof line.collaboratorId === 'string' ? line.collaboratorId.trim() : '';
+    const role = line && typeof line.role === 'string' ? line.role.trim() : '';
+    if (!collaboratorId) {
+      throw new SplitError('Each split needs a collaboratorId');
+    }
+    if (!role) {
+      throw new SplitError('Each split needs a role');
+    }
+    if (seen.has(collaboratorId)) {
+      throw new SplitError(`Collaborator ${collaboratorId} appears more than once`);
+    }
+    seen.add(collaboratorId);
+
+    const hundredths = toHundredths(line.percentage);
+    total += hundredths;
+    return { collaboratorId, role, percentage: hundredths / 100 };
+  });
+
+  if (total !== 10000) {
+    throw new SplitError(`Split percentages must total 100, got ${total / 100}`);
+  }
+  return normalized;
+}
+
+const SALE_STATUSES = ['completed', 'refunded'];
+
+async function hasSales(prisma, songId) {
+  const sale = await prisma.purchase.findFirst({
+    where: { songType: 'user', songId, status: { in: SALE_STATUSES } }
+  });
+  return Boolean(sale);
+}
+
+// runs inside the sheet write: locking the song's purchase rows makes a pending purchase that is completing
+// wait for the new sheet, so no sale can land between this check and the write
+async function assertUnsoldLocked(tx, songId) {
+  const purchases = await tx.$queryRaw`
+    SELECT "status" FROM "public"."purchases"
+    WHERE "songType" = 'user' AND "songId" = ${songId}
+    FOR UPDATE`;
+  if (purchases.some((purchase) => SALE_STATUSES.includes(purchase.status))) {
+    throw new SplitError('Splits cannot be changed after the first sale', 409);
+  }
+}
+
+function audit(client, songId, actorId, action, details) {
+  return client.splitAuditLog.create({
+    data: { songId, actorId, action, details }
+  });
+}
+
+async function replaceSheet(prisma, song, actorId, lines) {
+  const normalized = validateSheet(lines);
+
+  return prisma.$transaction(async (tx) => {
+    await assertUnsoldLocked(tx, song.id);
+    await tx.songSplit.deleteMany({ where: { songId: song.id } });
+    for (const line of normalized) {
+      const isOwner = line.collaboratorId === song.ownerId;
+      await tx.songSplit.create({
+        data: {
+          songId: song.id,
+          ...line,
+          status: isOwner ? SPLIT_STATUS.ACCEPTED : SPLIT_STATUS.PENDING,
+          respondedAt: isOwner ? new Date() : null
+        }
+      });
+    }
+    await audit(tx, song.id, actorId, 'sheet_replaced', { splits: normalized });
+    return tx.songSplit.findMany({ where: { songId: song.id }, orderBy: { createdAt: 'asc' } });
+  });
+}
+
+async function clearSheet(prisma, song, actorId) {
+  await prisma.$transaction(async (tx) => {
+    await assertUnsoldLocked(tx, song.id);
+    await tx.songSplit.deleteMany({ where: { songId: song.id } });
+    await audit(tx, song.id, actorId, 'sheet_cleared', null);
+  });
+}
+
+async function respond(prisma, songId, collaboratorId, accept) {
+  const split = await prisma.songSplit.findUnique({
+    where: { songId_collaboratorId: { songId, collaboratorId } }
+  });
+  if (!split) {
+    throw new SplitError('You are not a collaborator on this song', 404);
+  }
+  if (split.status !== SPLIT_STATUS.PENDING) {
+    throw new SplitError(`Split is already ${split.status}`, 409);
+  }
+
+  const status = accept ? SPLIT_STATUS.ACCEPTED : SPLIT_STATUS.DECLINED;
+  const [updated] = await prisma.$transaction([
+    prisma.songSplit.update({
+      where: { id: split.id },
+      data: { status, respondedAt: new Date() }
+    }),
+    audit(prisma, songId, collaboratorId, accept ? 'split_accepted' : 'split_declined', {
+      percentage: Number(split.percentage),
+      role: split.role
+    })
+  ]);
+  return updated;
+}
+
+// the owner keeps everything until every collaborator has accepted the sheet
+async function recipientsFor(prisma, song) {
+  const splits = await prisma.songSplit.findMany({ where: { songId: song.id } });
+  if (splits.length === 0 || splits.some((split) => split.status !== SPLIT_STATUS.ACCEPTED)) {
+    return [{ recipientId: song.ownerId, share: 1 }];
+  }
+  return splits.map((split) => ({
+    recipientId: split.collaboratorId,
+    share: Number(split.percentage) / 100
+  }));
+}
+
+// the owner and anyone on the sheet who has not declined stand to earn from the song's plays
+async function isRightsHolder(prisma, song, userId) {
+  if (song.ownerId === userId) return true;
+  const split = await prisma.songSplit.findFirst({
+    where: { songId: song.id, collaboratorId: userId, status: { not: SPLIT_STATUS.DECLINED } }
+  });
+  return Boolean(split);
+}
+
+function serializeSplit(split) {
+  return { ...split, percentage: Number(split.percentage) };
+}
+
+module.exports = {
+  SPLIT_STATUS,
+  SplitError,
+  validateSheet,
+  hasSales,
+  replaceSheet,
+  clearSheet,
+  respond,
+  recipientsFor,
+  isRightsHolder,
+  serializeSplit
+};
@@ -0,0 +1,86 @@
+// azure blob container storage; signed urls are read-only SAS links
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+
+function createAzureStorage({ connectionString, containerName }) {
+  const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+
+  return {
+    name: 'azure',
+
+    async init() {
+      const exists = await containerClient.exists();
+      if (!exists) {
+        await containerClient.create();
+        console.log('Container created successfully!');
+      }
+    },
+
+    async ping() {
+      await containerClient.exists();
+    },
+
+    async put(blobName, data, { contentType } = {}) {
+      const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+      await blockBlobClient.upload(data, data.length, {
+        ...(contentType ? { blobHTTPHeaders: { blobContentType: contentType } } : {})
+      });
+      return { blobName, url: blockBlobClient.url };
+    },
+
+    async stageBlock(blobName, blockId, data) {
+      await containerClient.getBlockBlobClient(blobName).stageBlock(blockId, data, data.length);
+    },
+
+    async commitBlocks(blobName, blockIds, { contentType } = {}) {
+      const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+      await blockBlobClient.commitBlockList(blockIds, {
+        ...(contentType ? { blobHTTPHeaders: { blobContentType: contentType } } : {})
+      });
+      return { blobName, url: blockBlobClient.url };
+    },
+
+    // uncommitted blocks are discarded by Azure after a week, so aborting only needs to drop committed data
+    async abortBlocks(blobName) {
+      await containerClient.getBlobClient(blobName).deleteIfExists();
+    },
+
+    async getRange(blobName, offset, length) {
+      return containerClient.getBlobClient(blobName).downloadToBuffer(offset, length);
+    },
+
+    async getStream(blobName) {
+      const download = await containerClient.getBlobClient(blobName).download();
+      return download.readableStreamBody;
+    },
+
+    async delete(blobName) {
+      const result = await containerClient.getBlobClient(blobName).deleteIfExists();
+      return result.succeeded;
+    },
+
+    async *list() {
+      for await (const blob of containerClient.listBlobsFlat()) {
+        yield {
+          name: blob.name,
+          lastModified: blob.properties.lastModified,
+          size: blob.properties.contentLength
+        };
+      }
+    },
+
+    async exists(blobName) {
+      return containerClient.getBlobClient(blobName).exists();
+    },
+
+    async signedUrl(blobName, { expiresInSec }) {
+      const blobClient = containerClient.getBlobClient(blobName);
+      return blobClient.generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        expiresOn: new Date(Date.now() + expiresInSec * 1000)
+      });
+    }
+  };
+}
+
+module.exports = { createAzureStorage };
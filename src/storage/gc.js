@@ -0,0 +1,109 @@
+// deletes blobs that no song or media row points at once they are past the grace period
+const { blobNameFromUrl } = require('./index');
+const { OPEN_UPLOAD_STATUSES } = require('../uploads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function gracePeriodMs() {
+  const hours = parseFloat(process.env.STORAGE_GC_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours * 60 * 60 * 1000 : DAY_MS;
+}
+
+async function referencedBlobNames(prisma, now = new Date()) {
+  const [userSongs, media, songMedia, uploadSessions] = await Promise.all([
+    prisma.userSong.findMany({ select: { fileUrl: true, imageUrl: true, previewUrl: true } }),
+    prisma.media.findMany({ select: { blob_url: true } }),
+    prisma.songMedia.findMany({ select: { blob_url: true } }),
+    prisma.uploadSession.findMany({
+      where: { status: { in: OPEN_UPLOAD_STATUSES }, expiresAt: { gt: now } },
+      select: { blobName: true }
+    })
+  ]);
+
+  const urls = [
+    ...userSongs.flatMap((song) => [song.fileUrl, song.imageUrl, song.previewUrl]),
+    ...media.map((item) => item.blob_url),
+    ...songMedia.map((item) => item.blob_url)
+  ];
+  return new Set([
+    ...urls.map(blobNameFromUrl).filter(Boolean),
+    ...uploadSessions.map((session) => session.blobName)
+  ]);
+}
+
+async function collectOrphans(prisma, storage, { dryRun = true, graceMs = gracePeriodMs(), now = new Date() } = {}) {
+  const referenced = await referencedBlobNames(prisma, now);
+  const report = {
+    dryRun,
+    graceHours: graceMs / (60 * 60 * 1000),
+    scanned: 0,
+    referenced: 0,
+    withinGracePeriod: 0,
+    orphans: [],
+    deleted: 0,
+    errors: []
+  };
+
+  for await (const blob of storage.list()) {
+    report.scanned += 1;
+    if (referenced.has(blob.name)) {
+      report.referenced += 1;
+      continue;
+    }
+    if (now - new Date(blob.lastModified) < graceMs) {
+      report.withinGracePeriod += 1;
+      continue;
+    }
+
+    report.orphans.push({ name: blob.name, lastModified: blob.lastModified, size: blob.size });
+    if (dryRun) continue;
+
+    try {
+      if (await storage.delete(blob.name)) report.deleted += 1;
+    } catch (error) {
+      report.errors.push({ name: blob.name, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+// failures are left for the orphan collector rather than failing the delete request
+async function deleteSongBlobs(storage, song) {
+  const result = { deleted: [], failed: [] };
+  const urls = [song.fileUrl, song.imageUrl, song.previewUrl, ...(song.media || []).map((item) => item.blob_url)];
+  const blobNames = [...new Set(urls.map(blobNameFromUrl).filter(Boolean))];
+
+  for (const blobName of blobNames) {
+    try {
+      await storage.delete(blobName);
+      result.deleted.push(blobName);
+    } catch (error) {
+      console.error(`Failed to delete blob ${blobName}:`, error.message);
+      result.failed.push(blobName);
+    }
+  }
+  return result;
+}
+
+function scheduleOrphanCollection(prisma, storage, { intervalMs = DAY_MS } = {}) {
+  const tick = async () => {
+    try {
+      const report = await collectOrphans(prisma, storage, { dryRun: false });
+      console.log(`Storage GC scanned ${report.scanned} blobs and deleted ${report.deleted} orphans`);
+    } catch (error) {
+      console.error('Storage GC failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  referencedBlobNames,
+  collectOrphans,
+  deleteSongBlobs,
+  scheduleOrphanCollection
+};
@@ -0,0 +1,49 @@
+// storage driver selection; every driver implements init, ping, put, getStream, getRange, delete, list,
+// exists, signedUrl and the staged block calls (stageBlock, commitBlocks, abortBlocks) used by chunked uploads
+const path = require('path');
+const { createAzureStorage } = require('./azure');
+const { createLocalStorage } = require('./local');
+const env = require('../env');
+
+const drivers = {
+  azure: () => createAzureStorage({
+    connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
+    containerName: process.env.AZURE_STORAGE_CONTAINER || 'music-files'
+  }),
+  local: () => createLocalStorage({
+    rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'),
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    secret: env.requireSecret('STORAGE_SIGNING_SECRET', 'local-storage-secret')
+  })
+};
+
+function createStorage(driverName = process.env.STORAGE_DRIVER) {
+  const name = driverName || (process.env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local');
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory();
+}
+
+// songs only keep the url they were uploaded to, so the blob name is its last path segment
+function blobNameFromUrl(url) {
+  if (!url) return null;
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function downloadUrlTtlSeconds() {
+  const ttl = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 300;
+}
+
+module.exports = {
+  createStorage,
+  blobNameFromUrl,
+  downloadUrlTtlSeconds
+};
@@ -0,0 +1,144 @@
+// local disk storage for development and tests; signed urls are served by GET /files/:blobName
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BLOB_NAME_PATTERN = /^[\w.-]+$/;
+const STAGING_DIR = '.staging';
+
+function isValidBlobName(blobName) {
+  return typeof blobName === 'string' && BLOB_NAME_PATTERN.test(blobName) && blobName !== '.' && blobName !== '..';
+}
+
+function createLocalStorage({ rootDir, baseUrl, secret }) {
+  function signature(blobName, expires) {
+    return crypto.createHmac('sha256', secret).update(`${blobName}:${expires}`).digest('hex');
+  }
+
+  function resolve(blobName) {
+    if (!isValidBlobName(blobName)) {
+      throw new Error(`Invalid blob name: ${blobName}`);
+    }
+    return path.join(rootDir, blobName);
+  }
+
+  return {
+    name: 'local',
+
+    async init() {
+      await fs.promises.mkdir(rootDir, { recursive: true });
+    },
+
+    async ping() {
+      await fs.promises.access(rootDir, fs.constants.R_OK | fs.constants.W_OK);
+    },
+
+    async put(blobName, data) {
+      const filePath = resolve(blobName);
+      await fs.promises.mkdir(rootDir, { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+      return { blobName, url: `${baseUrl}/files/${encodeURIComponent(blobName)}` };
+    },
+
+    async stageBlock(blobName, blockId, data) {
+      const stagingDir = path.join(rootDir, STAGING_DIR, path.basename(resolve(blobName)));
+      await fs.promises.mkdir(stagingDir, { recursive: true });
+      await fs.promises.writeFile(path.join(stagingDir, Buffer.from(blockId, 'base64').toString('hex')), data);
+    },
+
+    async commitBlocks(blobName, blockIds) {
+      const filePath = resolve(blobName);
+      const stagingDir = path.join(rootDir, STAGING_DIR, blobName);
+      const output = await fs.promises.open(filePath, 'w');
+      try {
+        for (const blockId of blockIds) {
+          const block = await fs.promises.readFile(path.join(stagingDir, Buffer.from(blockId, 'base64').toString('hex')));
+          await output.write(block);
+        }
+      } finally {
+        await output.close();
+      }
+      await fs.promises.rm(stagingDir, { recursive: true, force: true });
+      return { blobName, url: `${baseUrl}/files/${encodeURIComponent(blobName)}` };
+    },
+
+    async abortBlocks(blobName) {
+      await fs.promises.rm(path.join(rootDir, STAGING_DIR, path.basename(resolve(blobName))), { recursive: true, force: true });
+      await fs.promises.rm(resolve(blobName), { force: true });
+    },
+
+    async getRange(blobName, offset, length) {
+      const handle = await fs.promises.open(resolve(blobName), 'r');
+      try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async getStream(blobName) {
+      const filePath = resolve(blobName);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(blobName) {
+      try {
+        await fs.promises.unlink(resolve(blobName));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    async *list() {
+      let names;
+      try {
+        names = await fs.promises.readdir(rootDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const name of names) {
+        if (!isValidBlobName(name)) continue;
+        const stats = await fs.promises.stat(path.join(rootDir, name));
+        if (!stats.isFile()) continue;
+        yield { name, lastModified: stats.mtime, size: stats.size };
+      }
+    },
+
+    async exists(blobName) {
+      try {
+        await fs.promises.access(resolve(blobName));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async signedUrl(blobName, { expiresInSec }) {
+      resolve(blobName);
+      const expires = Math.floor(Date.now() / 1000) + expiresInSec;
+      const query = `expires=${expires}&signature=${signature(blobName, expires)}`;
+      return `${baseUrl}/files/${encodeURIComponent(blobName)}?${query}`;
+    },
+
+    verifySignedUrl(blobName, expires, providedSignature) {
+      const expiresAt = parseInt(expires, 10);
+      if (!isValidBlobName(blobName) || !Number.isFinite(expiresAt) || typeof providedSignature !== 'string') {
+        return false;
+      }
+      if (expiresAt < Math.floor(Date.now() / 1000)) {
+        return false;
+      }
+      const expected = Buffer.from(signature(blobName, expiresAt), 'hex');
+      const received = Buffer.from(providedSignature, 'hex');
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+}
+
+module.exports = { createLocalStorage, isValidBlobName };
@@ -0,0 +1,169 @@
+// server-side song creation from an uploaded audio file, optional artwork and metadata
+const { v4: uuidv4 } = require('uuid');
+const artwork = require('./artwork');
+const audio = require('./audio');
+const duplicates = require('./duplicates');
+const fingerprint = require('./fingerprint');
+const pricing = require('./pricing');
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// upload sessions in these states still reserve quota and keep their blob from garbage collection
+const OPEN_UPLOAD_STATUSES = ['active', 'committed', 'completing'];
+
+function parseSongMetadata(metadata, albumPrice = null) {
+  try {
+    return {
+      ...pricing.uploadPrice({
+        price: metadata.price !== undefined && metadata.price !== '' ? pricing.parsePrice(metadata.price) : undefined,
+        currency: metadata.currency ? pricing.parseCurrency(metadata.currency) : undefined
+      }, albumPrice),
+      explicit: metadata.explicit === true || metadata.explicit === 'true'
+    };
+  } catch (error) {
+    if (error instanceof pricing.PriceError) {
+      throw new UploadError(error.message);
+    }
+    throw error;
+  }
+}
+
+function userQuotaBytes() {
+  const bytes = parseInt(process.env.USER_STORAGE_QUOTA_BYTES, 10);
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : 5 * 1024 * 1024 * 1024;
+}
+
+// stored songs plus the space reserved by chunked uploads that are still open
+async function storageUsage(prisma, userId, now = new Date()) {
+  const [songs, sessions] = await Promise.all([
+    prisma.userSong.aggregate({ where: { ownerId: userId }, _sum: { fileSize: true } }),
+    prisma.uploadSession.aggregate({
+      where: { userId, status: { in: OPEN_UPLOAD_STATUSES }, expiresAt: { gt: now } },
+      _sum: { size: true }
+    })
+  ]);
+  return (songs._sum.fileSize || 0) + (sessions._sum.size || 0);
+}
+
+async function assertWithinQuota(prisma, userId, bytes) {
+  const quota = userQuotaBytes();
+  const used = await storageUsage(prisma, userId);
+  if (used + bytes > quota) {
+    throw new UploadError(`Upload would exceed your storage quota (${used} of ${quota} bytes used)`, 413);
+  }
+  return { used, quota };
+}
+
+function analyzeUpload(musicData, options) {
+  try {
+    return audio.analyzeAudio(musicData, options);
+  } catch (error) {
+    if (error instanceof audio.AudioError) {
+      throw new UploadError('Invalid audio file: ' + error.message);
+    }
+    throw error;
+  }
+}
+
+function songFields(audioInfo, metadata) {
+  const commercial = parseSongMetadata(metadata);
+  const fields = audio.prefillFromTags(metadata, audioInfo.tags);
+  if (!fields.title || !fields.artist) {
+    throw new UploadError('Title and artist are required when the file has no tags for them');
+  }
+  return { ...fields, ...audio.audioColumns(audioInfo), ...commercial };
+}
+
+async function prepareArtwork(imageFile) {
+  if (!imageFile) return null;
+  try {
+    return await artwork.processArtwork(imageFile.data);
+  } catch (error) {
+    if (error instanceof artwork.ArtworkError) {
+      throw new UploadError('Invalid artwork: ' + error.message, error.status);
+    }
+    throw error;
+  }
+}
+
+// the audio blob is already stored; only the artwork written here is cleaned up if the insert fails.
+// print is the file's fingerprint, screened so a likely duplicate is held for review instead of published
+async function createSongFromBlob(prisma, storage, { songId, ownerId, fileUrl, fileSize, print, audioInfo, imageFile, metadata = {} }) {
+  let fields = songFields(audioInfo, metadata);
+  const albumPrice = await pricing.albumPriceFor(prisma, ownerId, fields.album);
+  if (albumPrice) {
+    fields = { ...fields, ...parseSongMetadata(metadata, albumPrice) };
+  }
+  const screening = await duplicates.screenUpload(prisma, {
+    ownerId,
+    print,
+    title: fields.title,
+    durationMs: fields.duration_ms
+  });
+  const images = await prepareArtwork(imageFile);
+  let media = [];
+  try {
+    if (images) {
+      media = await artwork.storeArtwork(storage, songId, images);
+    }
+
+    return await prisma.userSong.create({
+      data: {
+        id: songId,
+        ...fields,
+        ...screening,
+        fileSize,
+        fileUrl,
+        imageUrl: media.length > 0 ? media[0].blob_url : null,
+        ownerId,
+        source: 'user',
+        media: { create: media }
+      },
+      include: { media: true }
+    });
+  } catch (error) {
+    await artwork.deleteArtwork(storage, media);
+    throw error;
+  }
+}
+
+// blobs are written before the row, so a failed insert removes them again instead of orphaning them
+async function createSong(prisma, storage, { ownerId, musicData, imageFile, metadata = {} }) {
+  const audioInfo = analyzeUpload(musicData);
+  songFields(audioInfo, metadata);
+  await assertWithinQuota(prisma, ownerId, musicData.length);
+
+  const songId = uuidv4();
+  const music = await storage.put(songId + audioInfo.extension, musicData, { contentType: audioInfo.mimeType });
+  try {
+    return await createSongFromBlob(prisma, storage, {
+      songId,
+      ownerId,
+      fileUrl: music.url,
+      fileSize: musicData.length,
+      print: await fingerprint.fingerprintAudio(musicData, audioInfo.format),
+      audioInfo,
+      imageFile,
+      metadata
+    });
+  } catch (error) {
+    await storage.delete(music.blobName).catch(() => false);
+    throw error;
+  }
+}
+
+module.exports = {
+  OPEN_UPLOAD_STATUSES,
+  UploadError,
+  userQuotaBytes,
+  storageUsage,
+  assertWithinQuota,
+  analyzeUpload,
+  createSongFromBlob,
+  createSong
+};
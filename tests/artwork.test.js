@@ -0,0 +1,44 @@
+const sharp = require('sharp');
+const artwork = require('../src/artwork');
+
+function image(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 3, background: '#884422' } })[format]().toBuffer();
+}
+
+describe('artwork', () => {
+  afterEach(() => {
+    delete process.env.ARTWORK_MAX_BYTES;
+  });
+
+  it('identifies images by their bytes rather than the file name', async () => {
+    expect(await artwork.inspectArtwork(await image(320, 200, 'jpeg'))).toMatchObject({
+      format: 'jpeg',
+      mimeType: 'image/jpeg',
+      width: 320,
+      height: 200
+    });
+    expect(() => artwork.sniffImage(Buffer.from('GIF89a not supported here'))).toThrow(artwork.ArtworkError);
+  });
+
+  it('rejects files with image magic bytes that do not decode', async () => {
+    const fake = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(64, 1)]);
+
+    await expect(artwork.inspectArtwork(fake)).rejects.toThrow('could not be decoded');
+  });
+
+  it('rejects artwork over the size limit', async () => {
+    process.env.ARTWORK_MAX_BYTES = '100';
+
+    await expect(artwork.inspectArtwork(await image(200, 200))).rejects.toMatchObject({ status: 413 });
+  });
+
+  it('never upscales small artwork', async () => {
+    const { variants } = await artwork.processArtwork(await image(120, 100));
+
+    expect(variants.map((variant) => [variant.type, variant.width, variant.height])).toEqual([
+      ['cover_64', 64, 64],
+      ['cover_300', 100, 100],
+      ['cover_640', 100, 100]
+    ]);
+  });
+});
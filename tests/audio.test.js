@@ -0,0 +1,52 @@
+const { analyzeAudio, AudioError } = require('../src/audio');
+const { buildMp3, buildWav } = require('./helpers/audioFixtures');
+
+describe('analyzeAudio', () => {
+  it('reads stream info and ID3 tags from mp3 files', () => {
+    const info = analyzeAudio(buildMp3({
+      frames: 100,
+      tags: { title: 'Night Drive', artist: 'Neon', album: 'Roads', trackNumber: '3/10' }
+    }));
+
+    expect(info).toMatchObject({
+      format: 'mp3',
+      sampleRate: 44100,
+      bitrate: 128000,
+      channels: 2,
+      durationMs: 2606,
+      tags: { title: 'Night Drive', artist: 'Neon', album: 'Roads', trackNumber: 3 }
+    });
+  });
+
+  it('reads stream info and RIFF INFO tags from wav files', () => {
+    const info = analyzeAudio(buildWav({ seconds: 2, sampleRate: 8000, tags: { title: 'Demo', artist: 'Me', trackNumber: '7' } }));
+
+    expect(info).toMatchObject({
+      format: 'wav',
+      sampleRate: 8000,
+      bitrate: 128000,
+      channels: 1,
+      durationMs: 2000,
+      tags: { title: 'Demo', artist: 'Me', album: null, trackNumber: 7 }
+    });
+  });
+
+  it('analyzes the head of a larger file when given its total size', () => {
+    const wav = buildWav({ seconds: 2 });
+
+    expect(analyzeAudio(wav.subarray(0, 1024), { totalSize: wav.length })).toMatchObject({ format: 'wav', durationMs: 2000 });
+    expect(() => analyzeAudio(wav.subarray(0, 1024), { totalSize: wav.length - 100 })).toThrow('truncated');
+  });
+
+  it('rejects renamed text files', () => {
+    expect(() => analyzeAudio(Buffer.from('this is definitely not an mp3 file'))).toThrow(AudioError);
+  });
+
+  it('rejects truncated wav and mp3 files', () => {
+    const wav = buildWav({ seconds: 1 });
+    expect(() => analyzeAudio(wav.subarray(0, wav.length - 100))).toThrow('truncated');
+
+    const tagOnly = buildMp3({ frames: 0, tags: { title: 'Empty' } });
+    expect(() => analyzeAudio(Buffer.concat([tagOnly, Buffer.from('garbage after the tag')]))).toThrow('No MPEG audio frames');
+  });
+});
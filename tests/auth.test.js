@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { create: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+    userSong: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+    track: { findUnique: jest.fn(), findFirst: jest.fn() },
+    royaltyEntry: { aggregate: jest.fn(), upsert: jest.fn() },
+    songSplit: { findMany: jest.fn() },
+    purchase: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn() },
+    $executeRaw: jest.fn().mockResolvedValue(1)
+  };
+  mockClient.$transaction = jest.fn(async (ops) => (typeof ops === 'function' ? ops(mockClient) : Promise.all(ops)));
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../firebase', () => ({
+  auth: () => ({ verifyIdToken: mockVerifyIdToken })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+const { buildMp3 } = require('./helpers/audioFixtures');
+
+const prisma = new PrismaClient();
+
+const profile = {
+  id: 'u1',
+  firebaseUid: 'alice',
+  email: 'alice@example.com',
+  displayName: 'Alice',
+  dateOfBirth: '1990-01-01T00:00:00.000Z',
+  role: 'artist'
+};
+
+// a representative request for every route that needs a signed-in user
+const protectedRoutes = [
+  ['POST /users', (agent) => agent.post('/users').send({ email: 'alice@example.com' })],
+  ['PUT /users/:firebaseUid', (agent) => agent.put('/users/alice').send({ displayName: 'Al' })],
+  ['POST /upload', (agent) => agent.post('/upload').attach('music', buildMp3({ frames: 5 }), 'a.mp3')],
+  ['POST /metadata', (agent) => agent.post('/metadata').send({ songId: 's1', title: 'T', artist: 'A' })],
+  ['POST /calculate-royalty', (agent) => agent.post('/calculate-royalty').send({ songId: 'song-1' })],
+  ['POST /songs/:id/play', (agent) => agent.post('/songs/song-1/play')],
+  ['POST /purchase', (agent) => agent.post('/purchase').send({ songId: 'song-1' })],
+  ['GET /purchases/:userId', (agent) => agent.get('/purchases/alice')]
+];
+
+function as(token) {
+  const withToken = (req) => (token ? req.set('Authorization', `Bearer ${token}`) : req);
+  return {
+    get: (url) => withToken(request(app).get(url)),
+    post: (url) => withToken(request(app).post(url)),
+    put: (url) => withToken(request(app).put(url))
+  };
+}
+
+describe('route authentication and ownership', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockImplementation(async (token) => {
+      if (token === 'expired') throw new Error('Firebase ID token has expired');
+      return { uid: token, admin: token === 'root' };
+    });
+    prisma.user.findUnique.mockResolvedValue(profile);
+    prisma.user.create.mockImplementation(async ({ data }) => ({ id: 'u1', ...data }));
+    prisma.user.update.mockImplementation(async ({ where, data }) => ({ ...profile, ...where, ...data }));
+    prisma.userSong.findUnique.mockResolvedValue({ id: 'song-1', ownerId: 'alice', price: '0', currency: 'GBP', plays: 0 });
+    prisma.userSong.update.mockResolvedValue({ id: 'song-1', ownerId: 'alice', plays: 1 });
+    prisma.royaltyEntry.aggregate.mockResolvedValue({ _sum: { amount: '1.50' } });
+    prisma.songSplit.findMany.mockResolvedValue([]);
+    prisma.purchase.findFirst.mockResolvedValue(null);
+    prisma.purchase.findMany.mockResolvedValue([]);
+    prisma.purchase.create.mockImplementation(async ({ data }) => ({ id: 'p1', ...data }));
+  });
+
+  it.each(protectedRoutes)('%s needs a token', async (name, send) => {
+    const res = await send(as(null));
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'No token provided' });
+  });
+
+  it.each(protectedRoutes)('%s rejects a token firebase does not accept', async (name, send) => {
+    const res = await send(as('expired'));
+
+    expect(res.status).toBe(401);
+    expect(mockVerifyIdToken).toHaveBeenCalledWith('expired');
+  });
+
+  it('creates the profile for the token holder and refuses someone else\'s uid', async () => {
+    const forged = await as('mallory').post('/users').send({ firebaseUid: 'alice', email: 'x@example.com' });
+    expect(forged.status).toBe(403);
+    expect(prisma.user.create).not.toHaveBeenCalled();
+
+    const own = await as('alice').post('/users').send({ email: 'alice@example.com' });
+    expect(own.status).toBe(201);
+    expect(prisma.user.create.mock.calls[0][0].data.firebaseUid).toBe('alice');
+  });
+
+  it('only lets the owner or an admin update a profile', async () => {
+    expect((await as('mallory').put('/users/alice').send({ bio: 'hacked' })).status).toBe(403);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+
+    expect((await as('alice').put('/users/alice').send({ bio: 'hello' })).status).toBe(200);
+    expect((await as('root').put('/users/alice').send({ bio: 'moderated' })).status).toBe(200);
+  });
+
+  it('shows private profile fields only to the owner', async () => {
+    const stranger = await as(null).get('/users/alice');
+    expect(stranger.status).toBe(200);
+    expect(stranger.body).toMatchObject({ displayName: 'Alice', role: 'artist', isArtist: true });
+    expect(stranger.body).not.toHaveProperty('email');
+    expect(stranger.body).not.toHaveProperty('dateOfBirth');
+
+    const owner = await as('alice').get('/users/alice');
+    expect(owner.body.email).toBe('alice@example.com');
+
+    expect((await as('expired').get('/users/alice')).status).toBe(401);
+  });
+
+  it('stores metadata under the token holder and refuses a different userId', async () => {
+    const res = await as('mallory').post('/metadata').send({ songId: 's1', userId: 'alice', title: 'T', artist: 'A' });
+
+    expect(res.status).toBe(403);
+    expect(prisma.userSong.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps royalty totals to the song owner', async () => {
+    expect((await as('mallory').post('/calculate-royalty').send({ songId: 'song-1' })).status).toBe(403);
+
+    const own = await as('alice').post('/calculate-royalty').send({ songId: 'song-1' });
+    expect(own.status).toBe(200);
+    expect(own.body.totalRoyalties).toBe(1.5);
+  });
+
+  it('buys for the token holder and refuses purchases on behalf of others', async () => {
+    prisma.userSong.findUnique.mockResolvedValue({ id: 'song-1', ownerId: 'artist', price: '0', currency: 'GBP' });
+    prisma.purchase.findMany.mockResolvedValueOnce([]);
+
+    expect((await as('mallory').post('/purchase').send({ userId: 'alice', songId: 'song-1' })).status).toBe(403);
+    expect(prisma.purchase.create).not.toHaveBeenCalled();
+
+    const own = await as('alice').post('/purchase').send({ songId: 'song-1' });
+    expect(own.status).toBe(201);
+    expect(prisma.purchase.create.mock.calls[0][0].data.userId).toBe('alice');
+  });
+
+  it('lists purchases only for their owner or an admin', async () => {
+    expect((await as('mallory').get('/purchases/alice')).status).toBe(403);
+    expect(prisma.purchase.findMany).not.toHaveBeenCalled();
+
+    expect((await as('alice').get('/purchases/alice')).status).toBe(200);
+    expect((await as('root').get('/purchases/alice')).status).toBe(200);
+  });
+});
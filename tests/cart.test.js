@@ -0,0 +1,146 @@
+const cart = require('../src/cart');
+const payments = require('../src/payments');
+const { createFakeProvider } = require('../src/payments/fakeProvider');
+
+function mockPrisma({ cartItems = [], userSongs = {}, tracks = {}, purchased = [] } = {}) {
+  const prisma = {
+    userSong: { findUnique: jest.fn(async ({ where }) => userSongs[where.id] || null) },
+    track: { findUnique: jest.fn(async ({ where }) => tracks[where.id] || null) },
+    purchase: {
+      findFirst: jest.fn(async ({ where }) => (purchased.includes(where.songId) ? { id: 'p' } : null)),
+      create: jest.fn(async ({ data }) => ({ id: `purchase-${data.songId}`, ...data })),
+      findMany: jest.fn(() => Promise.all(prisma.purchase.create.mock.results.map((result) => result.value))),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 })
+    },
+    royaltyEntry: { upsert: jest.fn(async ({ create }) => create) },
+    songSplit: { findMany: jest.fn().mockResolvedValue([]) },
+    cartItem: {
+      findMany: jest.fn().mockResolvedValue(cartItems),
+      deleteMany: jest.fn().mockResolvedValue({ count: cartItems.length }),
+      createMany: jest.fn().mockResolvedValue({ count: cartItems.length })
+    },
+    order: {
+      create: jest.fn(async ({ data }) => ({ id: 'order-1', ...data })),
+      findUnique: jest.fn(async ({ where }) => (where.id ? { id: 'order-1', status: 'completed', total: '2.48', purchases: [] } : { id: 'order-1' })),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 })
+    }
+  };
+  prisma.$executeRaw = jest.fn().mockResolvedValue(1);
+  prisma.$transaction = jest.fn(async (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)));
+  return prisma;
+}
+
+describe('cart', () => {
+  beforeEach(() => {
+    payments.setPaymentProvider(createFakeProvider());
+  });
+
+  it('totals mixed user and catalog songs per currency', () => {
+    expect(cart.summarizeTotals([
+      { price: 0.99, currency: 'GBP' },
+      { price: 1.49, currency: 'GBP' },
+      { price: 2, currency: 'EUR' },
+      { problem: 'not_found' }
+    ])).toEqual({ GBP: 2.48, EUR: 2 });
+  });
+
+  it('lists cart songs without the master file url', async () => {
+    const prisma = mockPrisma({
+      cartItems: [{ songId: 'song-1', songType: 'user' }],
+      userSongs: { 'song-1': { id: 'song-1', ownerId: 'artist', price: '0.99', fileUrl: 'https://blobs/song-1.mp3', previewUrl: null } }
+    });
+
+    const result = await cart.getCart(prisma, 'buyer');
+
+    expect(result.items[0].song).toEqual({ id: 'song-1', ownerId: 'artist', price: 0.99, previewUrl: null });
+  });
+
+  it('rejects checkout with a per-item list of problems', async () => {
+    const prisma = mockPrisma({
+      cartItems: [
+        { songId: 'mine', songType: 'user' },
+        { songId: 'owned', songType: 'spotify' },
+        { songId: 'ok', songType: 'spotify' }
+      ],
+      userSongs: { mine: { id: 'mine', ownerId: 'buyer', price: '0.99' } },
+      tracks: { owned: { id: 'owned', price: '0.99' }, ok: { id: 'ok', price: '0.99' } },
+      purchased: ['owned']
+    });
+
+    await expect(cart.checkout(prisma, 'buyer')).rejects.toMatchObject({
+      status: 409,
+      items: [
+        { songId: 'mine', songType: 'user', problem: 'own_song' },
+        { songId: 'owned', songType: 'spotify', problem: 'already_purchased' }
+      ]
+    });
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('checks out every line in one order and clears the cart', async () => {
+    const prisma = mockPrisma({
+      cartItems: [
+        { songId: 'a', songType: 'user' },
+        { songId: 'b', songType: 'spotify' }
+      ],
+      userSongs: { a: { id: 'a', ownerId: 'artist', price: '0.99', currency: 'GBP' } },
+      tracks: { b: { id: 'b', price: '1.49', currency: 'GBP' } }
+    });
+
+    const order = await cart.checkout(prisma, 'buyer', { cardNumber: '4242424242424242' });
+
+    expect(prisma.order.create.mock.calls[0][0].data).toMatchObject({ total: 2.48, currency: 'GBP', status: 'pending' });
+    expect(prisma.purchase.create).toHaveBeenCalledTimes(2);
+    expect(prisma.cartItem.deleteMany).toHaveBeenCalledWith({ where: { userId: 'buyer' } });
+    expect(prisma.cartItem.createMany).not.toHaveBeenCalled();
+    expect(order.status).toBe('completed');
+    expect(prisma.royaltyEntry.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.royaltyEntry.upsert.mock.calls[0][0].create).toMatchObject({
+      songId: 'a',
+      recipientId: 'artist',
+      source: 'purchase',
+      amount: 0.693
+    });
+  });
+
+  it('fails the order and restores the cart when the provider errors during confirm', async () => {
+    const provider = createFakeProvider();
+    provider.confirm = jest.fn().mockRejectedValue(new Error('provider timeout'));
+    payments.setPaymentProvider(provider);
+    const prisma = mockPrisma({
+      cartItems: [{ songId: 'track-1', songType: 'spotify' }],
+      tracks: { 'track-1': { id: 'track-1', price: '0.99' } }
+    });
+    prisma.order.findUnique.mockResolvedValue({ id: 'order-1', status: 'pending' });
+
+    await expect(cart.checkout(prisma, 'buyer')).rejects.toThrow('provider timeout');
+
+    expect(prisma.order.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { id: 'order-1', status: 'pending' },
+      data: { status: 'failed', failureReason: 'provider timeout' }
+    });
+    expect(prisma.purchase.updateMany.mock.calls[0][0].data.status).toBe('failed');
+    expect(prisma.cartItem.createMany).toHaveBeenCalledWith({
+      data: [{ userId: 'buyer', songId: 'track-1', songType: 'spotify' }],
+      skipDuplicates: true
+    });
+  });
+
+  it('looks again under a buyer lock so two checkouts cannot buy the same song', async () => {
+    const prisma = mockPrisma({
+      cartItems: [{ songId: 'a', songType: 'user' }],
+      userSongs: { a: { id: 'a', ownerId: 'artist', price: '0.99', currency: 'GBP' } }
+    });
+    // the other checkout committed its pending purchase after this one's line checks passed
+    prisma.purchase.findMany.mockResolvedValueOnce([{ songId: 'a', songType: 'user' }]);
+
+    await expect(cart.checkout(prisma, 'buyer', { cardNumber: '4242424242424242' })).rejects.toMatchObject({
+      status: 409,
+      items: [{ songId: 'a', songType: 'user', problem: 'already_purchased' }]
+    });
+    expect(prisma.$executeRaw.mock.calls[0][0].join('?')).toContain('pg_advisory_xact_lock');
+    expect(prisma.$executeRaw.mock.calls[0][1]).toBe('buyer');
+    expect(prisma.order.create).not.toHaveBeenCalled();
+    expect(prisma.cartItem.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue(null) },
+    userSong: { findUnique: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+    track: { findUnique: jest.fn(), findFirst: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+    artist: { findUnique: jest.fn() },
+    catalogItem: { findMany: jest.fn(), count: jest.fn() },
+    purchase: { findMany: jest.fn() },
+    royaltyEntry: { updateMany: jest.fn(), create: jest.fn() },
+    songSplit: { findMany: jest.fn(), findFirst: jest.fn() },
+    listenerPlay: { updateMany: jest.fn(), create: jest.fn() }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+const catalog = require('../src/catalog');
+
+const prisma = new PrismaClient();
+
+const userSong = {
+  id: 'song-1',
+  title: 'Bedroom Demo',
+  artist: 'Artist A',
+  album: 'Demos',
+  genre: 'indie',
+  duration_ms: 120000,
+  explicit: false,
+  ownerId: 'artist-uid',
+  fileUrl: 'http://localhost/files/master.mp3',
+  previewUrl: 'http://localhost/files/master-preview.mp3',
+  imageUrl: null,
+  price: '0.99',
+  currency: 'GBP',
+  plays: 3,
+  uploadedAt: new Date('2026-01-02T10:00:00Z')
+};
+
+const track = {
+  id: 'track-1',
+  spotify_id: 'trk-1',
+  name: 'Opener',
+  album_id: 'album-1',
+  duration_ms: 180000,
+  explicit: true,
+  preview_url: null,
+  price: '1.29',
+  currency: 'GBP',
+  plays: 0,
+  album: {
+    name: 'First Album',
+    release_date: '2024-05-01',
+    media: [
+      { type: 'album_art_64', width: 64, blob_url: 'http://img/small' },
+      { type: 'album_art', width: 640, blob_url: 'http://img/large' }
+    ]
+  },
+  track_artists: [{ artist: { id: 'artist-1', name: 'Artist A' } }, { artist: { id: 'artist-2', name: 'Artist B' } }]
+};
+
+describe('catalog resolver', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.userSong.findUnique.mockImplementation(async ({ where }) => (where.id === userSong.id ? userSong : null));
+    prisma.track.findUnique.mockImplementation(async ({ where }) => (where.id === track.id ? track : null));
+    prisma.track.findFirst.mockImplementation(async ({ where }) => (where.spotify_id === track.spotify_id ? track : null));
+    prisma.userSong.findMany.mockImplementation(async ({ where }) => (where.id.in.includes(userSong.id) ? [userSong] : []));
+    prisma.track.findMany.mockImplementation(async ({ where }) => (where.id.in.includes(track.id) ? [track] : []));
+    prisma.songSplit.findFirst.mockResolvedValue(null);
+    prisma.listenerPlay.updateMany.mockResolvedValue({ count: 0 });
+    prisma.listenerPlay.create.mockResolvedValue({});
+  });
+
+  it('accepts bare ids, catalog ids and legacy spotify ids', async () => {
+    expect(await catalog.resolveItem(prisma, 'song-1')).toMatchObject({ type: 'user', id: 'song-1' });
+    expect(await catalog.resolveItem(prisma, 'spotify:track-1')).toMatchObject({ type: 'spotify', id: 'track-1' });
+    expect(await catalog.resolveItem(prisma, 'trk-1', 'spotify')).toMatchObject({ type: 'spotify', id: 'track-1' });
+    expect(await catalog.resolveItem(prisma, 'track-1', 'user')).toBeNull();
+    expect(prisma.userSong.findUnique).toHaveBeenCalledTimes(2);
+  });
+
+  it('resolves a mixed list in order, falling back when the stored type is wrong', async () => {
+    const items = await catalog.resolveItems(prisma, [
+      { id: 'track-1', type: 'spotify' },
+      { id: 'song-1', type: 'spotify' },
+      { id: 'missing', type: 'user' }
+    ]);
+
+    expect(items.map((item) => item && item.type)).toEqual(['spotify', 'user', null]);
+  });
+
+  it('maps both sources onto the shared item fields', () => {
+    const fromUpload = catalog.toCatalogItem({ type: 'user', id: userSong.id, record: userSong });
+    const fromTrack = catalog.toCatalogItem({ type: 'spotify', id: track.id, record: track });
+
+    expect(fromUpload).toMatchObject({
+      id: 'user:song-1',
+      title: 'Bedroom Demo',
+      artistNames: 'Artist A',
+      durationMs: 120000,
+      previewUrl: '/songs/song-1/preview',
+      price: 0.99,
+      releaseDate: '2026-01-02',
+      ownerId: 'artist-uid'
+    });
+    expect(fromUpload.details).not.toHaveProperty('fileUrl');
+    expect(fromTrack).toMatchObject({
+      id: 'spotify:track-1',
+      title: 'Opener',
+      artistNames: 'Artist A, Artist B',
+      artistIds: ['artist-1', 'artist-2'],
+      albumName: 'First Album',
+      imageUrl: 'http://img/large',
+      releaseDate: '2024-05-01'
+    });
+  });
+
+  it('counts plays on imported tracks without recording royalties', async () => {
+    prisma.track.update.mockResolvedValue({ ...track, plays: 1 });
+
+    const played = await catalog.recordPlay(prisma, 'track-1', 'spotify', 'listener');
+
+    expect(played.record.plays).toBe(1);
+    expect(prisma.track.update).toHaveBeenCalledWith(expect.objectContaining({ data: { plays: { increment: 1 } } }));
+    expect(prisma.royaltyEntry.updateMany).not.toHaveBeenCalled();
+    expect(prisma.royaltyEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('does not count plays by the owner or a collaborator on the split sheet', async () => {
+    const byOwner = await catalog.recordPlay(prisma, 'song-1', 'user', 'artist-uid');
+    prisma.songSplit.findFirst.mockResolvedValue({ songId: 'song-1', collaboratorId: 'producer', status: 'accepted' });
+    const byCollaborator = await catalog.recordPlay(prisma, 'song-1', 'user', 'producer');
+
+    expect(byOwner.counted).toBe(false);
+    expect(byCollaborator.counted).toBe(false);
+    expect(prisma.songSplit.findFirst.mock.calls[0][0].where).toEqual({
+      songId: 'song-1', collaboratorId: 'producer', status: { not: 'declined' }
+    });
+    expect(prisma.userSong.update).not.toHaveBeenCalled();
+    expect(prisma.listenerPlay.create).not.toHaveBeenCalled();
+  });
+
+  it('counts a listener once per song inside the play window', async () => {
+    prisma.userSong.update.mockResolvedValue({ ...userSong, plays: 4 });
+    prisma.songSplit.findMany.mockResolvedValue([]);
+    prisma.royaltyEntry.updateMany.mockResolvedValue({ count: 1 });
+    const playedAt = new Date('2026-10-19T12:00:00Z');
+
+    const first = await catalog.recordPlay(prisma, 'song-1', 'user', 'listener', playedAt);
+    prisma.listenerPlay.create.mockRejectedValue(Object.assign(new Error('unique'), { code: 'P2002' }));
+    const repeat = await catalog.recordPlay(prisma, 'song-1', 'user', 'listener', playedAt);
+
+    expect(first.counted).toBe(true);
+    expect(repeat.counted).toBe(false);
+    expect(prisma.userSong.update).toHaveBeenCalledTimes(1);
+    expect(prisma.royaltyEntry.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.listenerPlay.updateMany.mock.calls[0][0]).toEqual({
+      where: { listenerId: 'listener', songId: 'song-1', songType: 'user', lastCountedAt: { lte: new Date('2026-10-19T11:30:00Z') } },
+      data: { lastCountedAt: playedAt }
+    });
+  });
+
+  it('lists a catalog artist by id on the artist page', async () => {
+    prisma.artist.findUnique.mockResolvedValue({ id: 'artist-1', name: 'Artist A' });
+    prisma.catalogItem.findMany.mockResolvedValue([{ type: 'user', sourceId: 'song-1' }]);
+    prisma.catalogItem.count.mockResolvedValue(1);
+
+    const res = await request(app).get('/artists/artist-1/songs');
+
+    expect(res.status).toBe(200);
+    expect(res.body.songs[0]).toMatchObject({ id: 'user:song-1', type: 'user' });
+    expect(prisma.catalogItem.findMany.mock.calls[0][0].where).toEqual({ artistIds: { has: 'artist-1' } });
+  });
+
+  it('lists purchases with the resolved catalog item', async () => {
+    prisma.purchase.findMany.mockResolvedValue([
+      { id: 'p1', userId: 'buyer', songId: 'trk-1', songType: 'spotify', price: '1.29', currency: 'GBP', refundRequests: [] }
+    ]);
+
+    const res = await request(app).get('/purchases/buyer').set('Authorization', 'Bearer buyer');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-next-cursor']).toBeUndefined();
+    expect(prisma.purchase.findMany.mock.calls[0][0]).toMatchObject({ take: 51, orderBy: [{ purchasedAt: 'desc' }, { id: 'desc' }] });
+    expect(res.body[0].item).toMatchObject({ id: 'spotify:track-1', title: 'Opener' });
+    expect(res.body[0].song).toMatchObject({ id: 'track-1' });
+  });
+});
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-admin-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue(null) },
+    artist: { findUnique: jest.fn(), findMany: jest.fn(), create: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    album: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    track: { findUnique: jest.fn(), findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    trackArtist: { findMany: jest.fn(), deleteMany: jest.fn(), updateMany: jest.fn(), createMany: jest.fn() },
+    albumArtist: { findMany: jest.fn(), deleteMany: jest.fn(), updateMany: jest.fn(), createMany: jest.fn() },
+    media: { upsert: jest.fn(), delete: jest.fn() },
+    userSong: { findUnique: jest.fn().mockResolvedValue(null) },
+    purchase: { count: jest.fn(), findFirst: jest.fn(), findMany: jest.fn() },
+    cartItem: { deleteMany: jest.fn() }
+  };
+  mockClient.$transaction = jest.fn((operations) => (
+    typeof operations === 'function' ? operations(mockClient) : Promise.all(operations)
+  ));
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token, admin: token === 'root' }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+
+const prisma = new PrismaClient();
+
+const track = {
+  id: 'track-1',
+  spotify_id: 'trk-1',
+  name: 'Opener',
+  album_id: 'album-1',
+  duration_ms: 180000,
+  price: '1.29',
+  currency: 'GBP',
+  removed_at: null,
+  album: { name: 'First Album', media: [] },
+  track_artists: []
+};
+
+const admin = () => ({
+  post: (url) => request(app).post(url).set('Authorization', 'Bearer root'),
+  put: (url) => request(app).put(url).set('Authorization', 'Bearer root'),
+  delete: (url) => request(app).delete(url).set('Authorization', 'Bearer root')
+});
+
+describe('admin catalog management', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.artist.findUnique.mockImplementation(async ({ where }) => ({ id: where.id, name: `Artist ${where.id}` }));
+    prisma.artist.findMany.mockImplementation(async ({ where }) => where.id.in.filter((id) => id !== 'ghost').map((id) => ({ id })));
+    prisma.album.findUnique.mockResolvedValue({ id: 'album-1', tracks: [{ id: 'track-1', spotify_id: 'trk-1' }] });
+    prisma.track.findUnique.mockResolvedValue(track);
+    prisma.track.create.mockImplementation(async ({ data }) => ({ id: 'track-new', ...data }));
+    prisma.track.update.mockImplementation(async ({ data }) => ({ ...track, ...data }));
+    prisma.trackArtist.findMany.mockResolvedValue([]);
+    prisma.albumArtist.findMany.mockResolvedValue([]);
+    prisma.trackArtist.updateMany.mockResolvedValue({ count: 0 });
+    prisma.albumArtist.updateMany.mockResolvedValue({ count: 0 });
+    prisma.media.upsert.mockImplementation(async ({ create }) => ({ id: 'media-1', ...create }));
+    prisma.purchase.count.mockResolvedValue(0);
+    prisma.purchase.findFirst.mockResolvedValue(null);
+  });
+
+  it('is admin only', async () => {
+    const res = await request(app).post('/admin/tracks').set('Authorization', 'Bearer someone').send({ name: 'X' });
+
+    expect(res.status).toBe(403);
+    expect(prisma.track.create).not.toHaveBeenCalled();
+  });
+
+  it('creates a track with its artists credited in the given order', async () => {
+    const res = await admin().post('/admin/tracks').send({
+      name: ' Closer ',
+      album_id: 'album-1',
+      duration_ms: 200000,
+      price: '1.49',
+      artistIds: ['artist-2', 'artist-1']
+    });
+
+    expect(res.status).toBe(201);
+    expect(prisma.track.create.mock.calls[0][0].data).toEqual({
+      name: 'Closer',
+      album_id: 'album-1',
+      track_number: 1,
+      duration_ms: 200000,
+      price: 1.49
+    });
+    const links = prisma.trackArtist.createMany.mock.calls[0][0].data;
+    expect(links.map((link) => link.artist_id)).toEqual(['artist-2', 'artist-1']);
+    expect(links[0].created_at < links[1].created_at).toBe(true);
+  });
+
+  it('rejects bad fields and unknown artists before writing', async () => {
+    expect((await admin().post('/admin/tracks').send({ name: 'X', album_id: 'album-1', artistIds: ['artist-1'] })).status).toBe(400);
+    expect((await admin().put('/admin/tracks/track-1').send({ price: -1 })).status).toBe(400);
+    expect((await admin().put('/admin/albums/album-1').send({ release_date: '2024-31' })).status).toBe(400);
+
+    const unknown = await admin().put('/admin/tracks/track-1').send({ artistIds: ['artist-1', 'ghost'] });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Unknown artist ids: ghost');
+    expect(prisma.trackArtist.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('derives the release date precision when fixing an album', async () => {
+    prisma.album.update.mockResolvedValue({});
+
+    const res = await admin().put('/admin/albums/album-1').send({ name: 'Fixed', release_date: '2021-06' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.album.update.mock.calls[0][0].data).toEqual({
+      name: 'Fixed',
+      release_date: '2021-06',
+      release_date_precision: 'month'
+    });
+  });
+
+  it('merges a duplicate artist into the kept one', async () => {
+    prisma.trackArtist.findMany.mockResolvedValue([{ track_id: 'track-1' }]);
+    prisma.trackArtist.updateMany.mockResolvedValue({ count: 2 });
+    prisma.albumArtist.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await admin().post('/admin/artists/dupe/merge').send({ intoArtistId: 'kept' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ artist: { id: 'kept' }, mergedArtistId: 'dupe', moved: { tracks: 2, albums: 1 } });
+    expect(prisma.trackArtist.deleteMany).toHaveBeenCalledWith({ where: { artist_id: 'dupe', track_id: { in: ['track-1'] } } });
+    expect(prisma.trackArtist.updateMany).toHaveBeenCalledWith({ where: { artist_id: 'dupe' }, data: { artist_id: 'kept' } });
+    expect(prisma.artist.delete).toHaveBeenCalledWith({ where: { id: 'dupe' } });
+
+    expect((await admin().post('/admin/artists/kept/merge').send({ intoArtistId: 'kept' })).status).toBe(400);
+  });
+
+  it('refuses to delete an artist that is still credited', async () => {
+    prisma.artist.findUnique.mockResolvedValue({ id: 'artist-1', _count: { track_artists: 3, album_artists: 0 } });
+
+    const res = await admin().delete('/admin/artists/artist-1');
+
+    expect(res.status).toBe(409);
+    expect(prisma.artist.delete).not.toHaveBeenCalled();
+  });
+
+  it('hides a bought track instead of deleting it', async () => {
+    prisma.purchase.count.mockResolvedValue(2);
+
+    const res = await admin().delete('/admin/tracks/track-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 'track-1', deleted: false, purchases: 2 });
+    expect(prisma.purchase.count).toHaveBeenCalledWith({ where: { songType: 'spotify', songId: { in: ['track-1', 'trk-1'] } } });
+    expect(prisma.track.update.mock.calls[0][0].data.removed_at).toBeInstanceOf(Date);
+    expect(prisma.track.delete).not.toHaveBeenCalled();
+  });
+
+  it('deletes a track nobody has bought', async () => {
+    const res = await admin().delete('/admin/tracks/track-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deleted: true });
+    expect(prisma.track.delete).toHaveBeenCalledWith({ where: { id: 'track-1' } });
+  });
+
+  it('keeps albums with bought tracks', async () => {
+    prisma.purchase.count.mockResolvedValue(1);
+
+    expect((await admin().delete('/admin/albums/album-1')).status).toBe(409);
+    expect(prisma.album.delete).not.toHaveBeenCalled();
+  });
+
+  it('stops selling a removed track but keeps it in purchase history', async () => {
+    const removed = { ...track, removed_at: new Date('2026-10-01T00:00:00Z') };
+    prisma.track.findUnique.mockResolvedValue(removed);
+    prisma.track.findMany.mockResolvedValue([removed]);
+
+    const res = await request(app).post('/purchase').set('Authorization', 'Bearer buyer').send({ songId: 'spotify:track-1' });
+    expect(res.status).toBe(410);
+
+    prisma.purchase.findMany.mockResolvedValue([
+      { id: 'p1', userId: 'buyer', songId: 'track-1', songType: 'spotify', price: '1.29', currency: 'GBP', refundRequests: [] }
+    ]);
+    const history = await request(app).get('/purchases/buyer').set('Authorization', 'Bearer buyer');
+    expect(history.body[0].item).toMatchObject({ id: 'spotify:track-1', title: 'Opener', available: false });
+
+    prisma.track.findMany.mockResolvedValue([]);
+    await request(app).get('/metadata');
+    expect(prisma.track.findMany.mock.calls.pop()[0].where).toEqual({ removed_at: null });
+  });
+
+  it('replaces album art with a validated image under a new blob name', async () => {
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#224488' } }).png().toBuffer();
+
+    const res = await admin().put('/admin/albums/album-1/media/album_art').attach('image', png, 'cover.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ album_id: 'album-1', type: 'album_art', width: 40, height: 30, mime_type: 'image/png', spotify_url: null });
+    expect(res.body.filename).toMatch(/^album-album-1-album-art-[0-9a-f-]+\.png$/);
+    expect(fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, res.body.filename))).toBe(true);
+
+    const notImage = await admin().put('/admin/albums/album-1/media/album_art').attach('image', Buffer.from('not an image at all'), 'x.png');
+    expect(notImage.status).toBe(400);
+  });
+});
@@ -0,0 +1,170 @@
+const sharp = require('sharp');
+const catalogImport = require('../src/catalogImport');
+
+// just enough of prisma for the importer: unique lookups, creates, updates and join cleanup
+function mockPrisma() {
+  const tables = {};
+  let nextId = 1;
+
+  function model(name, uniqueKeys) {
+    const rows = (tables[name] = []);
+    const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+      if (uniqueKeys[key]) return uniqueKeys[key].every((field) => row[field] === value[field]);
+      if (value && value.notIn) return !value.notIn.includes(row[key]);
+      if (key === 'album') return tables.albums.some((album) => album.id === row.album_id && album.spotify_id === value.spotify_id);
+      return row[key] === value;
+    });
+    return {
+      rows,
+      findUnique: jest.fn(async ({ where }) => rows.find((row) => matches(row, where)) || null),
+      findFirst: jest.fn(async ({ where }) => rows.find((row) => matches(row, where)) || null),
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `${name}-${nextId++}`, ...data };
+        rows.push(row);
+        return row;
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(rows.find((row) => matches(row, where)), data)),
+      deleteMany: jest.fn(async ({ where }) => {
+        const doomed = rows.filter((row) => matches(row, where));
+        doomed.forEach((row) => rows.splice(rows.indexOf(row), 1));
+        return { count: doomed.length };
+      })
+    };
+  }
+
+  const prisma = {
+    artist: model('artists', {}),
+    album: model('albums', {}),
+    track: model('tracks', {}),
+    albumArtist: model('albumArtists', { album_id_artist_id: ['album_id', 'artist_id'] }),
+    trackArtist: model('trackArtists', { track_id_artist_id: ['track_id', 'artist_id'] }),
+    media: model('media', { album_id_type: ['album_id', 'type'] })
+  };
+  prisma.$transaction = jest.fn(async (callback) => callback(prisma));
+  return prisma;
+}
+
+const artistA = { id: 'art-a', name: 'Artist A', external_urls: { spotify: 'https://open.spotify.com/artist/art-a' } };
+const artistB = { id: 'art-b', name: 'Artist B' };
+
+function albumJson(overrides = {}) {
+  return {
+    id: 'alb-1',
+    type: 'album',
+    name: 'First Album',
+    album_type: 'album',
+    total_tracks: 2,
+    release_date: '2024-05-01',
+    release_date_precision: 'day',
+    artists: [artistA],
+    images: [
+      { url: 'https://i.scdn.co/image/small', width: 64, height: 64 },
+      { url: 'https://i.scdn.co/image/large', width: 640, height: 640 }
+    ],
+    tracks: {
+      items: [
+        { id: 'trk-1', name: 'Opener', track_number: 1, duration_ms: 180000, explicit: false, artists: [artistA] },
+        { id: 'trk-2', name: 'Duet', track_number: 2, duration_ms: 200000, explicit: true, artists: [artistA, artistB] }
+      ]
+    },
+    ...overrides
+  };
+}
+
+describe('catalog import', () => {
+  it('accepts the common spotify response shapes', () => {
+    const album = albumJson();
+
+    expect(catalogImport.albumsFromJson(album)).toHaveLength(1);
+    expect(catalogImport.albumsFromJson({ albums: [album, null] })).toHaveLength(1);
+    expect(catalogImport.albumsFromJson({ items: [{ added_at: 'x', album }] })).toEqual([album]);
+    expect(catalogImport.albumsFromJson([album, album])).toHaveLength(2);
+  });
+
+  it('inserts everything on the first run and skips it all on a re-run', async () => {
+    const prisma = mockPrisma();
+    const sources = [{ name: 'dump.json', json: { albums: [albumJson()] } }];
+
+    const first = await catalogImport.importCatalog(prisma, sources);
+    const second = await catalogImport.importCatalog(prisma, sources);
+
+    expect(first).toMatchObject({
+      artists: { inserted: 2, updated: 0, skipped: 0 },
+      albums: { inserted: 1 },
+      tracks: { inserted: 2 },
+      media: { inserted: 2 },
+      errors: []
+    });
+    expect(second).toMatchObject({
+      artists: { inserted: 0, updated: 0, skipped: 2 },
+      albums: { inserted: 0, updated: 0, skipped: 1 },
+      tracks: { inserted: 0, updated: 0, skipped: 2 },
+      media: { inserted: 0, updated: 0, skipped: 2 }
+    });
+    expect(prisma.trackArtist.rows).toHaveLength(3);
+    expect(prisma.media.rows.map((row) => [row.type, row.blob_url])).toEqual([
+      ['album_art', 'https://i.scdn.co/image/large'],
+      ['album_art_64', 'https://i.scdn.co/image/small']
+    ]);
+  });
+
+  it('updates changed rows and drops artists no longer credited', async () => {
+    const prisma = mockPrisma();
+    await catalogImport.importCatalog(prisma, [{ name: 'a.json', json: albumJson() }]);
+
+    const changed = albumJson();
+    changed.tracks.items[1] = { ...changed.tracks.items[1], name: 'Duet (Remastered)', artists: [artistA] };
+    const report = await catalogImport.importCatalog(prisma, [{ name: 'b.json', json: changed }]);
+
+    expect(report.tracks).toEqual({ inserted: 0, updated: 1, skipped: 1 });
+    expect(prisma.track.rows.find((row) => row.spotify_id === 'trk-2').name).toBe('Duet (Remastered)');
+    expect(prisma.trackArtist.rows).toHaveLength(2);
+  });
+
+  it('reports invalid albums and unreadable files without stopping', async () => {
+    const prisma = mockPrisma();
+    const sources = [
+      { name: 'broken.json', error: 'could not read JSON: Unexpected token' },
+      { name: 'mixed.json', json: { albums: [{ id: 'alb-x' }, albumJson()] } }
+    ];
+
+    const report = await catalogImport.importCatalog(prisma, sources);
+
+    expect(report.albums).toEqual({ inserted: 1, updated: 0, skipped: 1 });
+    expect(report.errors.map((error) => error.file)).toEqual(['broken.json', 'mixed.json']);
+  });
+
+  it('stops between albums when interrupted', async () => {
+    const prisma = mockPrisma();
+    let albums = 0;
+
+    const report = await catalogImport.importCatalog(prisma, [{
+      name: 'dump.json',
+      json: { albums: [albumJson(), albumJson({ id: 'alb-2' })] }
+    }], { shouldStop: () => albums === 1, onAlbum: () => { albums += 1; } });
+
+    expect(report.interrupted).toBe(true);
+    expect(prisma.album.rows).toHaveLength(1);
+  });
+
+  it('downloads album art into storage once', async () => {
+    const prisma = mockPrisma();
+    const image = await sharp({ create: { width: 640, height: 640, channels: 3, background: '#000' } }).jpeg().toBuffer();
+    const download = jest.fn().mockResolvedValue(image);
+    const storage = { put: jest.fn(async (name) => ({ blobName: name, url: `http://localhost:5000/files/${name}` })) };
+    const sources = [{ name: 'dump.json', json: albumJson({ images: [{ url: 'https://i.scdn.co/image/large', width: 640, height: 640 }] }) }];
+
+    await catalogImport.importCatalog(prisma, sources, { mediaMode: 'download', storage, download });
+    const rerun = await catalogImport.importCatalog(prisma, sources, { mediaMode: 'download', storage, download });
+
+    expect(download).toHaveBeenCalledTimes(1);
+    expect(prisma.media.rows[0]).toMatchObject({
+      filename: 'album-alb-1-album-art.jpg',
+      blob_url: 'http://localhost:5000/files/album-alb-1-album-art.jpg',
+      spotify_url: 'https://i.scdn.co/image/large',
+      mime_type: 'image/jpeg',
+      file_size: image.length
+    });
+    expect(rerun.media).toEqual({ inserted: 0, updated: 0, skipped: 1 });
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-test-'));
+process.env.UPLOAD_CHUNK_BYTES = '4096';
+process.env.USER_STORAGE_QUOTA_BYTES = String(1024 * 1024);
+
+
+jest.mock('@prisma/client', () => {
+  const sessions = new Map();
+  const chunks = new Map();
+  const songs = new Map();
+  let nextId = 1;
+  const sessionChunks = (sessionId) => [...chunks.values()].filter((chunk) => chunk.sessionId === sessionId);
+
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue({ role: 'artist' }) },
+    userSong: {
+      create: jest.fn(async ({ data }) => {
+        songs.set(data.id, { ...data });
+        return songs.get(data.id);
+      }),
+      findUnique: jest.fn(async ({ where }) => songs.get(where.id) || null),
+      aggregate: jest.fn(async ({ where }) => ({
+        _sum: {
+          fileSize: [...songs.values()]
+            .filter((song) => song.ownerId === where.ownerId)
+            .reduce((total, song) => total + song.fileSize, 0)
+        }
+      }))
+    },
+    songFingerprint: { findMany: jest.fn().mockResolvedValue([]) },
+    track: { findMany: jest.fn().mockResolvedValue([]) },
+    uploadSession: {
+      create: jest.fn(async ({ data }) => {
+        const session = { id: `upload-${nextId++}`, status: 'active', fileUrl: null, ...data };
+        sessions.set(session.id, session);
+        return session;
+      }),
+      findUnique: jest.fn(async ({ where }) => sessions.get(where.id) || null),
+      update: jest.fn(async ({ where, data }) => Object.assign(sessions.get(where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const session = sessions.get(where.id);
+        if (!session || session.status !== where.status) return { count: 0 };
+        Object.assign(session, data);
+        return { count: 1 };
+      }),
+      aggregate: jest.fn(async ({ where }) => ({
+        _sum: {
+          size: [...sessions.values()]
+            .filter((session) => session.userId === where.userId && where.status.in.includes(session.status))
+            .reduce((total, session) => total + session.size, 0)
+        }
+      }))
+    },
+    uploadChunk: {
+      findMany: jest.fn(async ({ where }) => sessionChunks(where.sessionId).sort((a, b) => a.index - b.index)),
+      upsert: jest.fn(async ({ where, create, update }) => {
+        const key = `${where.sessionId_index.sessionId}:${where.sessionId_index.index}`;
+        chunks.set(key, chunks.has(key) ? { ...chunks.get(key), ...update } : { ...create });
+        return chunks.get(key);
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        for (const chunk of sessionChunks(where.sessionId)) chunks.delete(`${chunk.sessionId}:${chunk.index}`);
+        return { count: 0 };
+      })
+    }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { buildWav } = require('./helpers/audioFixtures');
+const app = require('../server');
+
+const wav = buildWav({ seconds: 1, sampleRate: 8000, channels: 1, tags: { title: 'Master', artist: 'Tagged' } });
+const CHUNK = 4096;
+
+function startUpload(user, body = { filename: 'master.wav', size: wav.length }) {
+  return request(app).post('/uploads').set('Authorization', `Bearer ${user}`).send(body);
+}
+
+function sendChunk(user, uploadId, index, data = wav.subarray(index * CHUNK, (index + 1) * CHUNK)) {
+  return request(app)
+    .put(`/uploads/${uploadId}/chunks/${index}`)
+    .set('Authorization', `Bearer ${user}`)
+    .set('Content-Type', 'application/octet-stream')
+    .send(data);
+}
+
+describe('chunked uploads', () => {
+  it('assembles chunks sent out of order into a song', async () => {
+    const init = await startUpload('artist-1');
+    expect(init.status).toBe(201);
+    expect(init.body).toMatchObject({ chunkSize: CHUNK, chunkCount: Math.ceil(wav.length / CHUNK), receivedBytes: 0 });
+
+    const { uploadId, chunkCount } = init.body;
+    for (let index = chunkCount - 1; index >= 0; index -= 1) {
+      expect((await sendChunk('artist-1', uploadId, index)).status).toBe(200);
+    }
+
+    const res = await request(app)
+      .post(`/uploads/${uploadId}/complete`)
+      .set('Authorization', 'Bearer artist-1')
+      .send({ price: '2.00' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ title: 'Master', ownerId: 'artist-1', price: 2, duration_ms: 1000, fileSize: wav.length });
+    const stored = fs.readFileSync(path.join(process.env.LOCAL_STORAGE_DIR, `${res.body.id}.wav`));
+    expect(stored.equals(wav)).toBe(true);
+
+    const replay = await request(app)
+      .post(`/uploads/${uploadId}/complete`)
+      .set('Authorization', 'Bearer artist-1')
+      .send({});
+    expect(replay.status).toBe(200);
+    expect(replay.body.id).toBe(res.body.id);
+  });
+
+  it('reports missing chunks so an interrupted upload can resume', async () => {
+    const { uploadId } = (await startUpload('artist-2')).body;
+    await sendChunk('artist-2', uploadId, 0);
+
+    const early = await request(app).post(`/uploads/${uploadId}/complete`).set('Authorization', 'Bearer artist-2').send({});
+    expect(early.status).toBe(409);
+
+    const status = await request(app).get(`/uploads/${uploadId}`).set('Authorization', 'Bearer artist-2');
+    expect(status.body).toMatchObject({ receivedChunks: [0], receivedBytes: CHUNK, missingChunks: [1, 2, 3] });
+
+    const stranger = await request(app).get(`/uploads/${uploadId}`).set('Authorization', 'Bearer someone-else');
+    expect(stranger.status).toBe(404);
+  });
+
+  it('rejects chunks of the wrong size', async () => {
+    const { uploadId } = (await startUpload('artist-3')).body;
+
+    const res = await sendChunk('artist-3', uploadId, 0, Buffer.alloc(100));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('fails the upload and removes the blob when the content is not audio', async () => {
+    const junk = Buffer.alloc(CHUNK, 7);
+    const { uploadId } = (await startUpload('artist-4', { filename: 'fake.wav', size: junk.length })).body;
+    await sendChunk('artist-4', uploadId, 0, junk);
+
+    const res = await request(app).post(`/uploads/${uploadId}/complete`).set('Authorization', 'Bearer artist-4').send({});
+
+    expect(res.status).toBe(400);
+    const status = await request(app).get(`/uploads/${uploadId}`).set('Authorization', 'Bearer artist-4');
+    expect(status.body.status).toBe('failed');
+  });
+
+  it('enforces the per-user storage quota including open sessions', async () => {
+    const first = await startUpload('artist-5', { filename: 'a.wav', size: 700 * 1024 });
+    const second = await startUpload('artist-5', { filename: 'b.wav', size: 400 * 1024 });
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(413);
+
+    await request(app).delete(`/uploads/${first.body.uploadId}`).set('Authorization', 'Bearer artist-5');
+    expect((await startUpload('artist-5', { filename: 'b.wav', size: 400 * 1024 })).status).toBe(201);
+  });
+
+  it('only accepts mp3 and wav filenames', async () => {
+    const res = await startUpload('artist-6', { filename: 'notes.txt', size: 10 });
+
+    expect(res.status).toBe(400);
+  });
+});
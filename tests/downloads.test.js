@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue(null) },
+    userSong: { findUnique: jest.fn() },
+    purchase: { findFirst: jest.fn() }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+
+const prisma = new PrismaClient();
+
+describe('GET /songs/:id/download', () => {
+  beforeAll(() => {
+    fs.writeFileSync(path.join(process.env.LOCAL_STORAGE_DIR, 'master.mp3'), 'audio-bytes');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.userSong.findUnique.mockResolvedValue({
+      id: 'song-1',
+      ownerId: 'artist',
+      fileUrl: 'http://localhost/files/master.mp3'
+    });
+    prisma.purchase.findFirst.mockResolvedValue(null);
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get('/songs/song-1/download');
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses users who have not bought the song', async () => {
+    const res = await request(app).get('/songs/song-1/download').set('Authorization', 'Bearer stranger');
+    expect(res.status).toBe(403);
+  });
+
+  it('gives buyers a signed url that serves the file until it is tampered with', async () => {
+    prisma.purchase.findFirst.mockResolvedValue({ id: 'purchase-1', status: 'completed' });
+
+    const res = await request(app).get('/songs/song-1/download').set('Authorization', 'Bearer buyer');
+    expect(res.status).toBe(200);
+    const { pathname, search } = new URL(res.body.url);
+    expect(pathname).toBe('/files/master.mp3');
+    expect(search).toMatch(/^\?expires=\d+&signature=[0-9a-f]+$/);
+    expect(prisma.purchase.findFirst.mock.calls[0][0].where).toMatchObject({ userId: 'buyer', status: 'completed' });
+
+    const file = await request(app).get(pathname + search);
+    expect(file.status).toBe(200);
+    expect(file.body.toString()).toBe('audio-bytes');
+
+    const tampered = await request(app).get((pathname + search).replace(/expires=\d+/, 'expires=9999999999'));
+    expect(tampered.status).toBe(403);
+  });
+
+  it('answers instead of crashing when the blob cannot be read after it opened', async () => {
+    fs.mkdirSync(path.join(process.env.LOCAL_STORAGE_DIR, 'folder.mp3'));
+    prisma.userSong.findUnique.mockResolvedValue({ id: 'song-1', ownerId: 'artist', fileUrl: 'http://localhost/files/folder.mp3' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get('/songs/song-1/download').set('Authorization', 'Bearer artist');
+    const { pathname, search } = new URL(res.body.url);
+    const file = await request(app).get(pathname + search);
+
+    expect(file.status).toBe(500);
+    expect(file.body).toEqual({ error: 'Failed to read file' });
+    console.error.mockRestore();
+  });
+
+  it('lets the owner download without a purchase', async () => {
+    const res = await request(app).get('/songs/song-1/download').set('Authorization', 'Bearer artist');
+    expect(res.status).toBe(200);
+    expect(prisma.purchase.findFirst).not.toHaveBeenCalled();
+  });
+});
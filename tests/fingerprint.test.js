@@ -0,0 +1,245 @@
+const { Readable } = require('stream');
+const { analyzeAudio } = require('../src/audio');
+const fingerprint = require('../src/fingerprint');
+const duplicates = require('../src/duplicates');
+const { buildMp3, buildWav } = require('./helpers/audioFixtures');
+
+const SAMPLE_RATE = 4000;
+
+// deterministic noise whose loudness jumps every 100 ms, standing in for music with a recognisable envelope
+function loudnessPattern(seed, windows) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: windows }, () => 0.05 + random() * 0.75).map((level) => ({ level, random }));
+}
+
+function patternWav(pattern, { gain = 1, noise = 0, tags } = {}) {
+  const perWindow = SAMPLE_RATE / 10;
+  const samples = Buffer.alloc(pattern.length * perWindow * 2);
+  pattern.forEach(({ level, random }, window) => {
+    for (let i = 0; i < perWindow; i += 1) {
+      const value = level * gain * (random() * 2 - 1) + noise * (random() * 2 - 1);
+      samples.writeInt16LE(Math.round(Math.max(-1, Math.min(1, value)) * 32767), (window * perWindow + i) * 2);
+    }
+  });
+  return buildWav({ sampleRate: SAMPLE_RATE, samples, tags });
+}
+
+// writes global_gain into both granules of both channels of each 417-byte stereo frame
+function mp3WithGains(gains, tags) {
+  const file = buildMp3({ frames: gains.length, tags });
+  const firstFrame = file.length - gains.length * 417;
+  gains.forEach((gain, index) => {
+    const sideInfoBit = (firstFrame + index * 417 + 4) * 8 + 20;
+    for (let slot = 0; slot < 4; slot += 1) {
+      const bit = sideInfoBit + slot * 59 + 21;
+      for (let i = 0; i < 8; i += 1) {
+        const target = bit + i;
+        if ((gain >> (7 - i)) & 1) file[target >> 3] |= 0x80 >> (target & 7);
+      }
+    }
+  });
+  return file;
+}
+
+function print(buffer) {
+  return fingerprint.fingerprintAudio(buffer, analyzeAudio(buffer).format);
+}
+
+// splits a file into small uneven chunks, the way storage streams arrive
+function chunked(buffer, size = 997) {
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    chunks.push(buffer.subarray(offset, offset + size));
+  }
+  return Readable.from(chunks);
+}
+
+describe('audio fingerprints', () => {
+  const song = loudnessPattern(7, 300);
+
+  it('hashes the audio payload so retagging does not change it', async () => {
+    const original = await print(patternWav(song));
+    const retagged = await print(patternWav(loudnessPattern(7, 300), { tags: { title: 'Mine Now', artist: 'Someone Else' } }));
+    const other = await print(patternWav(loudnessPattern(8, 300)));
+
+    expect(retagged.audioHash).toBe(original.audioHash);
+    expect(other.audioHash).not.toBe(original.audioHash);
+    expect(original).toMatchObject({ version: fingerprint.FINGERPRINT_VERSION, windows: 299 });
+  });
+
+  it('matches a quieter, noisier copy but not a different song', async () => {
+    const original = await print(patternWav(song));
+    const copy = await print(patternWav(loudnessPattern(7, 300), { gain: 0.5, noise: 0.01 }));
+    const other = await print(patternWav(loudnessPattern(8, 300)));
+
+    expect(copy.audioHash).not.toBe(original.audioHash);
+    expect(fingerprint.compareFingerprints(original, copy).similarity).toBeGreaterThan(0.9);
+    expect(fingerprint.compareFingerprints(original, other).similarity).toBeLessThan(0.7);
+  });
+
+  it('lines up a copy with the first second trimmed', async () => {
+    const original = await print(patternWav(song));
+    const trimmed = await print(patternWav(loudnessPattern(7, 300).slice(10)));
+
+    const result = fingerprint.compareFingerprints(original, trimmed);
+    expect(result.offsetMs).toBe(-1000);
+    expect(result.similarity).toBeGreaterThan(0.9);
+  });
+
+  it('follows mp3 granule gains and ignores id3 tags', async () => {
+    const gains = loudnessPattern(3, 400).map(({ level }) => Math.round(100 + level * 100));
+    const tagged = await print(mp3WithGains(gains, { title: 'Copy' }));
+    const untagged = await print(mp3WithGains(gains));
+
+    expect(tagged.audioHash).toBe(untagged.audioHash);
+    expect(tagged.fingerprint).not.toBeNull();
+    expect(fingerprint.compareFingerprints(tagged, untagged).similarity).toBe(1);
+  });
+
+  it('gives the same result when the file arrives in small chunks', async () => {
+    const wav = patternWav(song, { tags: { title: 'Chunked' } });
+    const mp3 = mp3WithGains(loudnessPattern(3, 400).map(({ level }) => Math.round(100 + level * 100)), { title: 'Chunked' });
+
+    expect(await fingerprint.fingerprintStream(chunked(wav), 'wav')).toEqual(await print(wav));
+    expect(await fingerprint.fingerprintStream(chunked(mp3), 'mp3')).toEqual(await print(mp3));
+    expect((await print(mp3)).fingerprint).not.toBeNull();
+  });
+
+  it('leaves flat or short audio with only a hash', async () => {
+    expect((await print(buildMp3({ frames: 400 }))).fingerprint).toBeNull();
+    expect((await print(patternWav(loudnessPattern(7, 20)))).fingerprint).toBeNull();
+  });
+});
+
+describe('upload screening', () => {
+  let upload;
+  let existing;
+
+  beforeAll(async () => {
+    upload = await print(patternWav(loudnessPattern(7, 300)));
+    existing = await print(patternWav(loudnessPattern(7, 300), { gain: 0.7 }));
+  });
+
+  function mockPrisma({ exact = [], candidates = [], tracks = [] } = {}) {
+    return {
+      songFingerprint: {
+        findMany: jest.fn(async ({ where }) => (where.audioHash ? exact : candidates))
+      },
+      track: { findMany: jest.fn().mockResolvedValue(tracks) }
+    };
+  }
+
+  function screen(prisma, fields = {}) {
+    return duplicates.screenUpload(prisma, {
+      ownerId: 'uploader',
+      print: upload,
+      title: 'Fresh',
+      durationMs: 30000,
+      ...fields
+    });
+  }
+
+  it('publishes an upload that matches nothing and keeps its fingerprint', async () => {
+    const prisma = mockPrisma();
+
+    const result = await screen(prisma);
+
+    expect(result.moderationStatus).toBe('approved');
+    expect(result.duplicateMatches.create).toEqual([]);
+    expect(result.fingerprint.create.audioHash).toMatch(/^[0-9a-f]{64}$/);
+    const [exactQuery, acousticQuery] = prisma.songFingerprint.findMany.mock.calls.map(([query]) => query);
+    expect(exactQuery.where.song).toEqual({ ownerId: { not: 'uploader' } });
+    expect(acousticQuery.where.song).toEqual({ ownerId: { not: 'uploader' }, duration_ms: { gte: 25000, lte: 35000 } });
+  });
+
+  it('holds an exact re-upload of another user song', async () => {
+    const result = await screen(mockPrisma({ exact: [{ songId: 'song-9' }] }));
+
+    expect(result.moderationStatus).toBe('held');
+    expect(result.duplicateMatches.create).toEqual([
+      { matchedType: 'user', matchedId: 'song-9', method: 'exact', score: 1 }
+    ]);
+  });
+
+  it('holds an acoustic match and records the score', async () => {
+    const candidates = [
+      { songId: 'song-3', ...existing },
+      { songId: 'song-4', ...await print(patternWav(loudnessPattern(8, 300))) }
+    ];
+
+    const prisma = mockPrisma({ candidates });
+
+    const result = await screen(prisma);
+
+    expect(result.moderationStatus).toBe('held');
+    expect(result.duplicateMatches.create).toHaveLength(1);
+    expect(result.duplicateMatches.create[0]).toMatchObject({ matchedId: 'song-3', method: 'acoustic', offsetMs: 0 });
+    expect(prisma.songFingerprint.findMany.mock.calls[1][0].orderBy).toEqual([{ createdAt: 'asc' }, { id: 'asc' }]);
+  });
+
+  it('records but does not hold an upload only titled like a catalog track of the same length', async () => {
+    const prisma = mockPrisma({ tracks: [{ id: 'track-1' }] });
+
+    const result = await screen(prisma, { title: 'Opener' });
+
+    expect(result.moderationStatus).toBe('approved');
+    expect(result.duplicateMatches.create).toEqual([
+      { matchedType: 'spotify', matchedId: 'track-1', method: 'metadata', score: 1 }
+    ]);
+    expect(prisma.track.findMany.mock.calls[0][0].where).toEqual({
+      name: { equals: 'Opener', mode: 'insensitive' },
+      removed_at: null,
+      duration_ms: { gte: 28000, lte: 32000 }
+    });
+  });
+});
+
+describe('fingerprint backfill', () => {
+  // an in-memory user_songs table that applies the backfill's filter, so consecutive batches see earlier writes
+  function mockPrisma(songs) {
+    return {
+      userSong: {
+        findMany: jest.fn(async ({ where, take }) =>
+          songs.filter((song) => !song.fingerprint && song.fingerprintFailedAt === where.fingerprintFailedAt).slice(0, take)),
+        update: jest.fn(async ({ where, data }) => Object.assign(songs.find((song) => song.id === where.id), data))
+      },
+      songFingerprint: {
+        create: jest.fn(async ({ data }) => {
+          songs.find((song) => song.id === data.songId).fingerprint = data;
+        })
+      }
+    };
+  }
+
+  it('marks a song it cannot read so the next batch moves on to other songs', async () => {
+    const wav = patternWav(loudnessPattern(7, 300));
+    const songs = [
+      { id: 'broken', fileUrl: 'http://localhost:3000/files/broken.wav', audioFormat: 'wav', fingerprintFailedAt: null },
+      { id: 'fine', fileUrl: 'http://localhost:3000/files/fine.wav', audioFormat: 'wav', fingerprintFailedAt: null }
+    ];
+    const prisma = mockPrisma(songs);
+    const storage = {
+      getStream: jest.fn(async (blobName) => {
+        if (blobName === 'broken.wav') throw new Error('blob missing');
+        return chunked(wav);
+      })
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const first = await duplicates.backfillFingerprints(prisma, storage, { limit: 1 });
+    const second = await duplicates.backfillFingerprints(prisma, storage, { limit: 1 });
+    const third = await duplicates.backfillFingerprints(prisma, storage, { limit: 1 });
+
+    expect(first).toEqual({ processed: 1, fingerprinted: 0, failed: 1 });
+    expect(songs[0].fingerprintFailedAt).toBeInstanceOf(Date);
+    expect(second).toEqual({ processed: 1, fingerprinted: 1, failed: 0 });
+    expect(songs[1].fingerprint.audioHash).toBe((await print(wav)).audioHash);
+    expect(third).toEqual({ processed: 0, fingerprinted: 0, failed: 0 });
+    expect(prisma.userSong.findMany.mock.calls[0][0].where).toEqual({ fingerprint: { is: null }, fingerprintFailedAt: null });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,66 @@
+// builds small but structurally valid mp3 and wav files for upload tests
+
+function id3Frame(id, text) {
+  const body = Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]);
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+// 128 kbps, 44.1 kHz, stereo MPEG-1 layer III frames without padding are 417 bytes long
+function buildMp3({ frames = 100, tags = {} } = {}) {
+  const frameList = Object.entries({ TIT2: tags.title, TPE1: tags.artist, TALB: tags.album, TRCK: tags.trackNumber })
+    .filter(([, value]) => value)
+    .map(([id, value]) => id3Frame(id, String(value)));
+  const tagBody = Buffer.concat(frameList);
+  const id3 = frameList.length > 0
+    ? Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0]), syncsafe(tagBody.length), tagBody])
+    : Buffer.alloc(0);
+
+  const frame = Buffer.alloc(417);
+  frame[0] = 0xff;
+  frame[1] = 0xfb;
+  frame[2] = 0x90;
+  frame[3] = 0x00;
+  return Buffer.concat([id3, ...Array.from({ length: frames }, () => frame)]);
+}
+
+function riffChunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  const padding = body.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, body, padding]);
+}
+
+function buildWav({ seconds = 1, sampleRate = 8000, channels = 1, tags = {}, samples } = {}) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * 2, 8);
+  fmt.writeUInt16LE(channels * 2, 12);
+  fmt.writeUInt16LE(16, 14);
+
+  const data = samples || Buffer.alloc(Math.round(seconds * sampleRate) * channels * 2);
+  const info = Object.entries({ INAM: tags.title, IART: tags.artist, IPRD: tags.album, ITRK: tags.trackNumber })
+    .filter(([, value]) => value)
+    .map(([id, value]) => riffChunk(id, Buffer.from(`${value}\u0000`, 'utf8')));
+  const chunks = [riffChunk('fmt ', fmt), riffChunk('data', data)];
+  if (info.length > 0) {
+    chunks.push(riffChunk('LIST', Buffer.concat([Buffer.from('INFO'), ...info])));
+  }
+
+  const body = Buffer.concat([Buffer.from('WAVE'), ...chunks]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+module.exports = { buildMp3, buildWav };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    $transaction: jest.fn((operations) => Promise.all(operations)),
+    user: { findUnique: jest.fn() },
+    userSong: { findUnique: jest.fn(), findMany: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    contentReport: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+    moderationAction: { findMany: jest.fn(), create: jest.fn() },
+    purchase: { findFirst: jest.fn(), count: jest.fn() }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+
+const prisma = new PrismaClient();
+
+const roles = { mod: 'moderator', boss: 'admin' };
+
+const song = {
+  id: 'song-1',
+  title: 'Upload',
+  ownerId: 'artist',
+  fileUrl: 'http://localhost/files/master.mp3',
+  previewUrl: 'http://localhost/files/master-preview.mp3',
+  price: '0.99',
+  currency: 'GBP',
+  moderationStatus: 'approved',
+  moderationReason: null
+};
+
+function as(token) {
+  const withToken = (req) => req.set('Authorization', `Bearer ${token}`);
+  return {
+    get: (url) => withToken(request(app).get(url)),
+    post: (url) => withToken(request(app).post(url)),
+    delete: (url) => withToken(request(app).delete(url))
+  };
+}
+
+describe('content moderation', () => {
+  beforeAll(() => {
+    fs.writeFileSync(path.join(process.env.LOCAL_STORAGE_DIR, 'master.mp3'), 'audio-bytes');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockImplementation(async ({ where }) => ({ role: roles[where.firebaseUid] || 'listener' }));
+    prisma.userSong.findUnique.mockResolvedValue(song);
+    prisma.userSong.findMany.mockResolvedValue([]);
+    prisma.userSong.update.mockImplementation(async ({ data }) => ({ ...song, ...data }));
+    prisma.contentReport.findFirst.mockResolvedValue(null);
+    prisma.contentReport.create.mockImplementation(async ({ data }) => ({ id: 'report-1', status: 'open', ...data }));
+    prisma.contentReport.updateMany.mockResolvedValue({ count: 2 });
+    prisma.moderationAction.create.mockImplementation(async ({ data }) => ({ id: 'action-1', ...data }));
+    prisma.purchase.findFirst.mockResolvedValue(null);
+    prisma.purchase.count.mockResolvedValue(0);
+  });
+
+  it('takes a report and puts the song in the queue without hiding it', async () => {
+    const res = await as('listener').post('/songs/song-1/reports').send({ reason: 'abuse', details: 'slurs at 1:20' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ songId: 'song-1', reporterId: 'listener', reason: 'abuse' });
+    expect(prisma.userSong.update).toHaveBeenCalledWith({ where: { id: 'song-1' }, data: { moderationStatus: 'pending' } });
+  });
+
+  it('refuses duplicate, self and malformed reports', async () => {
+    expect((await as('listener').post('/songs/song-1/reports').send({ reason: 'boring' })).status).toBe(400);
+    expect((await as('artist').post('/songs/song-1/reports').send({ reason: 'spam' })).status).toBe(403);
+
+    prisma.contentReport.findFirst.mockResolvedValue({ id: 'report-1' });
+    expect((await as('listener').post('/songs/song-1/reports').send({ reason: 'spam' })).status).toBe(409);
+    expect(prisma.contentReport.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps the queue and actions to moderators', async () => {
+    expect((await as('listener').get('/moderation/queue')).status).toBe(403);
+    expect((await as('listener').post('/moderation/songs/song-1/hide').send({ reason: 'abuse' })).status).toBe(403);
+
+    expect((await as('mod').get('/moderation/queue?status=hidden')).status).toBe(200);
+    expect(prisma.userSong.findMany.mock.calls[0][0].where).toEqual({ moderationStatus: 'hidden' });
+    expect((await as('mod').get('/moderation/queue?status=gone')).status).toBe(400);
+  });
+
+  it('lists held uploads with the songs they matched', async () => {
+    const res = await as('mod').get('/moderation/queue?status=held');
+
+    expect(res.status).toBe(200);
+    const query = prisma.userSong.findMany.mock.calls[0][0];
+    expect(query.where).toEqual({ moderationStatus: 'held' });
+    expect(query.include.duplicateMatches).toEqual({ orderBy: { score: 'desc' } });
+  });
+
+  it('hides a song with a reason, resolves its reports and records the action', async () => {
+    expect((await as('mod').post('/moderation/songs/song-1/hide').send({})).status).toBe(400);
+
+    const res = await as('mod').post('/moderation/songs/song-1/hide').send({ reason: 'abuse', note: 'confirmed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.song).toMatchObject({ moderationStatus: 'hidden', moderationReason: 'abuse' });
+    expect(res.body.song).not.toHaveProperty('fileUrl');
+    expect(res.body.resolvedReports).toBe(2);
+    expect(prisma.contentReport.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { songId: 'song-1', status: 'open' },
+      data: { status: 'resolved', resolvedBy: 'mod' }
+    });
+    expect(prisma.moderationAction.create.mock.calls[0][0].data).toMatchObject({
+      moderatorId: 'mod',
+      action: 'hide',
+      fromStatus: 'approved',
+      toStatus: 'hidden',
+      note: 'confirmed'
+    });
+  });
+
+  it('leaves reversing a removal to admins', async () => {
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, moderationStatus: 'removed', moderationReason: 'copyright' });
+
+    expect((await as('mod').post('/moderation/songs/song-1/approve')).status).toBe(403);
+
+    const res = await as('boss').post('/moderation/songs/song-1/approve');
+    expect(res.status).toBe(200);
+    expect(res.body.song).toMatchObject({ moderationStatus: 'approved', moderationReason: null });
+  });
+
+  it('takes hidden songs out of public listings, previews and sales', async () => {
+    await request(app).get('/recent-user-songs');
+    expect(prisma.userSong.findMany.mock.calls[0][0].where.moderationStatus).toEqual({ notIn: ['held', 'hidden', 'removed'] });
+
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, moderationStatus: 'hidden', moderationReason: 'spam' });
+    expect((await request(app).get('/songs/song-1/preview')).status).toBe(404);
+    expect((await as('listener').post('/purchase').send({ songId: 'song-1' })).status).toBe(410);
+    expect((await as('listener').post('/songs/song-1/reports').send({ reason: 'spam' })).status).toBe(404);
+  });
+
+  it('rejects duration filters that are not numbers', async () => {
+    expect((await request(app).get('/recent-user-songs?minDurationSec=abc')).status).toBe(400);
+    expect((await request(app).get('/recent-user-songs?maxDurationSec=-5')).status).toBe(400);
+    expect(prisma.userSong.findMany).not.toHaveBeenCalled();
+
+    expect((await request(app).get('/recent-user-songs?minDurationSec=90.5')).status).toBe(200);
+    expect(prisma.userSong.findMany.mock.calls[0][0].where.duration_ms).toEqual({ gte: 90500 });
+  });
+
+  it('lets buyers keep songs hidden for reasons other than copyright', async () => {
+    prisma.purchase.findFirst.mockResolvedValue({ id: 'purchase-1', status: 'completed' });
+
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, moderationStatus: 'removed', moderationReason: 'abuse' });
+    expect((await as('buyer').get('/songs/song-1/download')).status).toBe(200);
+
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, moderationStatus: 'hidden', moderationReason: 'copyright' });
+    expect((await as('buyer').get('/songs/song-1/download')).status).toBe(451);
+    expect((await as('artist').get('/songs/song-1/download')).status).toBe(451);
+    expect((await as('mod').get('/songs/song-1/download')).status).toBe(200);
+  });
+
+  it('withdraws a sold song its owner deletes and keeps the master for buyers', async () => {
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, media: [] });
+    prisma.purchase.count.mockResolvedValue(3);
+
+    const res = await as('artist').delete('/songs/song-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 'song-1', deleted: false, purchases: 3 });
+    expect(prisma.userSong.delete).not.toHaveBeenCalled();
+    expect(prisma.userSong.update.mock.calls[0][0].data).toMatchObject({ moderationStatus: 'removed', moderationReason: 'withdrawn' });
+    expect(prisma.moderationAction.create.mock.calls[0][0].data).toMatchObject({ moderatorId: 'artist', action: 'withdraw' });
+    expect(fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, 'master.mp3'))).toBe(true);
+
+    prisma.purchase.findFirst.mockResolvedValue({ id: 'purchase-1', status: 'completed' });
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, moderationStatus: 'removed', moderationReason: 'withdrawn' });
+    expect((await as('buyer').get('/songs/song-1/download')).status).toBe(200);
+  });
+
+  it('deletes an unsold song and its blobs', async () => {
+    fs.writeFileSync(path.join(process.env.LOCAL_STORAGE_DIR, 'unsold.mp3'), 'audio-bytes');
+    prisma.userSong.findUnique.mockResolvedValue({ ...song, fileUrl: 'http://localhost/files/unsold.mp3', previewUrl: null, media: [] });
+
+    const res = await as('artist').delete('/songs/song-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deleted: true });
+    expect(prisma.userSong.delete).toHaveBeenCalledWith({ where: { id: 'song-1' } });
+    expect(prisma.userSong.update).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, 'unsold.mp3'))).toBe(false);
+  });
+});
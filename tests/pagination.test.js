@@ -0,0 +1,63 @@
+const pagination = require('../src/pagination');
+
+describe('pagination', () => {
+  const order = [{ field: 'uploadedAt', direction: 'desc' }, { field: 'id', direction: 'desc' }];
+
+  it('prefers a cursor over page and caps the limit', () => {
+    const cursor = pagination.encodeCursor(['2026-01-01T00:00:00.000Z', 'song-9']);
+
+    expect(pagination.parsePagination({ page: '3', limit: '20' })).toEqual({ limit: 20, cursor: null, page: 3, skip: 40 });
+    expect(pagination.parsePagination({ cursor, page: '3', limit: '500' })).toEqual({
+      limit: pagination.MAX_LIMIT,
+      cursor: ['2026-01-01T00:00:00.000Z', 'song-9'],
+      page: null,
+      skip: 0
+    });
+    expect(pagination.parsePagination({}, { defaultLimit: 50 })).toMatchObject({ limit: 50, page: 1 });
+  });
+
+  it('rejects pages, limits and cursors that do not parse', () => {
+    expect(() => pagination.parsePagination({ page: 'abc' })).toThrow(pagination.PaginationError);
+    expect(() => pagination.parsePagination({ page: '-1' })).toThrow('page must be a positive integer');
+    expect(() => pagination.parsePagination({ limit: '1e3' })).toThrow('limit must be a positive integer');
+    expect(() => pagination.parsePagination({ cursor: 'abc' })).toThrow('Invalid cursor');
+    expect(() => pagination.keysetWhere(order, ['only-one'])).toThrow('Invalid cursor');
+  });
+
+  it('builds a keyset condition that respects each direction', () => {
+    expect(pagination.keysetWhere(
+      [{ field: 'releaseDate', direction: 'desc' }, { field: 'id', direction: 'asc' }],
+      ['2024-05-01', 'spotify:t1']
+    )).toEqual({
+      OR: [
+        { releaseDate: { lt: '2024-05-01' } },
+        { releaseDate: '2024-05-01', id: { gt: 'spotify:t1' } }
+      ]
+    });
+  });
+
+  it('fetches one extra row to find out whether another page follows', async () => {
+    const rows = [1, 2, 3].map((n) => ({ id: `song-${n}`, uploadedAt: new Date(Date.UTC(2026, 0, 4 - n)) }));
+    const model = { findMany: jest.fn().mockResolvedValue(rows) };
+
+    const page = await pagination.findPage(model, { limit: 2, cursor: null, skip: 0 }, { where: { ownerId: 'u' }, order });
+
+    expect(model.findMany).toHaveBeenCalledWith({
+      where: { ownerId: 'u' },
+      orderBy: [{ uploadedAt: 'desc' }, { id: 'desc' }],
+      skip: 0,
+      take: 3
+    });
+    expect(page.items).toHaveLength(2);
+    expect(pagination.decodeCursor(page.nextCursor)).toEqual(['2026-01-02T00:00:00.000Z', 'song-2']);
+
+    model.findMany.mockResolvedValue(rows.slice(2));
+    const last = await pagination.findPage(model, { limit: 2, cursor: pagination.decodeCursor(page.nextCursor), skip: 0 }, {
+      where: { ownerId: 'u' },
+      order
+    });
+
+    expect(model.findMany.mock.calls[1][0].where.AND[1].OR[0]).toEqual({ uploadedAt: { lt: '2026-01-02T00:00:00.000Z' } });
+    expect(last.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue(null) },
+    userSong: { findUnique: jest.fn() },
+    track: { findUnique: jest.fn() },
+    order: { findUnique: jest.fn().mockResolvedValue(null) },
+    purchase: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([]),
+      create: jest.fn(),
+      updateMany: jest.fn()
+    },
+    royaltyEntry: { upsert: jest.fn() },
+    songSplit: { findMany: jest.fn().mockResolvedValue([]) },
+    $executeRaw: jest.fn().mockResolvedValue(1)
+  };
+  mockClient.$transaction = jest.fn(async (ops) => (typeof ops === 'function' ? ops(mockClient) : Promise.all(ops)));
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn().mockResolvedValue({ uid: 'test-user' })
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const { createFakeProvider } = require('../src/payments/fakeProvider');
+const payments = require('../src/payments');
+const app = require('../server');
+
+const prisma = new PrismaClient();
+
+describe('production configuration', () => {
+  const saved = { ...process.env };
+
+  beforeEach(() => {
+    payments.setPaymentProvider(null);
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.STORAGE_SIGNING_SECRET;
+  });
+
+  afterEach(() => {
+    process.env = { ...saved };
+    payments.setPaymentProvider(null);
+  });
+
+  it('does not fall back to the fake provider or its public webhook secret', () => {
+    expect(() => payments.getPaymentProvider()).toThrow('PAYMENT_PROVIDER must be set');
+
+    process.env.PAYMENT_PROVIDER = 'fake';
+    expect(() => payments.getPaymentProvider()).toThrow('PAYMENT_WEBHOOK_SECRET must be set');
+
+    process.env.PAYMENT_WEBHOOK_SECRET = 'configured-secret';
+    const provider = payments.getPaymentProvider();
+    const forged = createFakeProvider().signWebhook({ type: 'payment_intent.succeeded', data: { intentId: 'pi_1' } });
+    expect(() => provider.verifyWebhook(forged.payload, forged.signature)).toThrow('Invalid webhook signature');
+  });
+
+  it('refuses to sign local storage urls with the built-in secret', () => {
+    const { createStorage } = require('../src/storage');
+
+    expect(() => createStorage('local')).toThrow('STORAGE_SIGNING_SECRET must be set');
+    process.env.STORAGE_SIGNING_SECRET = 'configured-secret';
+    expect(createStorage('local').name).toBe('local');
+  });
+});
+
+describe('fake payment provider', () => {
+  it('succeeds for normal cards and declines the test decline card', async () => {
+    const provider = createFakeProvider();
+    const ok = await provider.createIntent({ amount: 0.99, currency: 'GBP' });
+    const declined = await provider.createIntent({ amount: 0.99, currency: 'GBP' });
+
+    expect((await provider.confirm(ok.id, { cardNumber: '4242 4242 4242 4242' })).status).toBe('succeeded');
+    const result = await provider.confirm(declined.id, { cardNumber: '4000000000000002' });
+    expect(result.status).toBe('failed');
+    expect(result.failureReason).toBe('card_declined');
+  });
+
+  it('refunds up to the captured amount', async () => {
+    const provider = createFakeProvider();
+    const intent = await provider.createIntent({ amount: 1, currency: 'GBP' });
+    await provider.confirm(intent.id, {});
+
+    await expect(provider.refund(intent.id)).resolves.toMatchObject({ amount: 1, status: 'succeeded' });
+    await expect(provider.refund(intent.id, 0.5)).rejects.toThrow('Refund exceeds captured amount');
+  });
+
+  it('verifies its own webhook signatures and rejects tampered ones', () => {
+    const provider = createFakeProvider({ webhookSecret: 'secret' });
+    const { payload, signature } = provider.signWebhook({ type: 'payment_intent.succeeded' });
+
+    expect(provider.verifyWebhook(payload, signature)).toEqual({ type: 'payment_intent.succeeded' });
+    expect(() => provider.verifyWebhook(payload.replace('succeeded', 'failed'), signature)).toThrow();
+  });
+});
+
+describe('POST /purchase', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payments.setPaymentProvider(createFakeProvider());
+    prisma.userSong.findUnique.mockResolvedValue({ id: 'song-1', ownerId: 'artist', price: '1.49', currency: 'GBP' });
+    prisma.purchase.findFirst.mockResolvedValue(null);
+    prisma.purchase.create.mockImplementation(async ({ data }) => ({ id: 'purchase-1', ...data }));
+    prisma.purchase.updateMany.mockResolvedValue({ count: 1 });
+    prisma.purchase.findMany.mockResolvedValue([]);
+  });
+
+  it('charges the song price and completes the purchase', async () => {
+    prisma.purchase.findUnique.mockResolvedValue({ id: 'purchase-1', price: '1.49', currency: 'GBP', status: 'completed' });
+
+    const res = await request(app)
+      .post('/purchase')
+      .set('Authorization', 'Bearer token')
+      .send({ songId: 'song-1', songType: 'user', paymentData: { cardNumber: '4242424242424242' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.price).toBe(1.49);
+    expect(prisma.purchase.create.mock.calls[0][0].data).toMatchObject({ price: 1.49, status: 'pending', paymentProvider: 'fake' });
+    expect(prisma.purchase.updateMany.mock.calls[0][0].data.status).toBe('completed');
+  });
+
+  it('looks again under the buyer lock before creating the purchase', async () => {
+    // a checkout by the same buyer committed between the first check and this one
+    prisma.purchase.findMany.mockResolvedValueOnce([{ songId: 'song-1', songType: 'user' }]);
+
+    const res = await request(app)
+      .post('/purchase')
+      .set('Authorization', 'Bearer token')
+      .send({ songId: 'song-1', songType: 'user', paymentData: { cardNumber: '4242424242424242' } });
+
+    expect(res.status).toBe(409);
+    expect(prisma.$executeRaw.mock.calls[0][0].join('?')).toContain('pg_advisory_xact_lock');
+    expect(prisma.$executeRaw.mock.calls[0][1]).toBe('test-user');
+    expect(prisma.purchase.create).not.toHaveBeenCalled();
+  });
+
+  it('marks the purchase failed when the card is declined', async () => {
+    prisma.purchase.findUnique.mockResolvedValue({ id: 'purchase-1', price: '1.49', status: 'failed', failureReason: 'card_declined' });
+
+    const res = await request(app)
+      .post('/purchase')
+      .set('Authorization', 'Bearer token')
+      .send({ songId: 'song-1', songType: 'user', paymentData: { cardNumber: '4000000000000002' } });
+
+    expect(res.status).toBe(402);
+    expect(prisma.purchase.updateMany.mock.calls[0][0].data).toMatchObject({ status: 'failed', failureReason: 'card_declined' });
+  });
+
+  it('fails the pending purchase when the provider errors during confirm', async () => {
+    const provider = createFakeProvider();
+    provider.confirm = jest.fn().mockRejectedValue(new Error('provider timeout'));
+    payments.setPaymentProvider(provider);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/purchase')
+      .set('Authorization', 'Bearer token')
+      .send({ songId: 'song-1', songType: 'user', paymentData: { cardNumber: '4242424242424242' } });
+
+    expect(res.status).toBe(500);
+    const [{ where, data }] = prisma.purchase.updateMany.mock.calls[0];
+    expect(where).toMatchObject({ paymentIntentId: prisma.purchase.create.mock.calls[0][0].data.paymentIntentId, status: 'pending' });
+    expect(data).toMatchObject({ status: 'failed', failureReason: 'provider timeout' });
+    console.error.mockRestore();
+  });
+});
+
+describe('POST /payments/webhook', () => {
+  it('rejects unsigned events', async () => {
+    payments.setPaymentProvider(createFakeProvider());
+    const res = await request(app).post('/payments/webhook').send({ type: 'payment_intent.succeeded' });
+    expect(res.status).toBe(400);
+  });
+
+  it('finalizes the purchase for a signed event', async () => {
+    const provider = createFakeProvider();
+    payments.setPaymentProvider(provider);
+    prisma.purchase.updateMany.mockResolvedValue({ count: 1 });
+    const { payload, signature } = provider.signWebhook({ type: 'payment_intent.succeeded', data: { intentId: 'pi_1' } });
+
+    const res = await request(app)
+      .post('/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-payment-signature', signature)
+      .send(payload);
+
+    expect(res.status).toBe(200);
+    expect(prisma.purchase.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { paymentIntentId: 'pi_1', status: 'pending' }
+    }));
+  });
+});
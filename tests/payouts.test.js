@@ -0,0 +1,95 @@
+const payouts = require('../src/payouts');
+
+describe('payouts', () => {
+  function mockPrisma(unpaid) {
+    const prisma = {
+      payoutRun: {
+        create: jest.fn(async ({ data }) => ({ id: 'run-1', ...data })),
+        update: jest.fn(async ({ data }) => ({ id: 'run-1', ...data, payouts: [] }))
+      },
+      payout: { create: jest.fn(async ({ data }) => ({ id: `payout-${data.recipientId}`, ...data })) },
+      royaltyEntry: {
+        groupBy: jest.fn(async () => Object.keys(unpaid).map((recipientId) => ({ recipientId, currency: 'GBP' }))),
+        updateMany: jest.fn(async ({ where }) => ({ count: where.id.in.length }))
+      },
+      // the locked read: each recipient's entries are handed out once, as a second run would find them paid
+      $queryRaw: jest.fn(async (strings, recipientId) => {
+        const entries = unpaid[recipientId] || [];
+        unpaid[recipientId] = [];
+        return entries;
+      })
+    };
+    prisma.$transaction = jest.fn((fn) => fn(prisma));
+    return prisma;
+  }
+
+  it('pays out positive balances before the cutoff and carries negative ones', async () => {
+    const prisma = mockPrisma({
+      'artist-a': [{ id: 'e1', amount: '4.0051' }, { id: 'e2', amount: '0.2' }],
+      'artist-b': [{ id: 'e3', amount: '0.3' }, { id: 'e4', amount: '-0.99' }]
+    });
+    const cutoff = new Date('2026-10-01T00:00:00Z');
+
+    const run = await payouts.runPayouts(prisma, { triggeredBy: 'admin', cutoff });
+
+    expect(prisma.royaltyEntry.groupBy.mock.calls[0][0].where).toEqual({ status: 'accrued', occurredOn: { lt: cutoff } });
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('FOR UPDATE');
+    expect(prisma.payout.create).toHaveBeenCalledTimes(1);
+    expect(prisma.payout.create.mock.calls[0][0].data).toMatchObject({ recipientId: 'artist-a', amount: 4.2051, entryCount: 2 });
+    expect(prisma.royaltyEntry.updateMany.mock.calls[0][0]).toEqual({
+      where: { id: { in: ['e1', 'e2'] }, status: 'accrued' },
+      data: { status: 'paid', payoutId: 'payout-artist-a' }
+    });
+    expect(run).toMatchObject({ status: 'completed', payoutCount: 1 });
+  });
+
+  it('pays a balance once when two runs overlap', async () => {
+    const prisma = mockPrisma({ 'artist-a': [{ id: 'e1', amount: '2.5' }] });
+
+    const [first, second] = await Promise.all([
+      payouts.runPayouts(prisma, { triggeredBy: 'scheduler' }),
+      payouts.runPayouts(prisma, { triggeredBy: 'admin' })
+    ]);
+
+    expect(prisma.payout.create).toHaveBeenCalledTimes(1);
+    expect(first.payoutCount + second.payoutCount).toBe(1);
+  });
+
+  it('rolls back a payout whose entries were claimed elsewhere', async () => {
+    const prisma = mockPrisma({ 'artist-a': [{ id: 'e1', amount: '2.5' }, { id: 'e2', amount: '1' }] });
+    prisma.royaltyEntry.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(payouts.runPayouts(prisma, { triggeredBy: 'admin' })).rejects.toThrow('changed while being paid out');
+  });
+
+  it('never pays out the day a mid-day cutoff falls on', async () => {
+    const prisma = {
+      payoutRun: {
+        create: jest.fn(async ({ data }) => ({ id: 'run-1', ...data })),
+        update: jest.fn(async ({ data }) => ({ id: 'run-1', ...data, payouts: [] }))
+      },
+      royaltyEntry: { groupBy: jest.fn().mockResolvedValue([]) }
+    };
+
+    await payouts.runPayouts(prisma, { triggeredBy: 'admin', cutoff: new Date('2026-09-15T13:00:00Z') });
+
+    const cutoff = new Date('2026-09-15T00:00:00Z');
+    expect(prisma.payoutRun.create.mock.calls[0][0].data.cutoff).toEqual(cutoff);
+    expect(prisma.royaltyEntry.groupBy.mock.calls[0][0].where).toEqual({ status: 'accrued', occurredOn: { lt: cutoff } });
+
+    const now = new Date('2026-10-19T13:00:00Z');
+    expect(payouts.payoutCutoff(new Date('2026-10-19T13:00:00Z'), now)).toEqual(new Date('2026-10-19T00:00:00Z'));
+    expect(payouts.payoutCutoff(new Date('2026-10-20T09:00:00Z'), now)).toEqual(new Date('2026-10-19T00:00:00Z'));
+    expect(payouts.payoutCutoff(undefined, now)).toEqual(new Date('2026-10-19T00:00:00Z'));
+  });
+
+  it('renders statements as CSV with escaped cells', () => {
+    const csv = payouts.statementToCsv({
+      lines: [
+        { songId: 's1', title: 'Hello, "World"', artist: '=cmd', plays: 10, sales: 1, earnings: 0.743, currency: 'GBP' }
+      ]
+    });
+
+    expect(csv).toBe('songId,title,artist,plays,sales,earnings,currency\ns1,"Hello, ""World""",\'=cmd,10,1,0.743,GBP\n');
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../src/storage/local');
+const { analyzeAudio } = require('../src/audio');
+const previews = require('../src/previews');
+const { buildMp3, buildWav } = require('./helpers/audioFixtures');
+
+const SAMPLE_RATE = 1000;
+
+// every sample holds the number of the second it belongs to, so clip offsets are visible in the output
+function countingWav(seconds) {
+  const samples = Buffer.alloc(seconds * SAMPLE_RATE * 2);
+  for (let i = 0; i < seconds * SAMPLE_RATE; i += 1) {
+    samples.writeInt16LE(Math.floor(i / SAMPLE_RATE), i * 2);
+  }
+  return buildWav({ sampleRate: SAMPLE_RATE, samples });
+}
+
+// mirrors claimableWhere: pending songs, or processing songs whose claim is missing or older than the cutoff
+function claimable(song, where) {
+  const [, stale] = where.OR;
+  const cutoff = stale.OR[1].previewClaimedAt.lt;
+  if (song.previewStatus === 'pending') return true;
+  return song.previewStatus === 'processing' && (!song.previewClaimedAt || song.previewClaimedAt < cutoff);
+}
+
+function mockPrisma(songs) {
+  return {
+    userSong: {
+      findMany: jest.fn(async ({ where }) => songs.filter((song) => claimable(song, where))),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const song = songs.find((candidate) => candidate.id === where.id && claimable(candidate, where));
+        if (!song) return { count: 0 };
+        Object.assign(song, data);
+        return { count: 1 };
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(songs.find((song) => song.id === where.id), data))
+    }
+  };
+}
+
+describe('preview generation', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-test-'));
+    storage = createLocalStorage({ rootDir, baseUrl: 'http://localhost:5000', secret: 'test' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('cuts 30 seconds of a wav master from the configured offset', async () => {
+    const master = countingWav(90);
+    await storage.put('song-1.wav', master);
+
+    const preview = await previews.buildPreview(storage, 'song-1.wav', {
+      fileSize: master.length,
+      settings: { offsetMs: 45000, lengthMs: 30000 }
+    });
+
+    expect(analyzeAudio(preview.data)).toMatchObject({ format: 'wav', durationMs: 30000, sampleRate: SAMPLE_RATE });
+    const pcmStart = preview.data.length - 30 * SAMPLE_RATE * 2;
+    expect(preview.data.readInt16LE(pcmStart)).toBe(45);
+    expect(preview.data.readInt16LE(preview.data.length - 2)).toBe(74);
+  });
+
+  it('uses the last full window of tracks shorter than offset plus length', () => {
+    expect(previews.clipWindow(40000, { offsetMs: 30000, lengthMs: 30000 })).toEqual({ startMs: 10000, lengthMs: 30000 });
+    expect(previews.clipWindow(12000, { offsetMs: 30000, lengthMs: 30000 })).toEqual({ startMs: 0, lengthMs: 12000 });
+  });
+
+  it('cuts whole mpeg frames from an mp3 master', async () => {
+    const master = buildMp3({ frames: 3000, tags: { title: 'Long' } });
+    await storage.put('song-2.mp3', master);
+
+    const preview = await previews.buildPreview(storage, 'song-2.mp3', {
+      fileSize: master.length,
+      settings: { offsetMs: 30000, lengthMs: 30000 }
+    });
+
+    const info = analyzeAudio(preview.data);
+    expect(info.format).toBe('mp3');
+    expect(Math.abs(info.durationMs - 30000)).toBeLessThan(105);
+    expect(preview.data.length % 417).toBe(0);
+  });
+
+  it('stores the preview next to the master and marks the song ready', async () => {
+    const master = countingWav(60);
+    const stored = await storage.put('abc.wav', master);
+    const songs = [
+      { id: 'abc', fileUrl: stored.url, fileSize: master.length, previewStatus: 'pending' },
+      { id: 'broken', fileUrl: 'http://localhost:5000/files/missing.wav', fileSize: null, previewStatus: 'pending' }
+    ];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const report = await previews.processPendingPreviews(mockPrisma(songs), storage);
+
+    expect(report).toEqual({ processed: 2, ready: 1, failed: 1 });
+    expect(songs[0]).toMatchObject({ previewStatus: 'ready', previewUrl: 'http://localhost:5000/files/abc-preview.wav' });
+    expect(fs.existsSync(path.join(rootDir, 'abc-preview.wav'))).toBe(true);
+    expect(songs[1].previewStatus).toBe('failed');
+    console.error.mockRestore();
+  });
+
+  it('picks up songs left processing by a job that died, but not ones claimed recently', async () => {
+    const master = countingWav(60);
+    const stored = await storage.put('abc.wav', master);
+    const now = new Date('2026-10-19T12:00:00Z');
+    const songs = [
+      { id: 'abc', fileUrl: stored.url, fileSize: master.length, previewStatus: 'processing', previewClaimedAt: new Date('2026-10-19T11:00:00Z') },
+      { id: 'busy', fileUrl: stored.url, fileSize: master.length, previewStatus: 'processing', previewClaimedAt: new Date('2026-10-19T11:55:00Z') }
+    ];
+
+    const report = await previews.processPendingPreviews(mockPrisma(songs), storage, { now });
+
+    expect(report).toEqual({ processed: 1, ready: 1, failed: 0 });
+    expect(songs[0]).toMatchObject({ previewStatus: 'ready', previewClaimedAt: now });
+    expect(songs[1].previewStatus).toBe('processing');
+  });
+});
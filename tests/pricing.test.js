@@ -0,0 +1,53 @@
+const pricing = require('../src/pricing');
+
+describe('pricing', () => {
+  it('parses numeric and string prices', () => {
+    expect(pricing.parsePrice(1.5)).toBe(1.5);
+    expect(pricing.parsePrice('2.49')).toBe(2.49);
+    expect(pricing.parsePrice(0)).toBe(0);
+  });
+
+  it('rejects invalid prices', () => {
+    expect(() => pricing.parsePrice('abc')).toThrow(pricing.PriceError);
+    expect(() => pricing.parsePrice('')).toThrow(pricing.PriceError);
+    expect(() => pricing.parsePrice(-1)).toThrow(pricing.PriceError);
+    expect(() => pricing.parsePrice(1.999)).toThrow(pricing.PriceError);
+    expect(() => pricing.parsePrice(100000)).toThrow(pricing.PriceError);
+  });
+
+  it('normalises supported currencies', () => {
+    expect(pricing.parseCurrency('usd')).toBe('USD');
+    expect(() => pricing.parseCurrency('JPY')).toThrow(pricing.PriceError);
+  });
+
+  it('falls back to the default price when a song has none', () => {
+    expect(pricing.priceFor(null)).toEqual({ price: 0.99, currency: 'GBP' });
+    expect(pricing.priceFor({ price: '1.29', currency: 'EUR' })).toEqual({ price: 1.29, currency: 'EUR' });
+  });
+
+  it('prices an upload from its own price first, then its album, then the defaults', () => {
+    const albumPrice = { price: '4.99', currency: 'USD' };
+    expect(pricing.uploadPrice({ price: 1.5, currency: 'EUR' }, albumPrice)).toEqual({ price: 1.5, currency: 'EUR' });
+    expect(pricing.uploadPrice({}, albumPrice)).toEqual({ price: 4.99, currency: 'USD' });
+    expect(pricing.uploadPrice({}, { price: '4.99', currency: null })).toEqual({ price: 4.99, currency: 'GBP' });
+    expect(pricing.uploadPrice({})).toEqual({ price: 0.99, currency: 'GBP' });
+  });
+
+  it('stores the album price alongside repricing the songs already on it', async () => {
+    const tx = {
+      albumPrice: { upsert: jest.fn(async ({ create }) => create) },
+      userSong: { updateMany: jest.fn().mockResolvedValue({ count: 0 }) }
+    };
+    const prisma = { $transaction: jest.fn(async (fn) => fn(tx)) };
+
+    const result = await pricing.setAlbumPrice(prisma, 'artist-1', 'Debut', { price: 4.99 });
+
+    expect(result).toEqual({ album: 'Debut', price: 4.99, currency: null, updated: 0 });
+    expect(tx.albumPrice.upsert).toHaveBeenCalledWith({
+      where: { ownerId_album: { ownerId: 'artist-1', album: 'Debut' } },
+      create: { ownerId: 'artist-1', album: 'Debut', price: 4.99, currency: null },
+      update: { price: 4.99 }
+    });
+    expect(tx.userSong.updateMany).toHaveBeenCalledWith({ where: { ownerId: 'artist-1', album: 'Debut' }, data: { price: 4.99 } });
+  });
+});
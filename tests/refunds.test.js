@@ -0,0 +1,110 @@
+const refunds = require('../src/refunds');
+const payments = require('../src/payments');
+
+function mockPrisma(refundRequest) {
+  const prisma = {
+    userSong: { findUnique: jest.fn().mockResolvedValue({ id: 'song-1', ownerId: 'seller' }) },
+    purchase: {
+      findUnique: jest.fn(),
+      update: jest.fn(async ({ data }) => data)
+    },
+    royaltyEntry: {
+      findMany: jest.fn().mockResolvedValue([]),
+      upsert: jest.fn()
+    },
+    refundRequest: {
+      create: jest.fn(async ({ data }) => ({ id: 'refund-1', ...data })),
+      findUnique: jest.fn().mockResolvedValue(refundRequest),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      update: jest.fn(async ({ data }) => ({ ...refundRequest, ...data }))
+    }
+  };
+  prisma.$transaction = jest.fn((operations) => Promise.all(operations));
+  return prisma;
+}
+
+const pendingRequest = {
+  id: 'refund-1',
+  purchaseId: 'purchase-1',
+  status: 'pending',
+  amount: '0.99',
+  purchase: { id: 'purchase-1', songId: 'song-1', songType: 'user', paymentIntentId: 'pi_1', order: null }
+};
+
+describe('refunds', () => {
+  it('only lets buyers request refunds for completed purchases', async () => {
+    const prisma = mockPrisma();
+    prisma.purchase.findUnique.mockResolvedValue({ id: 'purchase-1', userId: 'buyer', status: 'pending' });
+
+    await expect(refunds.requestRefund(prisma, 'someone-else', 'purchase-1')).rejects.toMatchObject({ status: 404 });
+    await expect(refunds.requestRefund(prisma, 'buyer', 'purchase-1')).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('does not take a new request once a refund was denied or paid', async () => {
+    const prisma = mockPrisma();
+
+    for (const refundStatus of ['requested', 'denied', 'refunded']) {
+      prisma.purchase.findUnique.mockResolvedValue({ id: 'purchase-1', userId: 'buyer', status: 'completed', refundStatus });
+      await expect(refunds.requestRefund(prisma, 'buyer', 'purchase-1')).rejects.toMatchObject({ status: 409 });
+    }
+    expect(prisma.refundRequest.create).not.toHaveBeenCalled();
+
+    prisma.purchase.findUnique.mockResolvedValue({ id: 'purchase-1', userId: 'buyer', status: 'completed', refundStatus: null, price: '0.99' });
+    await expect(refunds.requestRefund(prisma, 'buyer', 'purchase-1', 'wrong song')).resolves.toMatchObject({ reason: 'wrong song' });
+  });
+
+  it('refunds through the provider and revokes the purchase when the seller approves', async () => {
+    const provider = { refund: jest.fn().mockResolvedValue({ id: 're_1' }) };
+    payments.setPaymentProvider(provider);
+    const prisma = mockPrisma(pendingRequest);
+
+    const updated = await refunds.approveRefund(prisma, 'refund-1', { uid: 'seller' }, 'ok');
+
+    expect(provider.refund).toHaveBeenCalledWith('pi_1', 0.99);
+    expect(updated).toMatchObject({ status: 'approved', providerRefundId: 're_1', decidedBy: 'seller' });
+    expect(prisma.purchase.update.mock.calls[0][0].data).toMatchObject({ status: 'refunded', refundStatus: 'refunded' });
+  });
+
+  it('only lets one of two racing decisions through', async () => {
+    const provider = { refund: jest.fn().mockResolvedValue({ id: 're_1' }) };
+    payments.setPaymentProvider(provider);
+    const prisma = mockPrisma(pendingRequest);
+    prisma.refundRequest.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    const results = await Promise.allSettled([
+      refunds.approveRefund(prisma, 'refund-1', { uid: 'seller' }),
+      refunds.approveRefund(prisma, 'refund-1', { uid: 'seller' })
+    ]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(({ status }) => status === 'rejected').reason).toMatchObject({ status: 409 });
+    expect(provider.refund).toHaveBeenCalledTimes(1);
+    expect(prisma.refundRequest.updateMany.mock.calls[0][0]).toEqual({
+      where: { id: 'refund-1', status: 'pending' },
+      data: { status: 'processing' }
+    });
+  });
+
+  it('puts the request back to pending when the provider refund fails', async () => {
+    payments.setPaymentProvider({ refund: jest.fn().mockRejectedValue(new Error('card network down')) });
+    const prisma = mockPrisma(pendingRequest);
+
+    await expect(refunds.approveRefund(prisma, 'refund-1', { uid: 'seller' })).rejects.toThrow('card network down');
+
+    expect(prisma.refundRequest.updateMany.mock.calls[1][0]).toEqual({
+      where: { id: 'refund-1', status: 'processing' },
+      data: { status: 'pending' }
+    });
+    expect(prisma.refundRequest.update).not.toHaveBeenCalled();
+    expect(prisma.purchase.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects decisions from anyone but the seller or an admin', async () => {
+    const prisma = mockPrisma(pendingRequest);
+
+    await expect(refunds.denyRefund(prisma, 'refund-1', { uid: 'buyer' })).rejects.toMatchObject({ status: 403 });
+    // only the role counts; a stale admin flag on the caller does not
+    await expect(refunds.denyRefund(prisma, 'refund-1', { uid: 'staff', role: 'listener', admin: true })).rejects.toMatchObject({ status: 403 });
+    await expect(refunds.denyRefund(prisma, 'refund-1', { uid: 'staff', role: 'admin' })).resolves.toMatchObject({ status: 'denied' });
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn(), update: jest.fn() },
+    artistApplication: { findUnique: jest.fn(), findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+    media: { findMany: jest.fn().mockResolvedValue([]) },
+    album: { findMany: jest.fn().mockResolvedValue([]) },
+    track: { findMany: jest.fn().mockResolvedValue([]) },
+    userSong: { aggregate: jest.fn().mockResolvedValue({ _sum: { fileSize: null } }) },
+    uploadSession: { aggregate: jest.fn().mockResolvedValue({ _sum: { size: null } }) }
+  };
+  mockClient.$transaction = jest.fn(async (ops) => (typeof ops === 'function' ? ops(mockClient) : Promise.all(ops)));
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+const mockSetCustomUserClaims = jest.fn();
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token, admin: token === 'legacy-admin' })),
+    setCustomUserClaims: mockSetCustomUserClaims
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+const { buildMp3 } = require('./helpers/audioFixtures');
+
+const prisma = new PrismaClient();
+
+// uid -> stored user; the token's uid doubles as its role for the seeded accounts
+const users = {
+  listener: { firebaseUid: 'listener', email: 'l@example.com', role: 'listener', artistName: null },
+  artist: { firebaseUid: 'artist', email: 'a@example.com', role: 'artist', artistName: 'Band' },
+  moderator: { firebaseUid: 'moderator', email: 'm@example.com', role: 'moderator', artistName: null },
+  admin: { firebaseUid: 'admin', email: 'root@example.com', role: 'admin', artistName: null }
+};
+
+const pendingApplication = {
+  id: 'app-1',
+  applicantId: 'listener',
+  artistName: 'New Band',
+  status: 'pending'
+};
+
+function as(token) {
+  const withToken = (req) => req.set('Authorization', `Bearer ${token}`);
+  return {
+    get: (url) => withToken(request(app).get(url)),
+    post: (url) => withToken(request(app).post(url)),
+    put: (url) => withToken(request(app).put(url))
+  };
+}
+
+describe('roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ROLE_CLAIMS_ENABLED;
+    prisma.user.findUnique.mockImplementation(async ({ where }) => users[where.firebaseUid] || null);
+    prisma.user.update.mockImplementation(async ({ where, data }) => ({ ...users[where.firebaseUid], ...data }));
+    // one stored application, so a decision is only recorded while it is still pending
+    let application = { ...pendingApplication };
+    prisma.artistApplication.findUnique.mockImplementation(async () => application);
+    prisma.artistApplication.updateMany.mockImplementation(async ({ where, data }) => {
+      if (application.status !== where.status) return { count: 0 };
+      application = { ...application, ...data };
+      return { count: 1 };
+    });
+    prisma.artistApplication.findFirst.mockResolvedValue(null);
+    prisma.artistApplication.findMany.mockResolvedValue([pendingApplication]);
+    prisma.artistApplication.create.mockImplementation(async ({ data }) => ({ id: 'app-2', status: 'pending', ...data }));
+  });
+
+  it('ignores isArtist on a profile update', async () => {
+    const res = await as('listener').put('/users/listener').send({ bio: 'hi', isArtist: true, role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.user.update.mock.calls[0][0].data).not.toHaveProperty('isArtist');
+    expect(prisma.user.update.mock.calls[0][0].data).not.toHaveProperty('role');
+    expect(res.body).toMatchObject({ role: 'listener', isArtist: false });
+  });
+
+  it('keeps publishing to artists and admins', async () => {
+    const upload = (token) => as(token).post('/upload').attach('music', buildMp3({ frames: 5 }), 'a.mp3');
+
+    const listener = await upload('listener');
+    expect(listener.status).toBe(403);
+    expect(listener.body).toEqual({ error: 'Requires role: artist' });
+    expect((await as('moderator').post('/uploads').send({ filename: 'a.mp3', size: 10 })).status).toBe(403);
+
+    expect((await upload('artist')).status).toBe(200);
+    expect((await upload('admin')).status).toBe(200);
+  });
+
+  it('shows debug output to admins only', async () => {
+    expect((await request(app).get('/debug/media')).status).toBe(401);
+    expect((await as('artist').get('/debug/media')).status).toBe(403);
+    expect((await as('admin').get('/debug/media')).status).toBe(200);
+    expect((await as('legacy-admin').get('/debug/media')).status).toBe(200);
+  });
+
+  it('takes one pending application from a listener', async () => {
+    const created = await as('listener').post('/artist-applications').send({ artistName: ' New Band ', links: ['https://band.example'] });
+    expect(created.status).toBe(201);
+    expect(prisma.artistApplication.create.mock.calls[0][0].data).toMatchObject({ applicantId: 'listener', artistName: 'New Band' });
+
+    prisma.artistApplication.findFirst.mockResolvedValue(pendingApplication);
+    expect((await as('listener').post('/artist-applications').send({ artistName: 'Again' })).status).toBe(409);
+    expect((await as('artist').post('/artist-applications').send({ artistName: 'Band' })).status).toBe(409);
+    expect((await as('listener').post('/artist-applications').send({ artistName: 'X', links: ['ftp://x'] })).status).toBe(400);
+  });
+
+  it('lists an applicant\'s own applications and the pending queue for reviewers', async () => {
+    await as('listener').get('/artist-applications');
+    expect(prisma.artistApplication.findMany.mock.calls[0][0].where).toEqual({ applicantId: 'listener' });
+
+    await as('moderator').get('/artist-applications');
+    expect(prisma.artistApplication.findMany.mock.calls[1][0].where).toEqual({ status: 'pending' });
+  });
+
+  it('lets a moderator approve an application, making the applicant an artist', async () => {
+    process.env.ROLE_CLAIMS_ENABLED = 'true';
+
+    expect((await as('artist').post('/artist-applications/app-1/approve')).status).toBe(403);
+
+    const res = await as('moderator').post('/artist-applications/app-1/approve').send({ note: 'welcome' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'approved', decidedBy: 'moderator', decisionNote: 'welcome' });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { firebaseUid: 'listener' },
+      data: { role: 'artist', artistName: 'New Band' }
+    });
+    expect(mockSetCustomUserClaims).toHaveBeenCalledWith('listener', { role: 'artist', admin: false });
+  });
+
+  it('does not decide an application twice', async () => {
+    prisma.artistApplication.findUnique.mockResolvedValue({ ...pendingApplication, status: 'rejected' });
+
+    const res = await as('admin').post('/artist-applications/app-1/approve');
+
+    expect(res.status).toBe(409);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('records only one of an approve and a reject that race', async () => {
+    const [approve, reject] = await Promise.all([
+      as('moderator').post('/artist-applications/app-1/approve'),
+      as('admin').post('/artist-applications/app-1/reject')
+    ]);
+
+    expect([approve.status, reject.status].sort()).toEqual([200, 409]);
+    expect(prisma.user.update).toHaveBeenCalledTimes(approve.status === 200 ? 1 : 0);
+    expect(prisma.artistApplication.updateMany.mock.calls[0][0].where).toEqual({ id: 'app-1', status: 'pending' });
+  });
+
+  it('lets admins assign roles and mirrors them into claims when enabled', async () => {
+    expect((await as('moderator').put('/admin/users/listener/role').send({ role: 'admin' })).status).toBe(403);
+    expect((await as('admin').put('/admin/users/listener/role').send({ role: 'owner' })).status).toBe(400);
+    expect((await as('admin').put('/admin/users/nobody/role').send({ role: 'artist' })).status).toBe(404);
+    expect((await as('admin').put('/admin/users/admin/role').send({ role: 'listener' })).status).toBe(409);
+
+    const quiet = await as('admin').put('/admin/users/listener/role').send({ role: 'moderator' });
+    expect(quiet.status).toBe(200);
+    expect(mockSetCustomUserClaims).not.toHaveBeenCalled();
+
+    process.env.ROLE_CLAIMS_ENABLED = 'true';
+    const mirrored = await as('admin').put('/admin/users/listener/role').send({ role: 'admin' });
+    expect(mirrored.body).toMatchObject({ role: 'admin', isArtist: false });
+    expect(mockSetCustomUserClaims).toHaveBeenCalledWith('listener', { role: 'admin', admin: true });
+  });
+});
@@ -0,0 +1,109 @@
+const royalties = require('../src/royalties');
+
+describe('royalties', () => {
+  afterEach(() => {
+    delete process.env.ROYALTY_RATE_PER_PLAY;
+  });
+
+  it('buckets plays per song and day using the configured rate', async () => {
+    process.env.ROYALTY_RATE_PER_PLAY = '0.01';
+    const prisma = {
+      royaltyEntry: {
+        updateMany: jest.fn().mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 1 }),
+        count: jest.fn().mockResolvedValue(0),
+        create: jest.fn()
+      },
+      songSplit: { findMany: jest.fn().mockResolvedValue([]) }
+    };
+    const song = { id: 'song-1', ownerId: 'artist' };
+
+    await royalties.recordPlay(prisma, song, new Date('2026-10-19T12:00:00Z'));
+    await royalties.recordPlay(prisma, song, new Date('2026-10-19T13:00:00Z'));
+
+    const bucket = { source: 'play', songId: 'song-1', recipientId: 'artist', occurredOn: new Date('2026-10-19') };
+    expect(prisma.royaltyEntry.updateMany.mock.calls[0][0]).toEqual({
+      where: { ...bucket, status: 'accrued' },
+      data: { quantity: { increment: 1 }, amount: { increment: 0.01 } }
+    });
+    expect(prisma.royaltyEntry.create).toHaveBeenCalledTimes(1);
+    expect(prisma.royaltyEntry.create.mock.calls[0][0].data).toMatchObject({ sourceId: 'song-1:2026-10-19', amount: 0.01, period: '2026-10' });
+  });
+
+  it('opens a new bucket for plays after the day\'s bucket was paid out', async () => {
+    const prisma = {
+      royaltyEntry: {
+        updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+        count: jest.fn().mockResolvedValue(1),
+        create: jest.fn()
+      },
+      songSplit: { findMany: jest.fn().mockResolvedValue([]) }
+    };
+
+    await royalties.recordPlay(prisma, { id: 'song-1', ownerId: 'artist' }, new Date('2026-10-19T15:00:00Z'));
+
+    expect(prisma.royaltyEntry.create.mock.calls[0][0].data).toMatchObject({ sourceId: 'song-1:2026-10-19:1', quantity: 1 });
+  });
+
+  it('adds to the bucket a concurrent play opened first', async () => {
+    const prisma = {
+      royaltyEntry: {
+        updateMany: jest.fn().mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 1 }),
+        count: jest.fn().mockResolvedValue(0),
+        create: jest.fn().mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }))
+      },
+      songSplit: { findMany: jest.fn().mockResolvedValue([]) }
+    };
+
+    await royalties.recordPlay(prisma, { id: 'song-1', ownerId: 'artist' }, new Date('2026-10-19T15:00:00Z'));
+
+    expect(prisma.royaltyEntry.updateMany).toHaveBeenCalledTimes(2);
+  });
+
+  it('divides purchase earnings by an accepted split sheet', async () => {
+    const prisma = {
+      userSong: { findUnique: jest.fn().mockResolvedValue({ id: 'song-1', ownerId: 'artist' }) },
+      royaltyEntry: { upsert: jest.fn(async ({ create }) => create) },
+      songSplit: {
+        findMany: jest.fn().mockResolvedValue([
+          { collaboratorId: 'artist', percentage: '60', status: 'accepted' },
+          { collaboratorId: 'producer', percentage: '40', status: 'accepted' }
+        ])
+      }
+    };
+
+    const entries = await royalties.recordPurchases(prisma, [
+      { id: 'purchase-1', songId: 'song-1', songType: 'user', price: '1.00', currency: 'GBP', completedAt: new Date('2026-10-19T00:00:00Z') }
+    ]);
+
+    expect(entries.map(({ recipientId, amount }) => ({ recipientId, amount }))).toEqual([
+      { recipientId: 'artist', amount: 0.42 },
+      { recipientId: 'producer', amount: 0.28 }
+    ]);
+  });
+
+  it('splits balances into paid-out and pending per period', async () => {
+    const prisma = {
+      royaltyEntry: {
+        groupBy: jest.fn(async ({ by }) => (by[0] === 'period'
+          ? [
+            { period: '2026-09', currency: 'GBP', status: 'paid', source: 'play', _sum: { amount: '1.5', quantity: 300 } },
+            { period: '2026-10', currency: 'GBP', status: 'accrued', source: 'play', _sum: { amount: '0.25', quantity: 50 } },
+            { period: '2026-10', currency: 'GBP', status: 'accrued', source: 'purchase', _sum: { amount: '0.693', quantity: 1 } }
+          ]
+          : [
+            { songId: 'song-1', currency: 'GBP', source: 'play', _sum: { amount: '1.75', quantity: 350 } },
+            { songId: 'song-1', currency: 'GBP', source: 'purchase', _sum: { amount: '0.693', quantity: 1 } }
+          ]))
+      }
+    };
+
+    const balances = await royalties.getBalances(prisma, 'artist');
+
+    expect(balances.periods).toEqual([
+      { period: '2026-10', currency: 'GBP', accrued: 0.943, paidOut: 0, pending: 0.943, plays: 50 },
+      { period: '2026-09', currency: 'GBP', accrued: 1.5, paidOut: 1.5, pending: 0, plays: 300 }
+    ]);
+    expect(balances.totals).toEqual([{ currency: 'GBP', accrued: 2.443, paidOut: 1.5, pending: 0.943 }]);
+    expect(balances.songs).toEqual([{ songId: 'song-1', currency: 'GBP', plays: 350, sales: 1, earnings: 2.443 }]);
+  });
+});
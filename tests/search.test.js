@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    $queryRawUnsafe: jest.fn(),
+    userSong: { findUnique: jest.fn(), findMany: jest.fn() },
+    track: { findUnique: jest.fn(), findFirst: jest.fn(), findMany: jest.fn() },
+    artist: { findMany: jest.fn(), count: jest.fn() }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../server');
+const search = require('../src/search');
+
+const prisma = new PrismaClient();
+
+// placeholders in a raw query must line up with the values passed alongside it
+function expectBoundParams([sql, ...values]) {
+  const used = new Set([...sql.matchAll(/\$(\d+)/g)].map((match) => Number(match[1])));
+  expect([...used].sort((a, b) => a - b)).toEqual(values.map((value, index) => index + 1));
+}
+
+// answers page, count and facet queries by their shape, since facets run alongside the page query
+function answerQueries({ page = [], total = page.length, facets = [] } = {}) {
+  prisma.$queryRawUnsafe.mockImplementation(async (sql) => {
+    if (sql.includes('AS "total"')) return [{ total }];
+    if (sql.includes('GROUP BY')) return facets;
+    return page;
+  });
+}
+
+function queriesLike(fragment) {
+  return prisma.$queryRawUnsafe.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+describe('catalog search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.userSong.findMany.mockResolvedValue([{ id: 'song-1', title: 'Bedroom Demo', artist: 'Artist A', price: '0.99' }]);
+    prisma.track.findMany.mockResolvedValue([{ id: 'track-1', name: 'Opener', price: '1.29', track_artists: [] }]);
+  });
+
+  it('splits queries into lowercase terms', () => {
+    expect(search.searchTerms('  Daft   PUNK ')).toEqual(['daft', 'punk']);
+    expect(search.searchTerms(undefined)).toEqual([]);
+  });
+
+  it('ranks uploads and tracks together by relevance when there is a query', async () => {
+    answerQueries({ page: [{ type: 'spotify', sourceId: 'track-1' }, { type: 'user', sourceId: 'song-1' }] });
+
+    const res = await request(app).get('/search?q=Opner&explicit=false&facets=false');
+
+    expect(res.status).toBe(200);
+    expect(res.body.songs.map((song) => song.id)).toEqual(['spotify:track-1', 'user:song-1']);
+    expect(res.body.pagination).toMatchObject({ totalItems: 2, totalPages: 1 });
+    expect(res.body).not.toHaveProperty('facets');
+
+    const [pageQuery, countQuery] = prisma.$queryRawUnsafe.mock.calls;
+    expect(pageQuery[0]).toMatch(/word_similarity.*AS "k0"/);
+    expect(pageQuery[0]).toContain('ORDER BY "k0" DESC, "k1" ASC, "k2" ASC');
+    expect(pageQuery).toContain('opner');
+    expect(pageQuery).toContain('%opner%');
+    expectBoundParams(pageQuery);
+    expectBoundParams(countQuery);
+  });
+
+  it('keeps name order and skips the document join without a query', async () => {
+    answerQueries();
+
+    await request(app).get('/search?sortBy=duration_ms&sortOrder=desc&minDurationSec=60&facets=false');
+
+    const [pageQuery, countQuery] = prisma.$queryRawUnsafe.mock.calls;
+    expect(pageQuery[0]).not.toContain('search_documents');
+    expect(pageQuery[0]).toContain('COALESCE(ci."durationMs", -1) AS "k0"');
+    expect(pageQuery.slice(1)).toEqual([60000, 11, 0]);
+    expectBoundParams(countQuery);
+  });
+
+  it('continues from a cursor with a keyset condition instead of an offset', async () => {
+    const page = Array.from({ length: 3 }, (_, index) => ({ type: 'spotify', sourceId: `t${index}`, k0: 'Song', k1: `spotify:t${index}` }));
+    answerQueries({ page, total: 40 });
+
+    const first = await request(app).get('/search?limit=2&facets=false');
+
+    expect(first.body.pagination).toMatchObject({ currentPage: 1, totalPages: 20, itemsPerPage: 2 });
+    const { nextCursor } = first.body.pagination;
+    expect(nextCursor).toEqual(expect.any(String));
+
+    prisma.$queryRawUnsafe.mockClear();
+    await request(app).get(`/search?limit=2&facets=false&cursor=${nextCursor}`);
+
+    const [pageQuery] = prisma.$queryRawUnsafe.mock.calls;
+    expect(pageQuery[0]).toContain('ci."title" > $1::text');
+    expect(pageQuery.slice(1)).toEqual(['Song', 'spotify:t1', 3, 0]);
+    expectBoundParams(pageQuery);
+  });
+
+  it('rejects malformed paging input and caps the page size', async () => {
+    answerQueries();
+
+    expect((await request(app).get('/search?page=abc')).status).toBe(400);
+    expect((await request(app).get('/search?limit=0')).status).toBe(400);
+    expect((await request(app).get('/search?cursor=not-a-cursor')).status).toBe(400);
+
+    const res = await request(app).get('/search?limit=100000&facets=false');
+    expect(res.body.pagination.itemsPerPage).toBe(100);
+  });
+
+  it('rejects non-numeric filters, unknown sorts and cursors of the wrong shape before querying', async () => {
+    answerQueries();
+    const cursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+    for (const query of [
+      'minPrice=cheap',
+      'maxDurationSec=-5',
+      'minReleaseYear=2020.5',
+      'sortBy=plays',
+      'sortOrder=sideways',
+      `sortBy=duration_ms&cursor=${cursor(['long', 'spotify:t1'])}`,
+      `q=song&cursor=${cursor(['high', 'Song', 'spotify:t1'])}`,
+      `cursor=${cursor([{ title: 'Song' }, 'spotify:t1'])}`
+    ]) {
+      const res = await request(app).get(`/search?${query}`);
+      expect({ query, status: res.status }).toEqual({ query, status: 400 });
+    }
+    expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+
+    await request(app).get('/search?minPrice=0.5&maxDurationSec=90&facets=false');
+    expect(prisma.$queryRawUnsafe.mock.calls[0].slice(1)).toEqual([0.5, 90000, 11, 0]);
+  });
+
+  it('escapes like wildcards in search terms', async () => {
+    answerQueries();
+
+    await request(app).get('/search?q=100%25_pure&facets=false');
+
+    expect(prisma.$queryRawUnsafe.mock.calls[0]).toContain('%100\\%\\_pure%');
+  });
+
+  it('counts every facet with the other filters applied but not its own', async () => {
+    answerQueries({ facets: [{ value: 'album', count: 3 }] });
+
+    const res = await request(app).get('/search?q=demo&albumType=single&minReleaseYear=2020&artistId=artist-1&maxPrice=1.5');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.facets)).toEqual(
+      ['type', 'genre', 'albumType', 'releaseYear', 'artist', 'explicit', 'hasPreview', 'price']
+    );
+
+    const albumTypeQuery = queriesLike('GROUP BY').find(([sql]) => sql.includes('ci."albumType" AS "value"'));
+    expect(albumTypeQuery).not.toContain('single');
+    expect(albumTypeQuery).toEqual(expect.arrayContaining(['artist-1', 2020, 1.5]));
+    expectBoundParams(albumTypeQuery);
+
+    const artistQuery = queriesLike('unnest(ci."artistIds")')[0];
+    expect(artistQuery).not.toContain('artist-1');
+    expect(artistQuery).toContain('single');
+    queriesLike('GROUP BY').forEach(expectBoundParams);
+  });
+
+  it('returns artists in the order the search ranked them', async () => {
+    answerQueries({ page: [{ id: 'b' }, { id: 'a' }] });
+    prisma.artist.findMany.mockResolvedValue([{ id: 'a', name: 'Daft Punk' }, { id: 'b', name: 'Daft Punks' }]);
+
+    const res = await request(app).get('/artists?q=daft%20punk');
+
+    expect(res.status).toBe(200);
+    expect(res.body.artists.map((artist) => artist.id)).toEqual(['b', 'a']);
+    expect(res.body.pagination.totalItems).toBe(2);
+  });
+
+  it('suggests titles and artists by prefix', async () => {
+    prisma.$queryRawUnsafe
+      .mockResolvedValueOnce([{ id: 'spotify:track-1', type: 'spotify', sourceId: 'track-1', title: 'Opener', artistNames: 'Artist A' }])
+      .mockResolvedValueOnce([{ id: 'a', name: 'Opeth' }]);
+
+    const res = await request(app).get('/search/suggest?q=Ope&limit=50');
+
+    expect(res.status).toBe(200);
+    expect(res.body.songs[0].title).toBe('Opener');
+    expect(res.body.artists).toEqual([{ id: 'a', name: 'Opeth' }]);
+    expect(prisma.$queryRawUnsafe.mock.calls[0].slice(1)).toEqual(['ope%', '% ope%', 10]);
+  });
+
+  it('does not query for an empty suggestion prefix', async () => {
+    const res = await request(app).get('/search/suggest?q=%20');
+
+    expect(res.body).toEqual({ songs: [], artists: [] });
+    expect(prisma.$queryRawUnsafe).not.toHaveBeenCalled();
+  });
+});
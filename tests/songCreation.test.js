@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'song-creation-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const keys = new Map();
+  const keyId = ({ userId, scope, key }) => `${userId}:${scope}:${key}`;
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue({ role: 'artist' }) },
+    userSong: {
+      create: jest.fn(async ({ data }) => ({ ...data, uploadedAt: new Date().toISOString() })),
+      aggregate: jest.fn().mockResolvedValue({ _sum: { fileSize: null } })
+    },
+    albumPrice: { findUnique: jest.fn().mockResolvedValue(null) },
+    songFingerprint: { findMany: jest.fn().mockResolvedValue([]) },
+    track: { findMany: jest.fn().mockResolvedValue([]) },
+    uploadSession: {
+      aggregate: jest.fn().mockResolvedValue({ _sum: { size: null } })
+    },
+    idempotencyKey: {
+      create: jest.fn(async ({ data }) => {
+        const id = keyId(data);
+        if (keys.has(id)) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        keys.set(id, { ...data, id, status: 'in_progress', createdAt: new Date() });
+        return keys.get(id);
+      }),
+      findUnique: jest.fn(async ({ where }) => keys.get(keyId(where.userId_scope_key)) || null),
+      update: jest.fn(async ({ where, data }) => Object.assign(keys.get(keyId(where.userId_scope_key)), data)),
+      delete: jest.fn(async ({ where }) => keys.delete(where.id || keyId(where.userId_scope_key)))
+    }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const { buildWav } = require('./helpers/audioFixtures');
+const app = require('../server');
+
+const prisma = new PrismaClient();
+const wav = buildWav({ seconds: 1, tags: { title: 'From Tags', artist: 'Tagged' } });
+
+describe('POST /songs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('creates the song with a server id owned by the token user', async () => {
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .field('userId', 'someone-else')
+      .field('price', '1.50')
+      .attach('music', wav, 'master.wav');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ title: 'From Tags', ownerId: 'artist-1', price: 1.5, duration_ms: 1000 });
+    expect(res.body.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('prices a song uploaded into a priced album at the album price unless it names its own', async () => {
+    prisma.albumPrice.findUnique.mockResolvedValue({ ownerId: 'artist-1', album: 'Debut', price: '4.99', currency: 'USD' });
+
+    const albumPriced = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .field('album', 'Debut')
+      .attach('music', wav, 'master.wav');
+    const ownPrice = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .field('album', 'Debut')
+      .field('price', '1.50')
+      .attach('music', wav, 'master.wav');
+    prisma.albumPrice.findUnique.mockResolvedValue(null);
+
+    expect(albumPriced.body).toMatchObject({ album: 'Debut', price: 4.99, currency: 'USD' });
+    expect(ownPrice.body).toMatchObject({ album: 'Debut', price: 1.5, currency: 'USD' });
+    expect(prisma.albumPrice.findUnique).toHaveBeenCalledWith({ where: { ownerId_album: { ownerId: 'artist-1', album: 'Debut' } } });
+  });
+
+  it('holds a re-upload of another user song for review instead of publishing it', async () => {
+    prisma.songFingerprint.findMany.mockResolvedValueOnce([{ songId: 'original-song' }]);
+
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-2')
+      .attach('music', wav, 'master.wav');
+
+    expect(res.status).toBe(201);
+    expect(res.body.moderationStatus).toBe('held');
+    const { data } = prisma.userSong.create.mock.calls[0][0];
+    expect(data.duplicateMatches.create).toEqual([{ matchedType: 'user', matchedId: 'original-song', method: 'exact', score: 1 }]);
+    expect(data.fingerprint.create.audioHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('replays the first response for a retried Idempotency-Key', async () => {
+    const send = () => request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .set('Idempotency-Key', 'retry-key-0001')
+      .field('title', 'Retry Me')
+      .attach('music', wav, 'master.wav');
+
+    const first = await send();
+    const second = await send();
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body.id).toBe(first.body.id);
+    expect(prisma.userSong.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a reused key with a different payload', async () => {
+    await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .set('Idempotency-Key', 'reused-key-0001')
+      .field('title', 'One')
+      .attach('music', wav, 'master.wav');
+
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .set('Idempotency-Key', 'reused-key-0001')
+      .field('title', 'Two')
+      .attach('music', wav, 'master.wav');
+
+    expect(res.status).toBe(422);
+  });
+
+  it('stores validated artwork with standard thumbnails', async () => {
+    const cover = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .attach('music', wav, 'master.wav')
+      .attach('image', cover, 'cover.png');
+
+    expect(res.status).toBe(201);
+    const media = prisma.userSong.create.mock.calls[0][0].data.media.create;
+    expect(media.map((item) => [item.type, item.width, item.height])).toEqual([
+      ['cover', 800, 600],
+      ['cover_64', 64, 64],
+      ['cover_300', 300, 300],
+      ['cover_640', 600, 600]
+    ]);
+    expect(res.body.imageUrl).toMatch(new RegExp(`/files/${res.body.id}-cover\\.png$`));
+    expect(fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, `${res.body.id}-cover-300.jpg`))).toBe(true);
+  });
+
+  it('rejects artwork that is not really an image', async () => {
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .attach('music', wav, 'master.wav')
+      .attach('image', Buffer.from('definitely not a picture'), 'cover.jpg');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/artwork/i);
+  });
+
+  it('removes stored blobs when the database insert fails', async () => {
+    prisma.userSong.create.mockRejectedValueOnce(new Error('db down'));
+    const blobsBefore = fs.readdirSync(process.env.LOCAL_STORAGE_DIR).length;
+
+    const res = await request(app)
+      .post('/songs')
+      .set('Authorization', 'Bearer artist-1')
+      .attach('music', wav, 'master.wav');
+
+    expect(res.status).toBe(500);
+    expect(fs.readdirSync(process.env.LOCAL_STORAGE_DIR)).toHaveLength(blobsBefore);
+  });
+});
@@ -0,0 +1,73 @@
+const splits = require('../src/splits');
+
+describe('split sheets', () => {
+  it('accepts sheets that total exactly 100', () => {
+    expect(splits.validateSheet([
+      { collaboratorId: 'a', percentage: 33.33, role: 'writer' },
+      { collaboratorId: 'b', percentage: '33.33', role: 'producer' },
+      { collaboratorId: 'c', percentage: 33.34, role: 'performer' }
+    ])).toHaveLength(3);
+  });
+
+  it('rejects totals other than 100, duplicates and missing roles', () => {
+    expect(() => splits.validateSheet([{ collaboratorId: 'a', percentage: 90, role: 'writer' }])).toThrow('must total 100');
+    expect(() => splits.validateSheet([
+      { collaboratorId: 'a', percentage: 50, role: 'writer' },
+      { collaboratorId: 'a', percentage: 50, role: 'producer' }
+    ])).toThrow('more than once');
+    expect(() => splits.validateSheet([{ collaboratorId: 'a', percentage: 100 }])).toThrow('role');
+  });
+
+  it('locks the sheet after the first sale', async () => {
+    const tx = {
+      $queryRaw: jest.fn().mockResolvedValue([{ status: 'pending' }, { status: 'completed' }]),
+      songSplit: { deleteMany: jest.fn() }
+    };
+    const prisma = { $transaction: jest.fn((work) => work(tx)) };
+
+    await expect(splits.replaceSheet(prisma, { id: 'song-1', ownerId: 'a' }, 'a', [
+      { collaboratorId: 'a', percentage: 100, role: 'writer' }
+    ])).rejects.toMatchObject({ status: 409 });
+    await expect(splits.clearSheet(prisma, { id: 'song-1', ownerId: 'a' }, 'a')).rejects.toMatchObject({ status: 409 });
+    expect(tx.songSplit.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('checks for sales under a row lock in the same transaction as the write', async () => {
+    const order = [];
+    const tx = {
+      $queryRaw: jest.fn(async (strings, songId) => {
+        order.push(`lock ${songId}`);
+        return [{ status: 'pending' }];
+      }),
+      songSplit: {
+        deleteMany: jest.fn(async () => order.push('delete')),
+        create: jest.fn(async () => order.push('create')),
+        findMany: jest.fn().mockResolvedValue([])
+      },
+      splitAuditLog: { create: jest.fn() }
+    };
+    const prisma = { $transaction: jest.fn((work) => work(tx)) };
+
+    await splits.replaceSheet(prisma, { id: 'song-1', ownerId: 'a' }, 'a', [
+      { collaboratorId: 'a', percentage: 100, role: 'writer' }
+    ]);
+
+    expect(order).toEqual(['lock song-1', 'delete', 'create']);
+    expect(tx.$queryRaw.mock.calls[0][0].join('?')).toContain('FOR UPDATE');
+  });
+
+  it('pays the owner alone until every collaborator accepts', async () => {
+    const prisma = {
+      songSplit: {
+        findMany: jest.fn().mockResolvedValue([
+          { collaboratorId: 'a', percentage: '50', status: 'accepted' },
+          { collaboratorId: 'b', percentage: '50', status: 'pending' }
+        ])
+      }
+    };
+
+    await expect(splits.recipientsFor(prisma, { id: 'song-1', ownerId: 'a' })).resolves.toEqual([
+      { recipientId: 'a', share: 1 }
+    ]);
+  });
+});
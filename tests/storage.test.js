@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+
+process.env.SKIP_DB_CHECK = 'true';
+process.env.SKIP_BLOB_CHECK = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+
+jest.mock('@prisma/client', () => {
+  const songs = new Map();
+  const mockClient = {
+    $queryRaw: jest.fn().mockResolvedValue([1]),
+    user: { findUnique: jest.fn().mockResolvedValue({ role: 'artist' }) },
+    userSong: {
+      findUnique: jest.fn(async ({ where }) => songs.get(where.id) || null),
+      create: jest.fn(async ({ data }) => {
+        songs.set(data.id, data);
+        return data;
+      }),
+      aggregate: jest.fn(async ({ where }) => ({
+        _sum: {
+          fileSize: [...songs.values()]
+            .filter((song) => song.ownerId === where.ownerId)
+            .reduce((total, song) => total + song.fileSize, 0)
+        }
+      }))
+    },
+    uploadSession: { aggregate: jest.fn().mockResolvedValue({ _sum: { size: null } }) },
+    purchase: { findFirst: jest.fn().mockResolvedValue(null) },
+    songFingerprint: { findMany: jest.fn().mockResolvedValue([]) },
+    track: { findMany: jest.fn().mockResolvedValue([]) }
+  };
+  return { PrismaClient: jest.fn(() => mockClient) };
+});
+
+jest.mock('../firebase', () => ({
+  auth: () => ({
+    verifyIdToken: jest.fn(async (token) => ({ uid: token }))
+  })
+}));
+
+const { createLocalStorage } = require('../src/storage/local');
+const { buildMp3 } = require('./helpers/audioFixtures');
+const app = require('../server');
+
+describe('local storage driver', () => {
+  const storage = createLocalStorage({
+    rootDir: process.env.LOCAL_STORAGE_DIR,
+    baseUrl: 'http://files.test',
+    secret: 'secret'
+  });
+
+  it('puts, streams, checks and deletes blobs', async () => {
+    const stored = await storage.put('blob.mp3', Buffer.from('abc'));
+    expect(stored.url).toBe('http://files.test/files/blob.mp3');
+    expect(await storage.exists('blob.mp3')).toBe(true);
+
+    const chunks = [];
+    for await (const chunk of await storage.getStream('blob.mp3')) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe('abc');
+
+    expect(await storage.delete('blob.mp3')).toBe(true);
+    expect(await storage.delete('blob.mp3')).toBe(false);
+    expect(await storage.exists('blob.mp3')).toBe(false);
+  });
+
+  it('refuses blob names that escape the storage directory', async () => {
+    await expect(storage.put('../escape.mp3', Buffer.from('x'))).rejects.toThrow('Invalid blob name');
+    expect(storage.verifySignedUrl('../escape.mp3', '9999999999', 'ab')).toBe(false);
+  });
+});
+
+describe('upload, metadata and download flow without Azure', () => {
+  const mp3 = buildMp3({ frames: 50, tags: { title: 'Tagged Title', artist: 'Tagged Artist', trackNumber: '2' } });
+
+  it('rejects files that are not really audio', async () => {
+    const upload = await request(app)
+      .post('/upload')
+      .set('Authorization', 'Bearer artist')
+      .attach('music', Buffer.from('just some text, renamed'), 'track.mp3');
+    expect(upload.status).toBe(400);
+  });
+
+  it('stores the upload locally and serves it back through a signed url', async () => {
+    const upload = await request(app)
+      .post('/upload')
+      .set('Authorization', 'Bearer artist')
+      .attach('music', mp3, 'track.mp3');
+    expect(upload.status).toBe(200);
+    expect(upload.body.audio).toMatchObject({ format: 'mp3', sampleRate: 44100 });
+    expect(upload.body.suggestedMetadata).toMatchObject({ title: 'Tagged Title', trackNumber: 2 });
+
+    const metadata = await request(app)
+      .post('/metadata')
+      .set('Authorization', 'Bearer artist')
+      .send({ songId: 'song-1', artist: 'Override', fileUrl: upload.body.fileUrl, userId: 'artist' });
+    expect(metadata.status).toBe(201);
+    expect(metadata.body).toMatchObject({
+      title: 'Tagged Title',
+      artist: 'Override',
+      trackNumber: 2,
+      audioFormat: 'mp3',
+      duration_ms: expect.any(Number)
+    });
+
+    const download = await request(app).get('/songs/song-1/download').set('Authorization', 'Bearer artist');
+    expect(download.status).toBe(200);
+
+    const { pathname, search } = new URL(download.body.url);
+    const file = await request(app).get(pathname + search);
+    expect(file.status).toBe(200);
+    expect(Buffer.compare(file.body, mp3)).toBe(0);
+  });
+
+  it('counts two-step uploads against the storage quota', async () => {
+    process.env.USER_STORAGE_QUOTA_BYTES = String(Math.floor(mp3.length * 1.5));
+    try {
+      const upload = await request(app)
+        .post('/upload')
+        .set('Authorization', 'Bearer quota-artist')
+        .attach('music', mp3, 'track.mp3');
+      expect(upload.status).toBe(200);
+
+      const metadata = await request(app)
+        .post('/metadata')
+        .set('Authorization', 'Bearer quota-artist')
+        .send({ songId: 'quota-song', fileUrl: upload.body.fileUrl });
+      expect(metadata.status).toBe(201);
+      expect(metadata.body.fileSize).toBe(mp3.length);
+
+      const second = await request(app)
+        .post('/upload')
+        .set('Authorization', 'Bearer quota-artist')
+        .attach('music', mp3, 'track.mp3');
+      expect(second.status).toBe(413);
+
+      const reused = await request(app)
+        .post('/metadata')
+        .set('Authorization', 'Bearer quota-artist')
+        .send({ songId: 'quota-song-2', fileUrl: upload.body.fileUrl });
+      expect(reused.status).toBe(413);
+    } finally {
+      delete process.env.USER_STORAGE_QUOTA_BYTES;
+    }
+  });
+});
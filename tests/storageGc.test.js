@@ -0,0 +1,76 @@
+const gc = require('../src/storage/gc');
+
+function mockStorage(blobs) {
+  return {
+    list: async function* list() {
+      yield* blobs;
+    },
+    delete: jest.fn().mockResolvedValue(true)
+  };
+}
+
+const prisma = {
+  userSong: {
+    findMany: jest.fn().mockResolvedValue([
+      { fileUrl: 'https://acct.blob.core.windows.net/music-files/song.mp3', imageUrl: null }
+    ])
+  },
+  media: {
+    findMany: jest.fn().mockResolvedValue([
+      { blob_url: 'https://acct.blob.core.windows.net/music-files/cover.jpg' }
+    ])
+  },
+  songMedia: {
+    findMany: jest.fn().mockResolvedValue([{ blob_url: 'http://localhost:5000/files/song-cover-64.jpg' }])
+  },
+  uploadSession: {
+    findMany: jest.fn().mockResolvedValue([{ blobName: 'uploading.wav' }])
+  }
+};
+
+const now = new Date('2026-10-19T12:00:00Z');
+const blobs = [
+  { name: 'song.mp3', lastModified: new Date('2026-01-01T00:00:00Z'), size: 10 },
+  { name: 'cover.jpg', lastModified: new Date('2026-01-01T00:00:00Z'), size: 10 },
+  { name: 'abandoned.mp3', lastModified: new Date('2026-10-01T00:00:00Z'), size: 10 },
+  { name: 'just-uploaded.mp3', lastModified: new Date('2026-10-19T11:00:00Z'), size: 10 },
+  { name: 'uploading.wav', lastModified: new Date('2026-10-01T00:00:00Z'), size: 10 },
+  { name: 'song-cover-64.jpg', lastModified: new Date('2026-01-01T00:00:00Z'), size: 10 }
+];
+
+describe('storage garbage collection', () => {
+  it('reports orphans without deleting in dry-run mode', async () => {
+    const storage = mockStorage(blobs);
+
+    const report = await gc.collectOrphans(prisma, storage, { dryRun: true, graceMs: 24 * 60 * 60 * 1000, now });
+
+    expect(report).toMatchObject({ scanned: 6, referenced: 4, withinGracePeriod: 1, deleted: 0 });
+    expect(report.orphans.map((orphan) => orphan.name)).toEqual(['abandoned.mp3']);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+
+  it('deletes orphans past the grace period', async () => {
+    const storage = mockStorage(blobs);
+
+    const report = await gc.collectOrphans(prisma, storage, { dryRun: false, graceMs: 24 * 60 * 60 * 1000, now });
+
+    expect(storage.delete).toHaveBeenCalledTimes(1);
+    expect(storage.delete).toHaveBeenCalledWith('abandoned.mp3');
+    expect(report.deleted).toBe(1);
+  });
+
+  it('deletes the audio and artwork blobs of a song', async () => {
+    const storage = mockStorage([]);
+
+    const result = await gc.deleteSongBlobs(storage, {
+      fileUrl: 'http://localhost:5000/files/a.mp3',
+      imageUrl: 'http://localhost:5000/files/a-cover.png',
+      media: [
+        { blob_url: 'http://localhost:5000/files/a-cover.png' },
+        { blob_url: 'http://localhost:5000/files/a-cover-64.jpg' }
+      ]
+    });
+
+    expect(result.deleted).toEqual(['a.mp3', 'a-cover.png', 'a-cover-64.jpg']);
+  });
+});